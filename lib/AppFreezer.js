@@ -0,0 +1,205 @@
+const fs = require("fs");
+const path = require("path");
+const AppPaths = require("./AppPaths");
+const SteamLibrary = require("./SteamLibrary");
+const { NotFoundError } = require("./Errors");
+const { VdfDocument } = require("./vdf");
+
+/**
+ * AutoUpdateBehavior value for "Only update this game when I launch it"
+ */
+const UPDATE_ON_LAUNCH = "1";
+
+/**
+ * StateFlags value for a fully installed app with no update pending
+ */
+const STATE_FULLY_INSTALLED = "4";
+
+/**
+ * Write a file by renaming a temporary copy over it, so Steam never reads a
+ * half-written manifest
+ * @param {string} filePath - The file to write
+ * @param {string} text - The new contents
+ * @returns {Promise<void>} Resolves once written
+ */
+async function writeFileAtomic(filePath, text) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+
+  await fs.promises.writeFile(tempPath, text, "utf8");
+  await fs.promises.rename(tempPath, filePath);
+}
+
+/**
+ * Class for stopping Steam from updating an app over an applied version
+ *
+ * Freezing rewrites the app's appmanifest_<appid>.acf so it records the
+ * build and depot manifests that were applied, sets the app to update only
+ * when launched and clears any pending update. Only those values change; the
+ * rest of the file keeps its layout. The original file is kept in
+ * the tool's config directory and put back by unfreeze. Steam keeps its own
+ * copy of the file while it runs and writes it back on exit, so it should be
+ * closed while an app is frozen or unfrozen.
+ */
+class AppFreezer {
+  /**
+   * Create a new app freezer
+   * @param {Object} [options] - Freezer options
+   * @param {SteamLibrary} [options.steamLibrary] - Locator for the installed apps
+   * @param {string} [options.dir] - Where the original appmanifest files are kept
+   */
+  constructor(options = {}) {
+    this.steamLibrary = options.steamLibrary || new SteamLibrary();
+    this.dir = options.dir || AppPaths.resolve("frozen");
+  }
+
+  /**
+   * Get the path the original appmanifest of an app is kept at
+   * @param {number} appId - The Steam app ID
+   * @returns {string} Path to the saved appmanifest_<appId>.acf
+   */
+  getBackupPath(appId) {
+    return path.join(this.dir, `appmanifest_${appId}.acf`);
+  }
+
+  /**
+   * Check whether an app is frozen
+   * @param {number} appId - The Steam app ID
+   * @returns {boolean} True if its original appmanifest is saved
+   */
+  isFrozen(appId) {
+    return fs.existsSync(this.getBackupPath(appId));
+  }
+
+  /**
+   * Freeze an installed app at a version
+   *
+   * Freezing an app that is already frozen updates its appmanifest again but
+   * keeps the original saved the first time.
+   * @param {number} appId - The Steam app ID
+   * @param {Object} [version] - The applied version
+   * @param {string} [version.buildId] - Build ID to record
+   * @param {Object} [version.depots] - Map of installed depot ID to the manifest ID to record, as a string
+   * @returns {Promise<Object|null>} appId, name, manifestPath, backupPath, buildId, previousBuildId and depots, or null if not installed
+   * @throws {NotFoundError} If a depot is not installed
+   * @throws {Error} If a manifest ID is not a string of digits
+   */
+  async freeze(appId, version = {}) {
+    const installed = await this.steamLibrary.getInstalledApp(appId);
+
+    if (!installed) {
+      return null;
+    }
+
+    const depotIds = Object.keys(version.depots || {});
+
+    for (const depotId of depotIds) {
+      const manifestId = version.depots[depotId];
+
+      // Numbers above 2^53 have already lost digits
+      if (typeof manifestId !== "string" || !/^\d+$/.test(manifestId)) {
+        throw new Error(
+          `Manifest ID of depot ${depotId} must be a string of digits.`
+        );
+      }
+
+      // Steam would take an added depot for installed content it never wrote
+      if (!installed.depots[depotId]) {
+        throw new NotFoundError(
+          `Depot ${depotId} is not installed for app ${installed.appId}; only installed depots can be frozen.`
+        );
+      }
+    }
+
+    const backupPath = this.getBackupPath(appId);
+    const text = await fs.promises.readFile(installed.manifestPath, "utf8");
+    const document = VdfDocument.parse(text);
+
+    if (!this.isFrozen(appId)) {
+      await fs.promises.mkdir(this.dir, { recursive: true });
+      await fs.promises.writeFile(backupPath, text, "utf8");
+    }
+
+    const buildId = version.buildId ? String(version.buildId) : null;
+
+    document.set(["AppState", "AutoUpdateBehavior"], UPDATE_ON_LAUNCH);
+    document.set(["AppState", "StateFlags"], STATE_FULLY_INSTALLED);
+
+    if (document.find("AppState", "ScheduledAutoUpdate")) {
+      document.set(["AppState", "ScheduledAutoUpdate"], "0");
+    }
+
+    if (buildId) {
+      document.set(["AppState", "buildid"], buildId);
+
+      // A target build other than the installed one is a pending update
+      if (document.find("AppState", "TargetBuildID")) {
+        document.set(["AppState", "TargetBuildID"], buildId);
+      }
+    }
+
+    const depots = depotIds.map((depotId) => {
+      const manifestId = version.depots[depotId];
+
+      document.set(
+        ["AppState", "InstalledDepots", depotId, "manifest"],
+        manifestId
+      );
+
+      return {
+        depotId,
+        manifestId,
+        previousManifestId: installed.depots[depotId].manifestId || null,
+      };
+    });
+
+    await writeFileAtomic(installed.manifestPath, document.toString());
+
+    return {
+      appId: installed.appId,
+      name: installed.name,
+      manifestPath: installed.manifestPath,
+      backupPath,
+      buildId: buildId || installed.buildId,
+      previousBuildId: installed.buildId,
+      depots,
+    };
+  }
+
+  /**
+   * Put back the appmanifest an app had before it was frozen
+   * @param {number} appId - The Steam app ID
+   * @returns {Promise<Object|null>} appId, manifestPath and buildId, or null if the app is not frozen
+   * @throws {Error} If the app is no longer installed
+   */
+  async unfreeze(appId) {
+    if (!this.isFrozen(appId)) {
+      return null;
+    }
+
+    const backupPath = this.getBackupPath(appId);
+    const libraryPath = await this.steamLibrary.findAppLibrary(appId);
+
+    if (!libraryPath) {
+      throw new Error(
+        `App ${appId} is no longer installed; its original appmanifest is kept at ${backupPath}.`
+      );
+    }
+
+    const manifestPath = this.steamLibrary.getAppManifestPath(
+      libraryPath,
+      appId
+    );
+    const text = await fs.promises.readFile(backupPath, "utf8");
+
+    await writeFileAtomic(manifestPath, text);
+    await fs.promises.unlink(backupPath);
+
+    return {
+      appId: parseInt(appId, 10),
+      manifestPath,
+      buildId: VdfDocument.parse(text).get("AppState", "buildid") || null,
+    };
+  }
+}
+
+module.exports = AppFreezer;
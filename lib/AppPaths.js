@@ -0,0 +1,51 @@
+const os = require("os");
+const path = require("path");
+
+/**
+ * Name of the directory the tool keeps its files in
+ */
+const APP_DIR_NAME = "steam-version-updater";
+
+/**
+ * Class for resolving where the tool stores its local files
+ */
+class AppPaths {
+  /**
+   * Get the per-user configuration directory
+   *
+   * Can be overridden with the STEAM_VERSION_UPDATER_HOME environment variable.
+   * @returns {string} Absolute path to the configuration directory
+   */
+  static getConfigDir() {
+    if (process.env.STEAM_VERSION_UPDATER_HOME) {
+      return path.resolve(process.env.STEAM_VERSION_UPDATER_HOME);
+    }
+
+    const home = os.homedir();
+
+    if (process.platform === "win32") {
+      const appData =
+        process.env.APPDATA || path.join(home, "AppData", "Roaming");
+      return path.join(appData, APP_DIR_NAME);
+    }
+
+    if (process.platform === "darwin") {
+      return path.join(home, "Library", "Application Support", APP_DIR_NAME);
+    }
+
+    const configHome =
+      process.env.XDG_CONFIG_HOME || path.join(home, ".config");
+    return path.join(configHome, APP_DIR_NAME);
+  }
+
+  /**
+   * Resolve a path inside the configuration directory
+   * @param {...string} segments - Path segments relative to the config dir
+   * @returns {string} Absolute path
+   */
+  static resolve(...segments) {
+    return path.join(AppPaths.getConfigDir(), ...segments);
+  }
+}
+
+module.exports = AppPaths;
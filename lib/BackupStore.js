@@ -0,0 +1,263 @@
+const fs = require("fs");
+const path = require("path");
+const chalk = require("chalk");
+const AppPaths = require("./AppPaths");
+const JsonFile = require("./JsonFile");
+const Output = require("./Output");
+
+/**
+ * Name of the metadata file inside each backup directory
+ */
+const METADATA_FILE = "backup.json";
+
+/**
+ * Name of the directory inside each backup holding the saved files
+ */
+const FILES_DIR = "files";
+
+/**
+ * Remove a file, ignoring files that are already gone
+ * @param {string} filePath - The file to remove
+ * @returns {Promise<boolean>} True if a file was removed
+ */
+async function removeFile(filePath) {
+  try {
+    await fs.promises.unlink(filePath);
+    return true;
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Remove the directories of a removed file that are now empty
+ * @param {string} rootDir - Directory to stop at (never removed)
+ * @param {string} relativePath - Path of the removed file below rootDir
+ * @returns {Promise<void>} Resolves once done
+ */
+async function removeEmptyParents(rootDir, relativePath) {
+  let dir = path.dirname(relativePath);
+
+  while (dir !== ".") {
+    try {
+      await fs.promises.rmdir(path.join(rootDir, dir));
+    } catch (error) {
+      return; // Not empty (or already gone), so neither are its parents
+    }
+    dir = path.dirname(dir);
+  }
+}
+
+/**
+ * Class for the snapshots taken of a game install before an apply
+ *
+ * Each backup holds copies of the files an apply overwrote and the list of
+ * files it added, so the install can be put back exactly as it was.
+ */
+class BackupStore {
+  /**
+   * Create a new backup store
+   * @param {Object} [options] - Store options
+   * @param {string} [options.dir] - Where backups are kept
+   * @param {Output} [options.output] - Where to send progress messages
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || AppPaths.resolve("backups");
+    this.output = options.output || new Output();
+  }
+
+  /**
+   * Snapshot the files an apply is about to overwrite
+   * @param {Object} plan - Plan from DepotApplier.plan
+   * @param {Object} info - What is being replaced
+   * @param {number} info.appId - The Steam app ID
+   * @param {number} info.depotId - The depot ID
+   * @param {string} [info.manifestId] - The manifest installed before the apply
+   * @param {string} [info.buildId] - The build installed before the apply
+   * @returns {Promise<Object>} The backup metadata
+   */
+  async create(plan, info) {
+    const createdAt = new Date().toISOString();
+    const id = [
+      createdAt.replace(/[:.]/g, "-"),
+      `depot_${info.depotId}`,
+      info.manifestId || "unknown",
+    ].join("_");
+    const backupDir = path.join(this.dir, String(info.appId), id);
+    const overwritten = plan.files.filter((file) => file.overwrite);
+    let bytes = 0;
+
+    for (let i = 0; i < overwritten.length; i++) {
+      const file = overwritten[i];
+      const target = path.join(backupDir, FILES_DIR, file.path);
+
+      this.output.progress(
+        `Backing up [${i + 1}/${overwritten.length}] ${file.path}`
+      );
+
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.copyFile(path.join(plan.targetDir, file.path), target);
+      bytes += (await fs.promises.stat(target)).size;
+    }
+
+    this.output.endProgress();
+
+    const backup = {
+      id,
+      appId: info.appId,
+      depotId: info.depotId,
+      manifestId: info.manifestId || null,
+      buildId: info.buildId || null,
+      targetDir: plan.targetDir,
+      createdAt,
+      overwritten: overwritten.map((file) => file.path),
+      added: plan.files
+        .filter((file) => !file.overwrite)
+        .map((file) => file.path),
+      bytes,
+    };
+
+    // The metadata goes last, so a backup without it is an interrupted one
+    JsonFile.write(path.join(backupDir, METADATA_FILE), backup);
+
+    this.output.log(
+      chalk.green(
+        `✓ Backed up ${overwritten.length} files to ${backupDir} (backup ${id})`
+      )
+    );
+
+    return { ...backup, path: backupDir };
+  }
+
+  /**
+   * List the stored backups, newest first
+   * @param {number} [appId] - Only list backups of this app
+   * @returns {Array<Object>} Backup metadata, including the backup path
+   */
+  list(appId = null) {
+    let appDirs;
+
+    try {
+      appDirs = appId === null ? fs.readdirSync(this.dir) : [String(appId)];
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+
+    const backups = [];
+
+    for (const appDir of appDirs) {
+      let ids;
+
+      try {
+        ids = fs.readdirSync(path.join(this.dir, appDir));
+      } catch (error) {
+        if (error.code === "ENOENT" || error.code === "ENOTDIR") {
+          continue;
+        }
+        throw error;
+      }
+
+      for (const id of ids) {
+        const backupDir = path.join(this.dir, appDir, id);
+        const backup = JsonFile.read(path.join(backupDir, METADATA_FILE), null);
+
+        if (backup) {
+          backups.push({ ...backup, path: backupDir });
+        }
+      }
+    }
+
+    return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Get the most recent backup of an app
+   * @param {number} appId - The Steam app ID
+   * @returns {Object|null} The backup metadata, or null if there is none
+   */
+  getLatest(appId) {
+    return this.list(appId)[0] || null;
+  }
+
+  /**
+   * Put a game install back the way it was before a backup was taken
+   *
+   * Saved files are copied back and files the apply added are deleted. The
+   * backup is removed afterwards, so the next rollback goes one step further.
+   * @param {Object} backup - Backup from list() or getLatest()
+   * @returns {Promise<Object>} Summary with filesRestored and filesRemoved
+   */
+  async restore(backup) {
+    let filesRemoved = 0;
+
+    for (let i = 0; i < backup.overwritten.length; i++) {
+      const relativePath = backup.overwritten[i];
+      const target = path.join(backup.targetDir, relativePath);
+
+      this.output.progress(
+        `Restoring [${i + 1}/${backup.overwritten.length}] ${relativePath}`
+      );
+
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.copyFile(
+        path.join(backup.path, FILES_DIR, relativePath),
+        target
+      );
+    }
+
+    this.output.endProgress();
+
+    for (const relativePath of backup.added) {
+      if (await removeFile(path.join(backup.targetDir, relativePath))) {
+        filesRemoved++;
+      }
+      await removeEmptyParents(backup.targetDir, relativePath);
+    }
+
+    await this.remove(backup);
+    this.output.log(
+      chalk.green(`✓ Restored ${backup.targetDir} from backup ${backup.id}`)
+    );
+
+    return { filesRestored: backup.overwritten.length, filesRemoved };
+  }
+
+  /**
+   * Delete a backup
+   * @param {Object} backup - Backup from list()
+   * @returns {Promise<void>} Resolves once the backup is gone
+   */
+  remove(backup) {
+    return fs.promises.rm(backup.path, { recursive: true, force: true });
+  }
+
+  /**
+   * Delete all but the newest backups of each app
+   * @param {number} keep - How many backups to keep per app
+   * @param {number} [appId] - Only prune backups of this app
+   * @returns {Promise<Array<Object>>} The backups that were deleted
+   */
+  async prune(keep, appId = null) {
+    const kept = {};
+    const removed = [];
+
+    for (const backup of this.list(appId)) {
+      kept[backup.appId] = (kept[backup.appId] || 0) + 1;
+
+      if (kept[backup.appId] > keep) {
+        await this.remove(backup);
+        removed.push(backup);
+      }
+    }
+
+    return removed;
+  }
+}
+
+module.exports = BackupStore;
@@ -1,7 +1,239 @@
 const inquirer = require("inquirer");
 const chalk = require("chalk");
-const { Command } = require("commander");
-const { exec } = require("child_process");
+const path = require("path");
+const { Command, InvalidArgumentError } = require("commander");
+const Output = require("./Output");
+const Platform = require("./Platform");
+const Clipboard = require("./Clipboard");
+const SteamLibrary = require("./SteamLibrary");
+const DownloadMonitor = require("./DownloadMonitor");
+const DepotFilter = require("./DepotFilter");
+const SteamSearch = require("./SteamSearch");
+const DownloadScript = require("./DownloadScript");
+
+/**
+ * Parse a numeric Steam ID (app or depot) from a command line argument
+ * @param {string} value - The raw argument value
+ * @returns {number} The parsed ID
+ */
+function parseSteamId(value) {
+  if (!/^\d+$/.test(value)) {
+    throw new InvalidArgumentError("Expected a numeric Steam ID.");
+  }
+
+  return parseInt(value, 10);
+}
+
+/**
+ * Collect a variadic list of numeric Steam IDs
+ * @param {string} value - The raw argument value
+ * @param {Array<number>} previous - IDs collected so far
+ * @returns {Array<number>} The IDs including this one
+ */
+function collectSteamIds(value, previous = []) {
+  return previous.concat(parseSteamId(value));
+}
+
+/**
+ * Collect a variadic list of depot:manifest pairs
+ * @param {string} value - The raw argument value, e.g. 413151:public
+ * @param {Array<Object>} previous - Pairs collected so far
+ * @returns {Array<Object>} The pairs, as {depotId, manifest}, including this one
+ */
+function collectDepotManifests(value, previous = []) {
+  const match = value.match(/^(\d+):(.+)$/);
+
+  if (!match) {
+    throw new InvalidArgumentError(
+      "Expected depotid:manifest, with a manifest ID or a branch name."
+    );
+  }
+
+  return previous.concat({
+    depotId: parseInt(match[1], 10),
+    manifest: match[2],
+  });
+}
+
+/**
+ * Parse a script format from a command line option
+ * @param {string} value - The raw option value
+ * @returns {string} The script format
+ */
+function parseScriptFormat(value) {
+  const formats = DownloadScript.getFormats();
+  const format = value.toLowerCase();
+
+  if (!formats.includes(format)) {
+    throw new InvalidArgumentError(
+      `Expected ${formats.slice(0, -1).join(", ")} or ${formats.slice(-1)}.`
+    );
+  }
+
+  return format;
+}
+
+/**
+ * Parse a positive number from a command line option
+ * @param {string} value - The raw option value
+ * @returns {number} The parsed number
+ */
+function parsePositiveNumber(value) {
+  const number = Number(value);
+
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new InvalidArgumentError("Expected a positive number.");
+  }
+
+  return number;
+}
+
+/**
+ * Parse a whole number (zero or more) from a command line option
+ * @param {string} value - The raw option value
+ * @returns {number} The parsed number
+ */
+function parseCount(value) {
+  if (!/^\d+$/.test(value)) {
+    throw new InvalidArgumentError("Expected a whole number.");
+  }
+
+  return parseInt(value, 10);
+}
+
+/**
+ * Parse an operating system name from a command line option
+ * @param {string} value - The raw option value
+ * @returns {string} Steam's name for the OS
+ */
+function parseOs(value) {
+  const os = DepotFilter.normalizeOs(value);
+
+  if (!os) {
+    throw new InvalidArgumentError("Expected windows, macos or linux.");
+  }
+
+  return os;
+}
+
+/**
+ * Parse a two-letter store country code from a command line option
+ * @param {string} value - The raw option value
+ * @returns {string} The upper-case country code
+ */
+function parseCountry(value) {
+  if (!/^[a-z]{2}$/i.test(value)) {
+    throw new InvalidArgumentError("Expected a two-letter country code.");
+  }
+
+  return value.toUpperCase();
+}
+
+/**
+ * Parse a store app type from a command line option
+ * @param {string} value - The raw option value
+ * @returns {string} The app type
+ */
+function parseAppType(value) {
+  const types = SteamSearch.getAppTypes();
+  const type = value.toLowerCase();
+
+  if (!types.includes(type)) {
+    throw new InvalidArgumentError(
+      `Expected ${types.slice(0, -1).join(", ")} or ${types.slice(-1)}.`
+    );
+  }
+
+  return type;
+}
+
+/**
+ * Convert a search result to its JSON output record
+ * @param {Object} app - App from SteamSearch.searchGames
+ * @returns {Object} The app record
+ */
+function toAppRecord(app) {
+  return {
+    appid: app.appid,
+    name: app.name,
+    type: app.type,
+    price: app.price,
+    discount: app.discount,
+    image: app.image || null,
+  };
+}
+
+/**
+ * Convert a depot to its JSON output record
+ * @param {Object} depot - Depot from SteamClient.getGameDepots
+ * @returns {Object} The depot record
+ */
+function toDepotRecord(depot) {
+  return {
+    id: parseInt(depot.id, 10),
+    name: depot.name,
+    osType: depot.osType || "Unknown",
+    language: depot.language || null,
+    dlcAppId: depot.dlcAppId ? parseInt(depot.dlcAppId, 10) : null,
+    maxSize: depot.maxSize ? Number(depot.maxSize) : null,
+    encryptedSize: depot.encryptedSize ? Number(depot.encryptedSize) : null,
+    optional: !!depot.optional,
+    systemDefined: !!depot.systemDefined,
+    sharedInstall: !!depot.sharedInstall,
+  };
+}
+
+/**
+ * Convert a manifest to its JSON output record
+ * @param {Object} manifest - Manifest from SteamClient.getDepotManifests
+ * @returns {Object} The manifest record
+ */
+function toManifestRecord(manifest) {
+  return {
+    manifestId: String(manifest.manifestId),
+    buildId: manifest.buildId ? String(manifest.buildId) : null,
+    branch: manifest.branch || null,
+    description: manifest.description || null,
+    isPublic: !!manifest.isPublic,
+    isHistorical: !!manifest.isHistorical,
+    passwordRequired: !!manifest.passwordRequired,
+    timeupdated: manifest.timeupdated ? Number(manifest.timeupdated) : null,
+  };
+}
+
+/**
+ * Convert a manifest file to its JSON output record
+ * @param {Object} file - File from SteamClient.getManifestFiles
+ * @returns {Object} The file record
+ */
+function toFileRecord(file) {
+  return {
+    path: file.path,
+    size: file.size,
+    sha: file.sha,
+  };
+}
+
+/**
+ * Convert a backup to its JSON output record
+ * @param {Object} backup - Backup from BackupStore.list
+ * @returns {Object} The backup record
+ */
+function toBackupRecord(backup) {
+  return {
+    id: backup.id,
+    appId: backup.appId,
+    depotId: backup.depotId,
+    manifestId: backup.manifestId,
+    buildId: backup.buildId,
+    createdAt: backup.createdAt,
+    targetDir: backup.targetDir,
+    filesSaved: backup.overwritten.length,
+    filesAdded: backup.added.length,
+    bytes: backup.bytes,
+    path: backup.path,
+  };
+}
 
 /**
  * Class for handling CLI interactions and user interface
@@ -9,48 +241,136 @@ const { exec } = require("child_process");
 class CLI {
   /**
    * Create a new CLI handler
+   * @param {Object} [options] - CLI options
+   * @param {Output} [options.output] - Where to send messages and data
+   * @param {SteamLibrary} [options.steamLibrary] - Locator for Steam folders
+   * @param {SteamClient} [options.steamClient] - Steam client that --offline applies to
    */
-  constructor() {
+  constructor(options = {}) {
     this.program = new Command();
+    this.output = options.output || new Output();
+    this.steamLibrary = options.steamLibrary || new SteamLibrary();
+    this.steamClient = options.steamClient || null;
+    // Prompts render on stderr so stdout only carries command output
+    this.prompt = inquirer.createPromptModule({ output: process.stderr });
     this.currentAppId = null;
     this.currentDepotId = null;
     this.currentManifestId = null;
+    this.generatedCommands = [];
 
     this.program
       .name("steam-search")
       .description("Search for Steam games and applications")
-      .version("1.0.0");
+      .version("1.0.0")
+      .option("--json", "print results as JSON on stdout")
+      .option("--ndjson", "print results as newline-delimited JSON on stdout")
+      .option("--no-clipboard", "do not copy the generated command")
+      .option(
+        "--steam-root <dir>",
+        "Steam installation directory (detected by default)"
+      )
+      .option(
+        "--skip-steam-check",
+        "do not require a running Steam client (headless use)"
+      )
+      .option(
+        "--wait",
+        "follow the download in Steam's logs until the depot is complete"
+      )
+      .option(
+        "--wait-timeout <minutes>",
+        "give up waiting after this many minutes (0 waits forever)",
+        parseCount,
+        120
+      )
+      .option(
+        "--os <os>",
+        "only depots for this OS: windows, macos or linux",
+        parseOs
+      )
+      .option(
+        "--language <language>",
+        "only depots for this language (e.g. english)"
+      )
+      .option(
+        "--store-language <language>",
+        "store language for search results (default english)"
+      )
+      .option(
+        "--country <code>",
+        "store country for searches and prices (default US)",
+        parseCountry
+      )
+      .option(
+        "--type <type>",
+        `only store results of this type: ${SteamSearch.getAppTypes().join(
+          ", "
+        )}`,
+        parseAppType
+      )
+      .option(
+        "--max-results <count>",
+        "store results to fetch at most",
+        parsePositiveNumber,
+        50
+      )
+      .option("--include-dlc", "include depots that belong to a DLC")
+      .option("--include-optional", "include optional depots")
+      .option(
+        "--offline",
+        "answer from cached product info without logging in to Steam"
+      )
+      .option(
+        "--save <file>",
+        "write the interactive selection to a lockfile for the import command"
+      )
+      .option(
+        "--beta-password <password>",
+        "unlock password-protected branches to list their manifests"
+      )
+      .exitOverride();
   }
 
   /**
    * Check if Steam is running
    * @returns {Promise<boolean>} True if Steam is running
    */
-  checkSteamRunning() {
-    return new Promise((resolve) => {
-      exec('tasklist /FI "IMAGENAME eq steam.exe" /NH', (error, stdout) => {
-        if (error) {
-          console.log(
-            chalk.red("\nError checking if Steam is running:", error.message)
-          );
-          resolve(false);
-          return;
-        }
+  async checkSteamRunning() {
+    const isSteamRunning = await Platform.isSteamRunning();
 
-        // If steam.exe is found in the tasklist output
-        const isSteamRunning = stdout.toLowerCase().includes("steam.exe");
+    if (!isSteamRunning) {
+      this.output.log(
+        chalk.red(
+          "\nSteam is not running! Please start Steam before using this tool."
+        )
+      );
+      this.output.log(
+        chalk.white(
+          "Pass --skip-steam-check to continue without a running Steam client."
+        )
+      );
+    }
 
-        if (!isSteamRunning) {
-          console.log(
-            chalk.red(
-              "\nSteam is not running! Please start Steam before using this tool."
-            )
-          );
-        }
+    return isSteamRunning;
+  }
 
-        resolve(isSteamRunning);
-      });
-    });
+  /**
+   * Warn that Steam will overwrite appmanifest changes made while it runs
+   * @returns {Promise<boolean>} True if Steam is running
+   */
+  async warnIfSteamRunning() {
+    const isSteamRunning = await Platform.isSteamRunning();
+
+    if (isSteamRunning) {
+      this.output.log(
+        chalk.yellow(
+          "Steam is running and writes its own copy of the appmanifest back when it exits. " +
+            "Quit Steam and run this command again, or the change may be lost."
+        )
+      );
+    }
+
+    return isSteamRunning;
   }
 
   /**
@@ -58,20 +378,22 @@ class CLI {
    * @returns {Promise<string>} The search term
    */
   async getSearchTerm() {
-    // First verify Steam is running
-    const isSteamRunning = await this.checkSteamRunning();
-    if (!isSteamRunning) {
-      throw new Error("Steam must be running to use this tool.");
+    // First verify Steam is running, unless told not to (e.g. headless use)
+    if (!this.program.opts().skipSteamCheck) {
+      const isSteamRunning = await this.checkSteamRunning();
+      if (!isSteamRunning) {
+        throw new Error("Steam must be running to use this tool.");
+      }
     }
 
-    const { searchTerm } = await inquirer.prompt([
+    const { searchTerm } = await this.prompt([
       {
         type: "input",
         name: "searchTerm",
-        message: "Enter game name to search:",
+        message: "Enter game name, app ID or store link to search:",
         validate: (input) => {
           if (!input.trim()) {
-            return "Please enter a game name to search";
+            return "Please enter a game name, app ID or store link";
           }
           return true;
         },
@@ -81,13 +403,89 @@ class CLI {
     return searchTerm;
   }
 
+  /**
+   * Ask for the account name and password to log in with
+   * @param {string} [accountName] - Account name given on the command line
+   * @returns {Promise<Object>} The accountName and password
+   */
+  async promptCredentials(accountName) {
+    const answers = await this.prompt([
+      {
+        type: "input",
+        name: "accountName",
+        message: "Steam account name:",
+        when: !accountName,
+        validate: (input) =>
+          input.trim() ? true : "Please enter your account name",
+      },
+      {
+        type: "password",
+        name: "password",
+        message: "Password:",
+        mask: "*",
+        validate: (input) => (input ? true : "Please enter your password"),
+      },
+    ]);
+
+    return {
+      accountName: (accountName || answers.accountName).trim(),
+      password: answers.password,
+    };
+  }
+
+  /**
+   * Ask for the Steam Guard code Steam sent by email or shows in the mobile app
+   * @param {Object} request - What Steam asked for
+   * @param {string|null} request.email - Email domain the code was sent to, or null for the mobile app
+   * @param {boolean} request.lastCodeWrong - Whether the previous code was rejected
+   * @returns {Promise<string>} The code
+   */
+  async promptSteamGuardCode(request) {
+    if (request.lastCodeWrong) {
+      this.output.log(chalk.yellow("That code was not accepted; try again."));
+    }
+
+    const { code } = await this.prompt([
+      {
+        type: "input",
+        name: "code",
+        message: request.email
+          ? `Steam Guard code sent to your email at ${request.email}:`
+          : "Steam Guard code from the Steam mobile app:",
+        validate: (input) =>
+          input.trim() ? true : "Please enter the Steam Guard code",
+      },
+    ]);
+
+    return code;
+  }
+
+  /**
+   * Ask for the password of a password-protected branch
+   * @param {string} branch - The branch name
+   * @returns {Promise<string>} The beta password
+   */
+  async promptBetaPassword(branch) {
+    const { password } = await this.prompt([
+      {
+        type: "password",
+        name: "password",
+        message: `Beta password for the "${branch}" branch:`,
+        mask: "*",
+        validate: (input) => (input ? true : "Please enter the beta password"),
+      },
+    ]);
+
+    return password;
+  }
+
   /**
    * Display the list of found games and let user select one
    * @param {Array} appList - List of apps to display
    * @returns {Promise<Object>} The selected app
    */
   async selectGame(appList) {
-    console.log(
+    this.output.log(
       chalk.green(`\nFound ${appList.length} matching applications:\n`)
     );
 
@@ -96,7 +494,7 @@ class CLI {
       value: app,
     }));
 
-    const { selectedApp } = await inquirer.prompt([
+    const { selectedApp } = await this.prompt([
       {
         type: "list",
         name: "selectedApp",
@@ -110,49 +508,101 @@ class CLI {
   }
 
   /**
-   * Display the list of depots and let user select one
+   * Get the store search options given by --country, --store-language, --type and --max-results
+   * @returns {Object} Options for SteamSearch.searchGames
+   */
+  getSearchOptions() {
+    const { country, storeLanguage, type, maxResults } = this.program.opts();
+    return { country, language: storeLanguage, type, maxResults };
+  }
+
+  /**
+   * Get the depot filter described by --os, --language, --include-dlc and --include-optional
+   * @returns {DepotFilter} The depot filter
+   */
+  getDepotFilter() {
+    return new DepotFilter(this.program.opts());
+  }
+
+  /**
+   * Display the list of depots and let user check the ones to download
    * @param {Array} depotList - List of depots to display
-   * @returns {Promise<Object>} The selected depot
+   * @param {Object} [installed] - Installed app state from SteamLibrary.getInstalledApp
+   * @returns {Promise<Array<Object>>} The selected depots
    */
-  async selectDepot(depotList) {
-    if (depotList.length === 0) {
-      console.log(chalk.yellow("\nNo depots found for this application."));
-      return null;
+  async selectDepots(depotList, installed = null) {
+    const filter = this.getDepotFilter();
+    const filtered = filter.apply(depotList);
+    const hidden = depotList.length - filtered.length;
+
+    if (filtered.length === 0) {
+      this.output.log(chalk.yellow("\nNo depots found for this application."));
+      if (hidden > 0) {
+        this.output.log(
+          chalk.white(
+            `${hidden} depots were filtered out; check --os, --language, --include-dlc and --include-optional.`
+          )
+        );
+      }
+      return [];
     }
 
-    console.log(
-      chalk.green(`\nFound ${depotList.length} depots for this application:\n`)
+    this.output.log(
+      chalk.green(`\nFound ${filtered.length} depots for this application:\n`)
     );
+    if (hidden > 0) {
+      this.output.log(
+        chalk.white(
+          `(${hidden} DLC, optional or filtered depots hidden; see --include-dlc and --include-optional)\n`
+        )
+      );
+    }
 
-    const choices = depotList.map((depot) => ({
+    const choices = filtered.map((depot) => ({
       name: `${depot.name} (ID: ${depot.id}) - ${depot.osType || "Unknown OS"}${
         depot.optional ? " [Optional]" : ""
-      }${depot.language ? ` [${depot.language}]` : ""}`,
+      }${depot.language ? ` [${depot.language}]` : ""}${
+        installed?.depots[depot.id] ? " [installed]" : ""
+      }`,
       value: depot,
+      // Preselect what this host would install: its OS, in English
+      checked: filter.isPreferred(depot),
     }));
 
-    const { selectedDepot } = await inquirer.prompt([
+    const { selectedDepots } = await this.prompt([
       {
-        type: "list",
-        name: "selectedDepot",
-        message: "Select a depot:",
+        type: "checkbox",
+        name: "selectedDepots",
+        message: "Select depots (space to toggle, enter to confirm):",
         choices: choices,
         pageSize: 15,
+        validate: (selected) =>
+          selected.length > 0 || "Please select at least one depot",
       },
     ]);
 
-    return selectedDepot;
+    return selectedDepots;
   }
 
   /**
    * Display details about the selected game
    * @param {Object} app - The selected app
+   * @param {Object} [installed] - Installed app state from SteamLibrary.getInstalledApp
    */
-  displayGameDetails(app) {
-    console.log(chalk.green("\nSelected Application Details:"));
-    console.log(chalk.white(`Name: ${app.name}`));
-    console.log(chalk.white(`AppID: ${app.appid}`));
-    console.log(chalk.white(`Type: ${app.type}`));
+  displayGameDetails(app, installed = null) {
+    this.output.log(chalk.green("\nSelected Application Details:"));
+    this.output.log(chalk.white(`Name: ${app.name}`));
+    this.output.log(chalk.white(`AppID: ${app.appid}`));
+    if (app.type) {
+      this.output.log(chalk.white(`Type: ${app.type}`));
+    }
+
+    if (installed) {
+      this.output.log(chalk.white(`Installed Build: ${installed.buildId}`));
+      this.output.log(
+        chalk.white(`Install Directory: ${installed.installDir}`)
+      );
+    }
   }
 
   /**
@@ -162,27 +612,29 @@ class CLI {
   displayDepotDetails(depot) {
     if (!depot) return;
 
-    console.log(chalk.green("\nSelected Depot Details:"));
-    console.log(chalk.white(`Name: ${depot.name}`));
-    console.log(chalk.white(`ID: ${depot.id}`));
-    console.log(chalk.white(`OS Type: ${depot.osType || "Unknown"}`));
+    this.output.log(chalk.green("\nSelected Depot Details:"));
+    this.output.log(chalk.white(`Name: ${depot.name}`));
+    this.output.log(chalk.white(`ID: ${depot.id}`));
+    this.output.log(chalk.white(`OS Type: ${depot.osType || "Unknown"}`));
 
     // Display size information if available
     if (depot.maxSize) {
-      console.log(chalk.white(`Max Size: ${this.formatSize(depot.maxSize)}`));
+      this.output.log(
+        chalk.white(`Max Size: ${this.formatSize(depot.maxSize)}`)
+      );
     }
     if (depot.encryptedSize) {
-      console.log(
+      this.output.log(
         chalk.white(`Encrypted Size: ${this.formatSize(depot.encryptedSize)}`)
       );
     }
 
     // Display additional useful flags
     if (depot.language) {
-      console.log(chalk.white(`Language: ${depot.language}`));
+      this.output.log(chalk.white(`Language: ${depot.language}`));
     }
     if (depot.dlcAppId) {
-      console.log(chalk.white(`DLC App ID: ${depot.dlcAppId}`));
+      this.output.log(chalk.white(`DLC App ID: ${depot.dlcAppId}`));
     }
 
     // Display property flags
@@ -192,7 +644,7 @@ class CLI {
     if (depot.sharedInstall) flags.push("Shared Install");
 
     if (flags.length > 0) {
-      console.log(chalk.white(`Flags: ${flags.join(", ")}`));
+      this.output.log(chalk.white(`Flags: ${flags.join(", ")}`));
     }
   }
 
@@ -215,51 +667,783 @@ class CLI {
    * Display completion message
    */
   displayCompletion() {
-    if (this.currentAppId && this.currentDepotId && this.currentManifestId) {
-      console.log(chalk.blue("\nProcess completed successfully."));
-
-      // Display the command one more time at the end for clarity
-      const steamCommand = `download_depot ${this.currentAppId} ${this.currentDepotId} ${this.currentManifestId}`;
-      console.log(chalk.bgGreen.black("\nCOMMAND TO USE IN STEAM CONSOLE:"));
-      console.log(chalk.bgWhite.black(` ${steamCommand} `));
-      console.log(
+    const generated = this.generatedCommands;
+
+    if (generated.length > 0) {
+      // Hand the final selection to tooling reading stdout
+      if (this.output.isMachineReadable()) {
+        if (generated.length === 1) {
+          this.printSteamCommand(
+            generated[0].appId,
+            generated[0].depotId,
+            generated[0].manifestId
+          );
+        } else {
+          this.output.list(
+            generated.map((selection) => ({
+              ...selection,
+              manifestId: String(selection.manifestId),
+              command: this.buildSteamCommand(
+                selection.appId,
+                selection.depotId,
+                selection.manifestId
+              ),
+            })),
+            (record) => record.command
+          );
+        }
+      }
+
+      this.output.log(chalk.blue("\nProcess completed successfully."));
+
+      // Display the commands one more time at the end for clarity
+      this.output.log(
+        chalk.bgGreen.black(
+          `\nCOMMAND${generated.length > 1 ? "S" : ""} TO USE IN STEAM CONSOLE:`
+        )
+      );
+      generated.forEach((selection) => {
+        const steamCommand = this.buildSteamCommand(
+          selection.appId,
+          selection.depotId,
+          selection.manifestId
+        );
+        this.output.log(chalk.bgWhite.black(` ${steamCommand} `));
+      });
+      this.output.log(
         chalk.white(
-          "\nWhen the Steam console opens, paste the command to start the download."
+          `\nWhen the Steam console opens, paste the command${
+            generated.length > 1 ? "s one at a time" : ""
+          } to start the download.`
         )
       );
     } else {
-      console.log(chalk.blue("\nSearch completed."));
+      this.output.log(chalk.blue("\nSearch completed."));
     }
   }
 
   /**
-   * Parse command line arguments
-   * @param {Function} callback - The function to call with parsed args
+   * Parse command line arguments and dispatch to the matching handler
+   * @param {Object} handlers - Command handlers
+   * @param {Function} handlers.interactive - Called when no subcommand is given
+   * @param {Function} handlers.search - Called with (term)
+   * @param {Function} handlers.depots - Called with (appId)
+   * @param {Function} handlers.manifests - Called with (appId, depotId)
+   * @param {Function} handlers.command - Called with (appId, depotId, manifest)
+   * @param {Function} handlers.build - Called with (appId, build)
+   * @param {Function} handlers.watch - Called with (appIds, options)
+   * @param {Function} handlers.apply - Called with (appId, depotId, options)
+   * @param {Function} handlers.rollback - Called with (appId)
+   * @param {Function} handlers.backups - Called with (appId, options)
+   * @param {Function} handlers.freeze - Called with (appId, build, options)
+   * @param {Function} handlers.unfreeze - Called with (appId)
+   * @param {Function} handlers.download - Called with (appId, depotId, manifest, options)
+   * @param {Function} handlers.files - Called with (appId, depotId, manifest)
+   * @param {Function} handlers.diff - Called with (appId, depotId, manifestA, manifestB)
+   * @param {Function} handlers.sync - Called with (options)
+   * @param {Function} handlers.import - Called with (file)
+   * @param {Function} handlers.script - Called with (appId, depots, options)
+   * @param {Function} handlers.login - Called with (accountName)
+   * @param {Function} handlers.logout - Called with no arguments
+   * @returns {Promise<Command>} Resolves when the handler has finished
    */
-  parseArguments(callback) {
-    this.program.action(callback);
-    this.program.parse(process.argv);
+  parseArguments(handlers) {
+    this.program.hook("preAction", () => {
+      const { json, ndjson, steamRoot, offline, betaPassword } =
+        this.program.opts();
+
+      if (steamRoot) {
+        this.steamLibrary.steamRoot = path.resolve(steamRoot);
+      }
+
+      if (offline && this.steamClient) {
+        this.steamClient.offline = true;
+      }
+
+      if (betaPassword && this.steamClient) {
+        this.steamClient.betaPassword = betaPassword;
+      }
+
+      if (ndjson) {
+        this.output.setFormat("ndjson");
+      } else if (json) {
+        this.output.setFormat("json");
+      }
+    });
+
+    this.program.action(() => handlers.interactive());
+
+    this.program
+      .command("search")
+      .description("Search the Steam store and list matching applications")
+      .argument("<term>", "search term, app ID, or store or SteamDB link")
+      .action((term) => handlers.search(term));
+
+    this.program
+      .command("depots")
+      .description("List the depots of an application")
+      .argument("<appid>", "Steam app ID", parseSteamId)
+      .action((appId) => handlers.depots(appId));
+
+    this.program
+      .command("manifests")
+      .description("List the known manifests of a depot")
+      .argument("<appid>", "Steam app ID", parseSteamId)
+      .argument("<depotid>", "depot ID", parseSteamId)
+      .action((appId, depotId) => handlers.manifests(appId, depotId));
+
+    this.program
+      .command("command")
+      .description(
+        "Print the Steam console download_depot command for a manifest"
+      )
+      .argument("<appid>", "Steam app ID", parseSteamId)
+      .argument("<depotid>", "depot ID", parseSteamId)
+      .argument(
+        "<manifest>",
+        "manifest ID, or a branch name to resolve its current manifest"
+      )
+      .action((appId, depotId, manifest) =>
+        handlers.command(appId, depotId, manifest)
+      );
+
+    this.program
+      .command("build")
+      .description(
+        "Print the download_depot commands for every depot of a build"
+      )
+      .argument("<appid>", "Steam app ID", parseSteamId)
+      .argument(
+        "<build>",
+        "build ID, or a branch name to use its current build"
+      )
+      .action((appId, build) => handlers.build(appId, build));
+
+    this.program
+      .command("download")
+      .description(
+        "Download a manifest's files from Steam's CDN (most depots need login)"
+      )
+      .argument("<appid>", "Steam app ID", parseSteamId)
+      .argument("<depotid>", "depot ID", parseSteamId)
+      .argument(
+        "<manifest>",
+        "manifest ID, or a branch name to download its current manifest"
+      )
+      .option(
+        "--dir <dir>",
+        "directory to download to (default: ./downloads/<appid>/<depotid>)"
+      )
+      .option(
+        "--concurrency <chunks>",
+        "chunks to download at the same time",
+        parsePositiveNumber,
+        8
+      )
+      .action((appId, depotId, manifest, options) =>
+        handlers.download(appId, depotId, manifest, options)
+      );
+
+    this.program
+      .command("files")
+      .description("List the files of a manifest with their sizes and SHA-1s")
+      .argument("<appid>", "Steam app ID", parseSteamId)
+      .argument("<depotid>", "depot ID", parseSteamId)
+      .argument("<manifest>", "manifest ID, or a branch name")
+      .action((appId, depotId, manifest) =>
+        handlers.files(appId, depotId, manifest)
+      );
+
+    this.program
+      .command("diff")
+      .description(
+        "List the files added, removed and modified between two manifests"
+      )
+      .argument("<appid>", "Steam app ID", parseSteamId)
+      .argument("<depotid>", "depot ID", parseSteamId)
+      .argument("<manifestA>", "old manifest ID, or a branch name")
+      .argument("<manifestB>", "new manifest ID, or a branch name")
+      .action((appId, depotId, manifestA, manifestB) =>
+        handlers.diff(appId, depotId, manifestA, manifestB)
+      );
+
+    this.program
+      .command("sync")
+      .description(
+        "List the download_depot steps that bring installed apps to the versions pinned in steam-versions.json"
+      )
+      .option(
+        "--config <file>",
+        "version config file (default: ./steam-versions.json)"
+      )
+      .option("--run", "download the needed depots from Steam's CDN")
+      .option(
+        "--dir <dir>",
+        "directory to download to with --run (default: ./downloads)"
+      )
+      .option(
+        "--concurrency <chunks>",
+        "chunks to download at the same time with --run",
+        parsePositiveNumber,
+        8
+      )
+      .action((options) => handlers.sync(options));
+
+    this.program
+      .command("import")
+      .description(
+        "Check a lockfile saved with --save against Steam and print its download_depot commands"
+      )
+      .argument("<file>", "lockfile to read")
+      .action((file) => handlers.import(file));
+
+    this.program
+      .command("script")
+      .description(
+        "Generate a bash, PowerShell or batch script that downloads manifests with DepotDownloader"
+      )
+      .argument("<appid>", "Steam app ID", parseSteamId)
+      .argument(
+        "<depots...>",
+        "depotid:manifest pairs, with a manifest ID or a branch name",
+        collectDepotManifests
+      )
+      .option(
+        "--format <format>",
+        "bash, powershell or batch (default: from --output, else bash)",
+        parseScriptFormat
+      )
+      .option("-o, --output <file>", "write the script to a file")
+      .option(
+        "--dir <dir>",
+        "directory the script downloads into (default: downloads)"
+      )
+      .action((appId, depots, options) =>
+        handlers.script(appId, depots, options)
+      );
+
+    this.program
+      .command("watch")
+      .description(
+        "Poll apps for new builds and record them in the manifest history"
+      )
+      .argument("<appids...>", "Steam app IDs to watch", collectSteamIds)
+      .option(
+        "-i, --interval <minutes>",
+        "minutes between polls",
+        parsePositiveNumber,
+        10
+      )
+      .option("--once", "poll a single time and exit")
+      .action((appIds, options) => handlers.watch(appIds, options));
+
+    this.program
+      .command("apply")
+      .description(
+        "Copy a downloaded depot (steamapps/content/app_X/depot_Y) into the game installation"
+      )
+      .argument("<appid>", "Steam app ID", parseSteamId)
+      .argument("<depotid>", "depot ID", parseSteamId)
+      .option("--dry-run", "list the files that would be written and exit")
+      .option(
+        "--force",
+        "apply even if Steam has not logged the download as complete"
+      )
+      .option("--source <dir>", "downloaded depot folder (detected by default)")
+      .option(
+        "--target <dir>",
+        "game installation folder (detected by default)"
+      )
+      .option("--no-backup", "do not back up the files that are overwritten")
+      .action((appId, depotId, options) =>
+        handlers.apply(appId, depotId, options)
+      );
+
+    this.program
+      .command("rollback")
+      .description("Restore the most recent backup taken by apply")
+      .argument("<appid>", "Steam app ID", parseSteamId)
+      .action((appId) => handlers.rollback(appId));
+
+    this.program
+      .command("backups")
+      .description("List the backups taken by apply, or prune old ones")
+      .argument("[appid]", "only this Steam app ID", parseSteamId)
+      .option(
+        "--prune <keep>",
+        "delete all but the newest <keep> backups of each app",
+        parseCount
+      )
+      .action((appId, options) => handlers.backups(appId, options));
+
+    this.program
+      .command("freeze")
+      .description(
+        "Edit an app's appmanifest so Steam treats the applied version as installed and stops updating it"
+      )
+      .argument("<appid>", "Steam app ID", parseSteamId)
+      .argument(
+        "[build]",
+        "build ID or branch name of the applied version, recorded for every installed depot"
+      )
+      .option(
+        "--depot <depotid:manifest>",
+        "record this manifest for a depot (repeatable)",
+        collectDepotManifests
+      )
+      .action((appId, build, options) =>
+        handlers.freeze(appId, build, options)
+      );
+
+    this.program
+      .command("unfreeze")
+      .description("Restore the appmanifest an app had before it was frozen")
+      .argument("<appid>", "Steam app ID", parseSteamId)
+      .action((appId) => handlers.unfreeze(appId));
+
+    this.program
+      .command("login")
+      .description(
+        "Log in to a Steam account and use it for later commands instead of anonymous access"
+      )
+      .argument("[account]", "Steam account name (prompted for if omitted)")
+      .action((accountName) => handlers.login(accountName));
+
+    this.program
+      .command("logout")
+      .description(
+        "Forget the saved Steam login and go back to anonymous access"
+      )
+      .action(() => handlers.logout());
+
+    return this.program.parseAsync(process.argv);
+  }
+
+  /**
+   * Print the files an apply would write, as lines of (action, size, path)
+   * @param {Object} plan - Plan from DepotApplier.plan
+   */
+  printApplyPlan(plan) {
+    const overwrites = plan.files.filter((file) => file.overwrite).length;
+
+    this.output.list(
+      plan.files.map((file) => ({
+        path: file.path,
+        size: file.size,
+        action: file.overwrite ? "overwrite" : "add",
+      })),
+      (file) => [file.action, file.size, file.path].join("\t")
+    );
+    this.output.log(
+      chalk.blue(
+        `\nDry run: would copy ${plan.files.length} files (${this.formatSize(
+          plan.totalBytes
+        )}) from ${plan.sourceDir} to ${
+          plan.targetDir
+        }, overwriting ${overwrites}.`
+      )
+    );
+  }
+
+  /**
+   * Print the result of an apply
+   * @param {Object} summary - Apply summary
+   */
+  printApplySummary(summary) {
+    this.output.item(summary, (record) =>
+      [
+        `Files written: ${record.filesWritten}`,
+        `Files overwritten: ${record.filesOverwritten}`,
+        `Bytes written: ${record.bytesWritten} (${this.formatSize(
+          record.bytesWritten
+        )})`,
+        `Backup: ${record.backupId || "none"}`,
+      ].join("\n")
+    );
+  }
+
+  /**
+   * Print the result of a depot download
+   * @param {Object} summary - Download summary
+   */
+  printDownloadSummary(summary) {
+    this.output.item(summary, (record) =>
+      [
+        `Files downloaded: ${record.filesDownloaded}`,
+        `Files already up to date: ${record.filesSkipped}`,
+        `Bytes downloaded: ${record.bytesDownloaded} (${this.formatSize(
+          record.bytesDownloaded
+        )})`,
+        `Directory: ${record.downloadDir}`,
+      ].join("\n")
+    );
+  }
+
+  /**
+   * Print the steps that bring apps to their pinned versions
+   *
+   * A summary of each app goes to stderr; each depot is printed as its status
+   * (install or current) and its download_depot command.
+   * @param {Array<Object>} plans - Plans from VersionSync.plan
+   */
+  printSyncPlan(plans) {
+    plans.forEach((plan) => {
+      const toInstall = plan.depots.filter((d) => d.status === "install");
+
+      this.output.log(
+        chalk.green(
+          `\nApp ${plan.appId}${plan.name ? ` (${plan.name})` : ""}, ${
+            plan.pin
+          }: ${toInstall.length} depots to download, ${
+            plan.depots.length - toInstall.length
+          } up to date`
+        )
+      );
+
+      plan.missing.forEach((depot) => {
+        this.output.log(
+          chalk.yellow(`Depot ${depot.depotId} skipped: ${depot.reason}`)
+        );
+      });
+    });
+
+    this.output.list(
+      plans.flatMap((plan) =>
+        plan.depots.map((depot) => ({
+          appId: plan.appId,
+          depotId: parseInt(depot.depotId, 10),
+          manifestId: depot.manifestId,
+          installedManifestId: depot.installedManifestId,
+          status: depot.status,
+          branch: plan.branch,
+          buildId: plan.buildId,
+          name: depot.name,
+          command: this.buildSteamCommand(
+            plan.appId,
+            depot.depotId,
+            depot.manifestId
+          ),
+        }))
+      ),
+      (record) => `${record.status}\t${record.command}`
+    );
+  }
+
+  /**
+   * Print the depots of a lockfile with their download_depot commands
+   * @param {Object} lock - Lockfile data from Lockfile.read
+   * @param {Array<Object>} depots - Depots from Lockfile.check
+   */
+  printImport(lock, depots) {
+    this.output.log(
+      chalk.green(
+        `\nApp ${lock.appId}${lock.name ? ` (${lock.name})` : ""}, saved ${
+          lock.savedAt
+            ? new Date(lock.savedAt).toLocaleString()
+            : "at an unknown time"
+        }: ${depots.length} depots`
+      )
+    );
+
+    const warnings = {
+      historical: "no branch points at this manifest any more",
+      unlisted: "this manifest has not been seen for the depot",
+      missing: "the app no longer has this depot",
+    };
+
+    depots.forEach((depot) => {
+      if (warnings[depot.status]) {
+        this.output.log(
+          chalk.yellow(
+            `Depot ${depot.depotId}, manifest ${depot.manifestId}: ${
+              warnings[depot.status]
+            }`
+          )
+        );
+      }
+    });
+
+    this.output.list(
+      depots
+        .filter((depot) => depot.status !== "missing")
+        .map((depot) => ({
+          appId: lock.appId,
+          depotId: depot.depotId,
+          manifestId: depot.manifestId,
+          buildId: depot.buildId || null,
+          branch: depot.branch || null,
+          name: depot.name || null,
+          status: depot.status,
+          command: this.buildSteamCommand(
+            lock.appId,
+            depot.depotId,
+            depot.manifestId
+          ),
+        })),
+      (record) => record.command
+    );
+  }
+
+  /**
+   * Print backups as tab-separated lines (id, app, depot, manifest, files)
+   * @param {Array} backupList - Backups from BackupStore.list
+   */
+  printBackups(backupList) {
+    this.output.list(backupList.map(toBackupRecord), (backup) =>
+      [
+        backup.id,
+        backup.appId,
+        backup.depotId,
+        backup.manifestId || "-",
+        `${backup.filesSaved} saved, ${backup.filesAdded} added`,
+      ].join("\t")
+    );
+  }
+
+  /**
+   * Print the result of a rollback
+   * @param {Object} summary - Rollback summary
+   */
+  printRollbackSummary(summary) {
+    this.output.item(summary, (record) =>
+      [
+        `Backup restored: ${record.backupId}`,
+        `Files restored: ${record.filesRestored}`,
+        `Files removed: ${record.filesRemoved}`,
+      ].join("\n")
+    );
+  }
+
+  /**
+   * Print the result of a freeze
+   * @param {Object} summary - Freeze summary from AppFreezer.freeze
+   */
+  printFreezeSummary(summary) {
+    this.output.item(summary, (record) =>
+      [
+        `Frozen: ${record.name || `App ${record.appId}`} (${record.appId})`,
+        `Build: ${record.previousBuildId || "-"} -> ${record.buildId || "-"}`,
+        ...record.depots.map(
+          (depot) =>
+            `Depot ${depot.depotId}: ${depot.previousManifestId || "-"} -> ${
+              depot.manifestId
+            }`
+        ),
+        `App manifest: ${record.manifestPath}`,
+        `Original saved to: ${record.backupPath}`,
+      ].join("\n")
+    );
+  }
+
+  /**
+   * Print the result of an unfreeze
+   * @param {Object} summary - Unfreeze summary from AppFreezer.unfreeze
+   */
+  printUnfreezeSummary(summary) {
+    this.output.item(summary, (record) =>
+      [
+        `Restored: ${record.manifestPath}`,
+        `Build: ${record.buildId || "-"}`,
+      ].join("\n")
+    );
+  }
+
+  /**
+   * Build the Steam console command for downloading a depot manifest
+   * @param {number} appId - The app ID
+   * @param {number} depotId - The depot ID
+   * @param {string} manifestId - The manifest ID
+   * @returns {string} The download_depot command
+   */
+  buildSteamCommand(appId, depotId, manifestId) {
+    return `download_depot ${appId} ${depotId} ${manifestId}`;
+  }
+
+  /**
+   * Print search results as tab-separated lines (appid, type, name)
+   * @param {Array} appList - List of apps to print
+   */
+  printGames(appList) {
+    this.output.list(appList.map(toAppRecord), (app) =>
+      [app.appid, app.type || "-", app.name].join("\t")
+    );
+  }
+
+  /**
+   * Print depots as tab-separated lines (id, os, language, name)
+   * @param {Array} depotList - List of depots to print
+   */
+  printDepots(depotList) {
+    this.output.list(depotList.map(toDepotRecord), (depot) =>
+      [depot.id, depot.osType, depot.language || "-", depot.name].join("\t")
+    );
+  }
+
+  /**
+   * Print manifests as tab-separated lines (manifest, build, branch, updated)
+   * @param {Array} manifestList - List of manifests to print
+   */
+  printManifests(manifestList) {
+    this.output.list(manifestList.map(toManifestRecord), (manifest) => {
+      const updated = manifest.timeupdated
+        ? new Date(manifest.timeupdated * 1000).toISOString()
+        : "-";
+      return [
+        manifest.manifestId,
+        manifest.buildId || "-",
+        manifest.branch || "-",
+        updated,
+      ].join("\t");
+    });
+  }
+
+  /**
+   * Print manifest files as tab-separated lines (sha, size, path)
+   * @param {Array} fileList - Files from SteamClient.getManifestFiles
+   */
+  printFiles(fileList) {
+    this.output.list(fileList.map(toFileRecord), (file) =>
+      [file.sha, file.size, file.path].join("\t")
+    );
+
+    const totalBytes = fileList.reduce((total, file) => total + file.size, 0);
+    this.output.log(
+      chalk.white(`${fileList.length} files, ${this.formatSize(totalBytes)}`)
+    );
+  }
+
+  /**
+   * Print a manifest diff as tab-separated lines (change, size, path)
+   *
+   * Changes are marked + (added), - (removed) or M (modified).
+   * @param {Object} diff - Diff from ManifestDiff.compare
+   */
+  printDiff(diff) {
+    const marks = { added: "+", removed: "-", modified: "M" };
+    const changes = [...diff.added, ...diff.removed, ...diff.modified].sort(
+      (a, b) => a.path.localeCompare(b.path)
+    );
+
+    this.output.list(changes, (change) => {
+      const size =
+        change.change === "modified"
+          ? `${change.oldSize} -> ${change.newSize}`
+          : change.newSize ?? change.oldSize;
+      return [marks[change.change], size, change.path].join("\t");
+    });
+
+    const sign = diff.deltaBytes < 0 ? "-" : "+";
+    this.output.log(
+      chalk.white(
+        `${diff.added.length} added, ${diff.removed.length} removed, ${
+          diff.modified.length
+        } modified, ${diff.unchanged} unchanged; ${sign}${this.formatSize(
+          Math.abs(diff.deltaBytes)
+        )} in total`
+      )
+    );
+  }
+
+  /**
+   * Print the download_depot command for a manifest
+   * @param {number} appId - The app ID
+   * @param {number} depotId - The depot ID
+   * @param {string} manifestId - The manifest ID
+   */
+  printSteamCommand(appId, depotId, manifestId) {
+    this.output.item(
+      {
+        appId: appId,
+        depotId: depotId,
+        manifestId: String(manifestId),
+        command: this.buildSteamCommand(appId, depotId, manifestId),
+      },
+      (record) => record.command
+    );
+  }
+
+  /**
+   * Print the download_depot command of every depot in a build
+   * @param {Object} build - Build from SteamClient.getBuildManifests
+   */
+  printBuild(build) {
+    this.output.log(
+      chalk.green(
+        `\nBuild ${build.buildId}${build.branch ? ` (${build.branch})` : ""}: ${
+          build.depots.length
+        } depots`
+      )
+    );
+
+    if (build.missing.length > 0) {
+      this.output.log(
+        chalk.yellow(
+          `No manifest known for this build of depots: ${build.missing
+            .map((depot) => depot.id)
+            .join(", ")}`
+        )
+      );
+    }
+
+    this.output.list(
+      build.depots.map((depot) => ({
+        appId: build.appId,
+        depotId: parseInt(depot.id, 10),
+        manifestId: String(depot.manifestId),
+        buildId: build.buildId,
+        branch: build.branch,
+        name: depot.name,
+        command: this.buildSteamCommand(
+          build.appId,
+          depot.id,
+          depot.manifestId
+        ),
+      })),
+      (record) => record.command
+    );
   }
 
   /**
    * Display the list of manifests and let user select one
    * @param {Array} manifestList - List of manifests to display
-   * @returns {Promise<Object>} The selected manifest
+   * @param {Object} [installed] - Installed app state from SteamLibrary.getInstalledApp
+   * @param {number} [depotId] - The depot the manifests belong to
+   * @param {Array} [lockedBranches] - Password-protected branches from SteamClient.getLockedBranches
+   * @returns {Promise<Object>} The selected manifest, or {isLocked, branch} for a locked branch
    */
-  async selectManifest(manifestList) {
-    if (manifestList.length === 0) {
-      console.log(chalk.yellow("\nNo manifests found for this depot."));
+  async selectManifest(
+    manifestList,
+    installed = null,
+    depotId = null,
+    lockedBranches = []
+  ) {
+    if (manifestList.length === 0 && lockedBranches.length === 0) {
+      this.output.log(chalk.yellow("\nNo manifests found for this depot."));
       return null;
     }
 
+    const installedManifestId = installed?.depots[depotId]?.manifestId || null;
+    const installedMark = (manifest) =>
+      String(manifest.manifestId) === installedManifestId
+        ? chalk.green(" [installed]")
+        : "";
+
     // Group manifests by type (current branches vs historical)
     const currentManifests = manifestList.filter((m) => !m.isHistorical);
     const historicalManifests = manifestList.filter((m) => m.isHistorical);
 
-    console.log(
+    this.output.log(
       chalk.green(`\nFound ${manifestList.length} manifests for this depot:\n`)
     );
 
+    if (installedManifestId) {
+      this.output.log(
+        chalk.white(
+          `Installed: manifest ${installedManifestId} (Build ID: ${installed.buildId})`
+        )
+      );
+    }
+
     // Create choices with sections
     const choices = [];
 
@@ -282,6 +1466,18 @@ class CLI {
 
         // Add public/private indicator
         label += manifest.isPublic ? " [Public]" : " [Private]";
+        label += installedMark(manifest);
+
+        // Say how the installed build relates to this branch
+        const comparison = this.compareBuilds(
+          installed?.buildId,
+          manifest.buildId
+        );
+        if (comparison !== "same" && comparison !== "unknown") {
+          label += chalk.gray(
+            ` (installed build ${installed.buildId} is ${comparison})`
+          );
+        }
 
         // Add description if available
         if (manifest.description) {
@@ -295,6 +1491,35 @@ class CLI {
       });
     }
 
+    // Password-protected branches only show their manifest once unlocked
+    if (lockedBranches.length > 0) {
+      choices.push(
+        new inquirer.Separator(
+          chalk.yellow("\n---- Password-Protected Branches ----")
+        )
+      );
+
+      lockedBranches.forEach((locked) => {
+        let label = `${locked.branch} (Build ID: ${locked.buildId})`;
+
+        if (locked.timeupdated) {
+          const date = new Date(locked.timeupdated * 1000);
+          label += ` - Updated: ${date.toLocaleString()}`;
+        }
+
+        label += chalk.gray(" [Password required]");
+
+        if (locked.description) {
+          label += ` - ${locked.description}`;
+        }
+
+        choices.push({
+          name: label,
+          value: { ...locked, isLocked: true },
+        });
+      });
+    }
+
     // Add historical manifests
     if (historicalManifests.length > 0) {
       choices.push(
@@ -304,15 +1529,17 @@ class CLI {
       );
 
       historicalManifests.forEach((manifest) => {
-        let label = `Manifest: ${manifest.manifestId}`;
+        let label = `Manifest: ${manifest.manifestId} (Build ID: ${manifest.buildId}, ${manifest.branch})`;
 
         // Add time information if available
         if (manifest.timeupdated) {
           const date = new Date(manifest.timeupdated * 1000);
           const relativeTime = this.getRelativeTimeString(manifest.timeupdated);
-          label += ` - Seen: ${date.toLocaleString()} (${relativeTime})`;
+          label += ` - Updated: ${date.toLocaleString()} (${relativeTime})`;
         }
 
+        label += installedMark(manifest);
+
         choices.push({
           name: label,
           value: manifest,
@@ -320,7 +1547,7 @@ class CLI {
       });
     }
 
-    const { selectedManifest } = await inquirer.prompt([
+    const { selectedManifest } = await this.prompt([
       {
         type: "list",
         name: "selectedManifest",
@@ -333,11 +1560,28 @@ class CLI {
     return selectedManifest;
   }
 
+  /**
+   * Compare an installed build ID with another build ID
+   * @param {string} installedBuildId - The installed build ID
+   * @param {string} buildId - The build ID to compare with
+   * @returns {string} "older", "newer", "same" or "unknown"
+   */
+  compareBuilds(installedBuildId, buildId) {
+    const installedBuild = parseInt(installedBuildId, 10);
+    const build = parseInt(buildId, 10);
+
+    if (isNaN(installedBuild) || isNaN(build)) return "unknown";
+    if (installedBuild < build) return "older";
+    if (installedBuild > build) return "newer";
+    return "same";
+  }
+
   /**
    * Display details about the selected manifest
    * @param {Object} manifest - The selected manifest
    * @param {number} appId - The app ID
    * @param {number} depotId - The depot ID
+   * @returns {Promise<void>} Resolves once the Steam command has been handled
    */
   displayManifestDetails(manifest, appId, depotId) {
     if (!manifest) return;
@@ -347,172 +1591,309 @@ class CLI {
     this.currentDepotId = depotId;
     this.currentManifestId = manifest.manifestId;
 
-    console.log(chalk.green("\nSelected Manifest Details:"));
+    this.output.log(chalk.green("\nSelected Manifest Details:"));
 
     if (manifest.isHistorical) {
-      console.log(chalk.white(`Manifest ID: ${manifest.manifestId}`));
+      this.output.log(chalk.white(`Manifest ID: ${manifest.manifestId}`));
+      this.output.log(chalk.white(`Build ID: ${manifest.buildId}`));
+      this.output.log(chalk.white(`Seen On Branch: ${manifest.branch}`));
 
       if (manifest.timeupdated) {
         const date = new Date(manifest.timeupdated * 1000);
-        console.log(chalk.white(`First Seen: ${date.toLocaleString()}`));
+        this.output.log(chalk.white(`Last Updated: ${date.toLocaleString()}`));
+      }
+      if (manifest.firstSeen) {
+        const date = new Date(manifest.firstSeen * 1000);
+        this.output.log(chalk.white(`First Seen: ${date.toLocaleString()}`));
       }
 
-      console.log(chalk.white(`Type: Previously seen manifest`));
+      this.output.log(chalk.white(`Type: Previously seen manifest`));
     } else {
-      console.log(chalk.white(`Branch: ${manifest.branch}`));
-      console.log(chalk.white(`Build ID: ${manifest.buildId}`));
-      console.log(chalk.white(`Manifest ID: ${manifest.manifestId}`));
+      this.output.log(chalk.white(`Branch: ${manifest.branch}`));
+      this.output.log(chalk.white(`Build ID: ${manifest.buildId}`));
+      this.output.log(chalk.white(`Manifest ID: ${manifest.manifestId}`));
 
       if (manifest.description) {
-        console.log(chalk.white(`Description: ${manifest.description}`));
+        this.output.log(chalk.white(`Description: ${manifest.description}`));
       }
 
-      console.log(chalk.white(`Public: ${manifest.isPublic ? "Yes" : "No"}`));
+      this.output.log(
+        chalk.white(`Public: ${manifest.isPublic ? "Yes" : "No"}`)
+      );
+
+      if (manifest.passwordRequired) {
+        this.output.log(chalk.white("Password Required: Yes"));
+      }
 
       if (manifest.timeupdated) {
         const date = new Date(manifest.timeupdated * 1000);
-        console.log(chalk.white(`Last Updated: ${date.toLocaleString()}`));
+        this.output.log(chalk.white(`Last Updated: ${date.toLocaleString()}`));
       }
     }
 
     // Generate and display the Steam command
-    this.generateSteamCommand();
+    return this.generateSteamCommand();
   }
 
   /**
    * Generate the Steam command for downloading a depot with the selected manifest
+   * @returns {Promise<void>} Resolves once the Steam console has been opened
    */
-  generateSteamCommand() {
+  async generateSteamCommand() {
     if (!this.currentAppId || !this.currentDepotId || !this.currentManifestId) {
-      console.log(
+      this.output.log(
         chalk.red("\nMissing required information to generate Steam command.")
       );
       return;
     }
 
-    const steamCommand = `download_depot ${this.currentAppId} ${this.currentDepotId} ${this.currentManifestId}`;
+    const steamCommand = this.buildSteamCommand(
+      this.currentAppId,
+      this.currentDepotId,
+      this.currentManifestId
+    );
+    this.generatedCommands.push({
+      appId: this.currentAppId,
+      depotId: this.currentDepotId,
+      manifestId: this.currentManifestId,
+    });
 
     // Create a command with instructions
-    const commandWithNotes = `${steamCommand}\n\n// IMPORTANT: Wait for download to complete (no progress indicator). After completion, copy files from Steam\\steamapps\\content\\app_${this.currentAppId}\\depot_${this.currentDepotId} to your game folder.`;
+    const { contentDir, installDir } = await this.resolveDownloadPaths();
+    const targetDir = installDir || "your game folder";
+    const commandWithNotes = `${steamCommand}\n\n// IMPORTANT: Wait for download to complete (no progress indicator). After completion, copy files from ${contentDir} to ${targetDir}.`;
 
     // Initial display of the command
-    console.log(chalk.green("\nSteam Console Command:"));
-    console.log(chalk.cyan(steamCommand));
+    this.output.log(chalk.green("\nSteam Console Command:"));
+    this.output.log(chalk.cyan(steamCommand));
 
-    console.log(
+    this.output.log(
       chalk.green(
         "\nCommand with instructions (you can copy this whole block):"
       )
     );
-    console.log(chalk.cyan(commandWithNotes));
-
-    // First try to copy to clipboard using powershell on Windows
-    exec(
-      `powershell -command "Set-Clipboard -Value '${commandWithNotes}'"`,
-      (error, stdout, stderr) => {
-        // After clipboard operation, open Steam console
-        this.openSteamConsole(steamCommand, !error);
+    this.output.log(chalk.cyan(commandWithNotes));
+
+    // First try to copy to clipboard, unless disabled with --no-clipboard
+    let clipboardSuccess = false;
+    if (this.program.opts().clipboard) {
+      try {
+        await Clipboard.copy(commandWithNotes);
+        clipboardSuccess = true;
+      } catch (error) {
+        this.output.log(chalk.yellow(`\n${error.message}`));
       }
+    }
+
+    // After clipboard operation, open Steam console
+    await this.openSteamConsole(
+      steamCommand,
+      clipboardSuccess,
+      commandWithNotes
     );
+
+    if (this.program.opts().wait) {
+      await this.waitForDownload(this.currentAppId, this.currentDepotId);
+    }
+  }
+
+  /**
+   * Follow a download_depot run in Steam's logs until it completes
+   * @param {number} appId - The Steam app ID
+   * @param {number} depotId - The depot ID
+   * @returns {Promise<Object>} The completion event with path, files and manifestId
+   */
+  async waitForDownload(appId, depotId) {
+    const steamRoot = await this.steamLibrary.findSteamRoot();
+
+    if (!steamRoot) {
+      throw new Error(
+        "Steam installation not found, so its logs cannot be followed. Pass --steam-root."
+      );
+    }
+
+    const monitor = new DownloadMonitor({ steamRoot });
+    const contentDir = await this.steamLibrary.getDepotContentDir(
+      appId,
+      depotId
+    );
+
+    this.output.log(
+      chalk.green(
+        `\nWaiting for depot ${depotId} to download (watching ${path.join(
+          steamRoot,
+          "logs"
+        )})...`
+      )
+    );
+
+    let result;
+    try {
+      result = await monitor.wait(appId, depotId, {
+        contentDir,
+        timeoutMs: this.program.opts().waitTimeout * 60 * 1000,
+        onProgress: (progress) =>
+          this.output.progress(this.formatDownloadProgress(progress)),
+      });
+    } finally {
+      this.output.endProgress();
+    }
+
+    this.output.log(chalk.green(`✓ Depot download complete: ${result.path}`));
+    if (result.files !== null) {
+      this.output.log(
+        chalk.white(`${result.files} files, manifest ${result.manifestId}`)
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Format a download progress update for the progress line
+   * @param {Object} progress - Progress from DownloadMonitor.wait, or a CDN download with elapsedMs added
+   * @returns {string} Progress message
+   */
+  formatDownloadProgress(progress) {
+    const elapsed = Math.floor(progress.elapsedMs / 1000);
+    const downloaded = this.formatSize(progress.downloadedBytes);
+
+    if (progress.totalBytes) {
+      const percent = Math.min(
+        100,
+        Math.floor((progress.downloadedBytes / progress.totalBytes) * 100)
+      );
+      return `Downloading: ${downloaded} of ${this.formatSize(
+        progress.totalBytes
+      )} (${percent}%) - ${elapsed}s`;
+    }
+
+    return `Downloading: ${downloaded} - ${elapsed}s`;
   }
 
   /**
    * Open the Steam console automatically
    * @param {string} steamCommand - The Steam command to use
    * @param {boolean} clipboardSuccess - Whether clipboard copy was successful
+   * @param {string} commandWithNotes - The command with instructions, shown if it could not be copied
    */
-  openSteamConsole(steamCommand, clipboardSuccess) {
-    // Create command with notes for display if needed
-    const note = `IMPORTANT: Wait for download to complete (no progress indicator). After completion, copy files from Steam\\steamapps\\content\\app_${this.currentAppId}\\depot_${this.currentDepotId} to your game folder.`;
-    const commandWithNotes = `${steamCommand}\n\n${note}`;
+  async openSteamConsole(steamCommand, clipboardSuccess, commandWithNotes) {
+    // Open the console through the steam:// URL handler of the host OS
+    let error = null;
+    try {
+      await Platform.openUrl("steam://open/console");
+    } catch (err) {
+      error = err;
+    }
 
-    // Open URL using the default browser on Windows with command as argument
-    exec(`start steam://open/console`, (error) => {
-      if (error) {
-        console.log(
-          chalk.yellow("\nCould not open Steam console:", error.message)
-        );
-        console.log(
+    if (error) {
+      this.output.log(
+        chalk.yellow("\nCould not open Steam console:", error.message)
+      );
+      this.output.log(
+        chalk.white("Please open Steam console manually and paste the command.")
+      );
+
+      // Show clipboard status after console status
+      if (clipboardSuccess) {
+        this.output.log(chalk.green("\n✓ Command copied to clipboard"));
+      } else {
+        this.output.log(chalk.yellow("\nCould not copy command to clipboard."));
+        this.output.log(chalk.bgRed.white("\nUSE THIS COMMAND:"));
+        this.output.log(chalk.bgCyan.black(` ${commandWithNotes} `));
+      }
+    } else {
+      this.output.log(chalk.green("\n✓ Steam console activated with command!"));
+
+      // Show clipboard status after console status
+      if (clipboardSuccess) {
+        this.output.log(chalk.green("✓ Command copied to clipboard"));
+        this.output.log(
           chalk.white(
-            "Please open Steam console manually and paste the command."
+            "The download command should automatically appear in the Steam console."
           )
         );
 
-        // Show clipboard status after console status
-        if (clipboardSuccess) {
-          console.log(chalk.green("\n✓ Command copied to clipboard"));
-        } else {
-          console.log(chalk.yellow("\nCould not copy command to clipboard."));
-          console.log(chalk.bgRed.white("\nUSE THIS COMMAND:"));
-          console.log(chalk.bgCyan.black(` ${commandWithNotes} `));
-        }
+        // Add post-download instructions
+        await this.displayPostDownloadInstructions();
       } else {
-        console.log(chalk.green("\n✓ Steam console activated with command!"));
-
-        // Show clipboard status after console status
-        if (clipboardSuccess) {
-          console.log(chalk.green("✓ Command copied to clipboard"));
-          console.log(
-            chalk.white(
-              "The download command should automatically appear in the Steam console."
-            )
-          );
-
-          // Add post-download instructions
-          this.displayPostDownloadInstructions();
-        } else {
-          console.log(chalk.yellow("Could not copy command to clipboard."));
-          console.log(
-            chalk.white("Verify that the command is in the Steam console:")
-          );
-          console.log(chalk.bgCyan.black(` ${steamCommand} `));
+        this.output.log(chalk.yellow("Could not copy command to clipboard."));
+        this.output.log(
+          chalk.white("Verify that the command is in the Steam console:")
+        );
+        this.output.log(chalk.bgCyan.black(` ${steamCommand} `));
 
-          // Add post-download instructions
-          this.displayPostDownloadInstructions();
-        }
+        // Add post-download instructions
+        await this.displayPostDownloadInstructions();
       }
-    });
+    }
   }
 
   /**
    * Display instructions for what to do after depot download completes
    */
-  displayPostDownloadInstructions() {
-    console.log(
+  async displayPostDownloadInstructions() {
+    const { contentDir, installDir } = await this.resolveDownloadPaths();
+
+    this.output.log(
       chalk.bgYellow.black("\nIMPORTANT POST-DOWNLOAD INSTRUCTIONS:")
     );
-    console.log(
+    this.output.log(
       chalk.white(
-        "1. After running the command, wait for the download to complete (there is no progress indicator)"
+        "1. After running the command, wait for the download to complete (run with --wait to follow its progress here)"
       )
     );
-    console.log(
+    this.output.log(
       chalk.white(
         '2. When complete, you\'ll see a message like: "Depot download complete : [path] ([files], manifest [id])"'
       )
     );
-    console.log(
+    this.output.log(
       chalk.white(
-        `3. Go to the download location shown in the message (usually in Steam\\steamapps\\content\\app_${this.currentAppId}\\depot_${this.currentDepotId})`
+        `3. Go to the download location shown in the message (usually ${contentDir})`
       )
     );
-    console.log(
+    this.output.log(
       chalk.white(
         "4. Copy all files from this folder to your game installation directory to complete the update"
       )
     );
 
-    // Add option to open the download directory
-    console.log(
-      chalk.cyan(
-        "\nTip: You can open the download location directly by entering this in File Explorer address bar:"
-      )
-    );
-    console.log(
-      chalk.bgWhite.black(
-        ` %PROGRAMFILES(X86)%\\Steam\\steamapps\\content\\app_${this.currentAppId}\\depot_${this.currentDepotId} `
-      )
-    );
+    // Show the resolved locations so they can be opened directly
+    this.output.log(chalk.cyan("\nDownload location:"));
+    this.output.log(chalk.bgWhite.black(` ${contentDir} `));
+    this.output.log(chalk.cyan("Game installation directory:"));
+    if (installDir) {
+      this.output.log(chalk.bgWhite.black(` ${installDir} `));
+    } else {
+      this.output.log(
+        chalk.yellow(
+          ` Not found in any Steam library - is app ${this.currentAppId} installed?`
+        )
+      );
+    }
+  }
+
+  /**
+   * Resolve where the selected depot is downloaded to and where the game lives
+   * @returns {Promise<Object>} contentDir (always set) and installDir (or null)
+   */
+  async resolveDownloadPaths() {
+    const contentDir =
+      (await this.steamLibrary.getDepotContentDir(
+        this.currentAppId,
+        this.currentDepotId
+      )) ||
+      path.join(
+        "Steam",
+        "steamapps",
+        "content",
+        `app_${this.currentAppId}`,
+        `depot_${this.currentDepotId}`
+      );
+    const installDir = await this.steamLibrary.getInstallDir(this.currentAppId);
+
+    return { contentDir, installDir };
   }
 
   /**
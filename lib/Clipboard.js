@@ -0,0 +1,114 @@
+const { spawn } = require("child_process");
+const Platform = require("./Platform");
+
+/**
+ * PowerShell script that reads stdin as UTF-8 and puts it on the clipboard
+ */
+const POWERSHELL_SCRIPT =
+  "[Console]::InputEncoding = [Text.Encoding]::UTF8; " +
+  "Set-Clipboard -Value ([Console]::In.ReadToEnd())";
+
+/**
+ * Run a clipboard program, writing the text to its stdin
+ * @param {Object} backend - The backend to run
+ * @param {string} text - The text to copy
+ * @returns {Promise<void>} Resolves when the program exits successfully
+ */
+function runBackend(backend, text) {
+  return new Promise((resolve, reject) => {
+    // xclip and xsel keep running to serve the selection, so don't wait on
+    // their output streams, only on the process exiting
+    const child = spawn(backend.command, backend.args, {
+      stdio: ["pipe", "ignore", "ignore"],
+      windowsHide: true,
+    });
+
+    child.on("error", reject);
+    child.on("exit", (code) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`${backend.name} exited with code ${code}`));
+      }
+    });
+
+    child.stdin.on("error", () => {
+      // Reported through the exit code or the error event
+    });
+    child.stdin.end(text);
+  });
+}
+
+/**
+ * Class for copying text to the system clipboard
+ */
+class Clipboard {
+  /**
+   * List the clipboard programs to try on this host, in order of preference
+   * @returns {Array<Object>} Backends with name, command and args
+   */
+  static getBackends() {
+    switch (Platform.getName()) {
+      case "windows":
+        return [
+          {
+            name: "PowerShell",
+            command: "powershell",
+            args: [
+              "-NoProfile",
+              "-NonInteractive",
+              "-Command",
+              POWERSHELL_SCRIPT,
+            ],
+          },
+        ];
+
+      case "macos":
+        return [{ name: "pbcopy", command: "pbcopy", args: [] }];
+
+      default: {
+        const backends = [
+          {
+            name: "xclip",
+            command: "xclip",
+            args: ["-selection", "clipboard"],
+          },
+          { name: "xsel", command: "xsel", args: ["--clipboard", "--input"] },
+        ];
+
+        if (process.env.WAYLAND_DISPLAY) {
+          backends.unshift({ name: "wl-copy", command: "wl-copy", args: [] });
+        }
+
+        return backends;
+      }
+    }
+  }
+
+  /**
+   * Copy text to the clipboard using the first backend that works
+   * @param {string} text - The text to copy
+   * @returns {Promise<string>} The name of the backend that was used
+   */
+  static async copy(text) {
+    const backends = Clipboard.getBackends();
+    const failures = [];
+
+    for (const backend of backends) {
+      try {
+        await runBackend(backend, text);
+        return backend.name;
+      } catch (error) {
+        failures.push(
+          error.code === "ENOENT"
+            ? `${backend.name} is not installed`
+            : error.message
+        );
+      }
+    }
+
+    throw new Error(`No clipboard backend available (${failures.join(", ")})`);
+  }
+}
+
+module.exports = Clipboard;
@@ -0,0 +1,78 @@
+const fs = require("fs");
+const AppPaths = require("./AppPaths");
+const JsonFile = require("./JsonFile");
+
+/**
+ * Permissions for the credentials file: readable by its owner only
+ */
+const FILE_MODE = 0o600;
+
+/**
+ * Class for the Steam login remembered between runs
+ *
+ * Only the account name and the refresh token Steam issues after a password
+ * login are kept; the password itself is never written to disk.
+ */
+class CredentialStore {
+  /**
+   * Create a new credential store
+   * @param {Object} [options] - Store options
+   * @param {string} [options.filePath] - Where the credentials are kept
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || AppPaths.resolve("credentials.json");
+  }
+
+  /**
+   * Read the saved login
+   * @returns {Object|null} accountName, refreshToken and savedAt, or null if none is saved
+   */
+  get() {
+    const data = JsonFile.read(this.filePath, null);
+
+    if (!data || !data.accountName || !data.refreshToken) {
+      return null;
+    }
+
+    return {
+      accountName: data.accountName,
+      refreshToken: data.refreshToken,
+      savedAt: data.savedAt,
+    };
+  }
+
+  /**
+   * Save a login, replacing any saved before
+   * @param {string} accountName - The Steam account name
+   * @param {string} refreshToken - The refresh token Steam issued for it
+   */
+  set(accountName, refreshToken) {
+    JsonFile.write(
+      this.filePath,
+      {
+        accountName,
+        refreshToken,
+        savedAt: Math.floor(Date.now() / 1000),
+      },
+      { mode: FILE_MODE }
+    );
+  }
+
+  /**
+   * Forget the saved login
+   * @returns {boolean} True if there was one to forget
+   */
+  clear() {
+    try {
+      fs.unlinkSync(this.filePath);
+      return true;
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return false;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = CredentialStore;
@@ -0,0 +1,251 @@
+const fs = require("fs");
+const path = require("path");
+const chalk = require("chalk");
+const Output = require("./Output");
+
+/**
+ * Steam console log files, newest first
+ */
+const CONSOLE_LOGS = ["console_log.txt", "console_log.previous.txt"];
+
+/**
+ * Steam's completion message, with the local time it was logged and the
+ * downloaded folder
+ */
+const COMPLETE_LINE_PATTERN =
+  /^\[(\d{4})-(\d\d)-(\d\d) (\d\d):(\d\d):(\d\d)\].*Depot download complete\s*:\s*"?([^"]+?)"?\s*(?:\(.*\))?\s*$/;
+
+/**
+ * Recursively list the files below a directory
+ * @param {string} dir - The directory to walk
+ * @param {string} [prefix] - Relative path of dir from the walk root
+ * @returns {Promise<Array<string>>} Relative file paths
+ */
+async function listFiles(dir, prefix = "") {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    const relativePath = path.join(prefix, entry.name);
+
+    if (entry.isDirectory()) {
+      files.push(
+        ...(await listFiles(path.join(dir, entry.name), relativePath))
+      );
+    } else if (entry.isFile()) {
+      files.push(relativePath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Read the time and folder name of a completion line from the console log
+ * @param {string} line - The log line
+ * @returns {Object|null} time (ms since the epoch) and folder, or null if the line is not a completion message
+ */
+function parseCompleteLine(line) {
+  const match = line.match(COMPLETE_LINE_PATTERN);
+
+  if (!match) {
+    return null;
+  }
+
+  const [year, month, day, hour, minute, second] = match
+    .slice(1, 7)
+    .map((part) => parseInt(part, 10));
+
+  return {
+    // The console log is written in local time
+    time: new Date(year, month - 1, day, hour, minute, second).getTime(),
+    folder: match[7]
+      .replace(/[\\/]+$/, "")
+      .split(/[\\/]/)
+      .pop(),
+  };
+}
+
+/**
+ * Class for copying downloaded depot content over a game installation
+ */
+class DepotApplier {
+  /**
+   * Create a new depot applier
+   * @param {Object} [options] - Applier options
+   * @param {Output} [options.output] - Where to send progress messages
+   */
+  constructor(options = {}) {
+    this.output = options.output || new Output();
+  }
+
+  /**
+   * Check that a downloaded depot folder exists and finished downloading
+   * @param {string} sourceDir - The depot content directory
+   * @param {Object} [options] - Validation options
+   * @param {string} [options.steamRoot] - Steam root, used to read the console log
+   * @param {boolean} [options.force] - Skip the completion check
+   * @returns {Promise<void>} Rejects with a description of the problem
+   */
+  async validateSource(sourceDir, options = {}) {
+    let stats;
+
+    try {
+      stats = await fs.promises.stat(sourceDir);
+    } catch (error) {
+      throw new Error(
+        `Downloaded depot not found at ${sourceDir}. Run the download_depot command first.`
+      );
+    }
+
+    if (!stats.isDirectory()) {
+      throw new Error(`${sourceDir} is not a directory.`);
+    }
+
+    const files = await listFiles(sourceDir);
+    if (files.length === 0) {
+      throw new Error(`${sourceDir} is empty; the download has not finished.`);
+    }
+
+    if (options.force) {
+      return;
+    }
+
+    // Steam logs "Depot download complete : <path>" once everything is written
+    const complete = await this.isMarkedComplete(sourceDir, options.steamRoot);
+
+    if (complete === null) {
+      throw new Error(
+        `Steam's console log was not found, so the download of ${sourceDir} cannot be confirmed as complete. ` +
+          "Pass --force to apply anyway."
+      );
+    }
+    if (!complete) {
+      throw new Error(
+        `Steam has not reported the download of ${sourceDir} as complete. ` +
+          "Wait for it to finish, or pass --force to apply anyway."
+      );
+    }
+  }
+
+  /**
+   * Look for the download completion message in Steam's console logs
+   *
+   * Only a message for this folder logged since the folder was last changed
+   * counts, so the completion of an earlier download of the same depot does
+   * not vouch for a new one.
+   * @param {string} sourceDir - The depot content directory
+   * @param {string} [steamRoot] - The Steam root directory
+   * @returns {Promise<boolean|null>} True if complete, false if not, or null if no log is available
+   */
+  async isMarkedComplete(sourceDir, steamRoot) {
+    if (!steamRoot) {
+      return null;
+    }
+
+    const depotFolder = path.basename(sourceDir);
+    const { mtimeMs } = await fs.promises.stat(sourceDir);
+    // Log times are whole seconds
+    const changedAt = Math.floor(mtimeMs / 1000) * 1000;
+    let sawLog = false;
+
+    for (const logName of CONSOLE_LOGS) {
+      let log;
+
+      try {
+        log = await fs.promises.readFile(
+          path.join(steamRoot, "logs", logName),
+          "utf8"
+        );
+      } catch (error) {
+        continue;
+      }
+
+      sawLog = true;
+      const complete = log.split(/\r?\n/).some((line) => {
+        const entry = parseCompleteLine(line);
+        return entry?.folder === depotFolder && entry.time >= changedAt;
+      });
+
+      if (complete) {
+        return true;
+      }
+    }
+
+    return sawLog ? false : null;
+  }
+
+  /**
+   * Work out which files an apply would write
+   * @param {string} sourceDir - The depot content directory
+   * @param {string} targetDir - The game installation directory
+   * @returns {Promise<Object>} Plan with files (path, size, overwrite) and totalBytes
+   */
+  async plan(sourceDir, targetDir) {
+    const files = [];
+    let totalBytes = 0;
+
+    for (const relativePath of await listFiles(sourceDir)) {
+      const { size } = await fs.promises.stat(
+        path.join(sourceDir, relativePath)
+      );
+      const overwrite = fs.existsSync(path.join(targetDir, relativePath));
+
+      files.push({ path: relativePath, size, overwrite });
+      totalBytes += size;
+    }
+
+    return { sourceDir, targetDir, files, totalBytes };
+  }
+
+  /**
+   * Copy the planned files into the target directory
+   * @param {Object} plan - Plan from plan()
+   * @returns {Promise<Object>} Summary with filesWritten, filesOverwritten and bytesWritten
+   */
+  async apply(plan) {
+    let bytesWritten = 0;
+    let filesOverwritten = 0;
+
+    for (let i = 0; i < plan.files.length; i++) {
+      const file = plan.files[i];
+      const target = path.join(plan.targetDir, file.path);
+
+      this.output.progress(
+        `[${i + 1}/${plan.files.length}] ${this.percent(
+          bytesWritten,
+          plan.totalBytes
+        )} ${file.path}`
+      );
+
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.copyFile(path.join(plan.sourceDir, file.path), target);
+
+      bytesWritten += file.size;
+      if (file.overwrite) filesOverwritten++;
+    }
+
+    this.output.endProgress();
+    this.output.log(
+      chalk.green(`✓ Copied ${plan.files.length} files to ${plan.targetDir}`)
+    );
+
+    return {
+      filesWritten: plan.files.length,
+      filesOverwritten,
+      bytesWritten,
+    };
+  }
+
+  /**
+   * Format progress as a percentage
+   * @param {number} done - Bytes done
+   * @param {number} total - Total bytes
+   * @returns {string} Percentage such as "42%"
+   */
+  percent(done, total) {
+    return `${total ? Math.floor((done / total) * 100) : 100}%`;
+  }
+}
+
+module.exports = DepotApplier;
@@ -0,0 +1,349 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { EDepotFileFlag } = require("steam-user");
+const CdnCompression = require("steam-user/components/cdn_compression");
+const { ChecksumError } = require("./Errors");
+
+/**
+ * SHA-1 Steam gives empty files, which never matches their (empty) contents
+ */
+const EMPTY_FILE_SHA = "0000000000000000000000000000000000000000";
+
+/**
+ * Hash a buffer with SHA-1
+ * @param {Buffer} data - The data
+ * @returns {string} The hex digest
+ */
+function sha1(data) {
+  return crypto.createHash("sha1").update(data).digest("hex");
+}
+
+/**
+ * Decrypt a chunk with the depot key
+ *
+ * The first block is the IV, encrypted with AES-256-ECB; the rest is
+ * AES-256-CBC with that IV.
+ * @param {Buffer} data - The chunk as served by the CDN
+ * @param {Buffer} key - The depot key
+ * @returns {Buffer} The compressed chunk
+ */
+function decryptChunk(data, key) {
+  const ivDecipher = crypto.createDecipheriv("aes-256-ecb", key, null);
+  ivDecipher.setAutoPadding(false);
+  const iv = Buffer.concat([
+    ivDecipher.update(data.subarray(0, 16)),
+    ivDecipher.final(),
+  ]);
+
+  const decipher = crypto.createDecipheriv("aes-256-cbc", key, iv);
+  return Buffer.concat([decipher.update(data.subarray(16)), decipher.final()]);
+}
+
+/**
+ * Hash the bytes of a file that a chunk should occupy
+ * @param {fs.promises.FileHandle} handle - The open file
+ * @param {Object} chunk - Chunk from the manifest
+ * @returns {Promise<string|null>} The hex SHA-1, or null if the file is too short
+ */
+async function hashFileRange(handle, chunk) {
+  const buffer = Buffer.alloc(chunk.cb_original);
+  const { bytesRead } = await handle.read(
+    buffer,
+    0,
+    chunk.cb_original,
+    Number(chunk.offset)
+  );
+
+  return bytesRead === chunk.cb_original ? sha1(buffer) : null;
+}
+
+/**
+ * Hash a whole file with SHA-1
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} The hex digest
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha1");
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (data) => hash.update(data))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+/**
+ * Run a task for every item, with a limited number running at once
+ * @param {Array} items - The items
+ * @param {number} concurrency - How many tasks may run at the same time
+ * @param {Function} task - Async function called with each item
+ * @returns {Promise<void>} Resolves when every task has finished
+ */
+async function runPool(items, concurrency, task) {
+  let next = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && next < items.length) {
+      const item = items[next++];
+
+      try {
+        await task(item);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, items.length) }, worker)
+  );
+}
+
+/**
+ * Class for downloading a depot manifest's files from Steam's CDN
+ *
+ * Chunks are downloaded in parallel, decrypted, decompressed and checked
+ * against their SHA-1 before being written into place; every file is checked
+ * against its SHA-1 at the end. Chunks already on disk with the right
+ * contents are not downloaded again, so an interrupted download resumes by
+ * running it again.
+ */
+class DepotDownloader {
+  /**
+   * Create a new depot downloader
+   * @param {Object} options - Downloader options
+   * @param {SteamCdnClient} options.cdnClient - Where manifests, keys and chunks come from
+   * @param {number} [options.concurrency=8] - Chunks to download at the same time
+   * @param {number} [options.retries=5] - Attempts per chunk, each on the next server
+   */
+  constructor(options) {
+    this.cdnClient = options.cdnClient;
+    this.concurrency = options.concurrency || 8;
+    this.retries = options.retries || 5;
+  }
+
+  /**
+   * Resolve where a manifest file goes, refusing paths outside the target
+   * @param {string} targetDir - The download directory
+   * @param {string} filename - File name from the manifest
+   * @returns {string} Absolute path of the file
+   */
+  resolvePath(targetDir, filename) {
+    const root = path.resolve(targetDir);
+    const filePath = path.resolve(root, ...filename.split(/[\\/]/));
+
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+      throw new Error(`Refusing to write outside ${root}: ${filename}`);
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Find the chunks of a file that are missing or wrong on disk
+   * @param {string} filePath - Where the file goes
+   * @param {Object} file - File from the manifest
+   * @returns {Promise<Array<Object>>} The chunks to download
+   */
+  async findMissingChunks(filePath, file) {
+    let handle;
+
+    try {
+      handle = await fs.promises.open(filePath, "r");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return file.chunks;
+      }
+      throw error;
+    }
+
+    try {
+      const missing = [];
+
+      for (const chunk of file.chunks) {
+        if ((await hashFileRange(handle, chunk)) !== chunk.sha) {
+          missing.push(chunk);
+        }
+      }
+
+      return missing;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Download a chunk and decode it, trying the next server on failure
+   * @param {Object} context - The download in progress
+   * @param {Object} chunk - Chunk from the manifest
+   * @returns {Promise<Buffer>} The chunk's contents
+   */
+  async fetchChunk(context, chunk) {
+    let lastError;
+
+    for (let attempt = 0; attempt < this.retries; attempt++) {
+      // Spread chunks, and retries, over the servers in turn
+      const server =
+        context.servers[context.nextServer++ % context.servers.length];
+
+      try {
+        const data = await this.cdnClient.downloadChunk(
+          server,
+          context.depotId,
+          chunk.sha
+        );
+        const contents = await CdnCompression.unzip(
+          decryptChunk(data, context.key)
+        );
+
+        if (sha1(contents) !== chunk.sha) {
+          throw new ChecksumError(`Chunk ${chunk.sha} failed its SHA-1 check`);
+        }
+
+        return contents;
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Download the files of a manifest into a directory
+   * @param {number} appId - The Steam app ID
+   * @param {number} depotId - The depot ID
+   * @param {string} manifestId - The manifest ID
+   * @param {string} targetDir - Directory to download the files to
+   * @param {Object} [options] - Download options
+   * @param {string} [options.branch] - Branch the manifest belongs to
+   * @param {string} [options.branchPassword] - Beta password, for password-protected branches
+   * @param {Function} [options.onProgress] - Called with {downloadedBytes, totalBytes, filesDone, filesTotal}
+   * @returns {Promise<Object>} Summary with filesTotal, filesDownloaded, filesSkipped, chunksDownloaded and bytesDownloaded
+   * @throws {ChecksumError} If a file does not match its manifest after downloading
+   */
+  async download(appId, depotId, manifestId, targetDir, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    const manifest = await this.cdnClient.getManifest(
+      appId,
+      depotId,
+      manifestId,
+      options.branch,
+      options.branchPassword
+    );
+    const files = manifest.files || [];
+    const pending = [];
+    const tasks = [];
+    let totalBytes = 0;
+
+    await fs.promises.mkdir(targetDir, { recursive: true });
+
+    for (const file of files) {
+      const filePath = this.resolvePath(targetDir, file.filename);
+
+      if (file.flags & EDepotFileFlag.Directory) {
+        await fs.promises.mkdir(filePath, { recursive: true });
+        continue;
+      }
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+      if (file.flags & EDepotFileFlag.Symlink) {
+        await fs.promises.rm(filePath, { force: true });
+        await fs.promises.symlink(file.linktarget, filePath);
+        continue;
+      }
+
+      const missing = await this.findMissingChunks(filePath, file);
+      const size = Number(file.size);
+      let stat = null;
+
+      try {
+        stat = await fs.promises.stat(filePath);
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+
+      if (missing.length === 0 && stat && stat.size === size) {
+        continue;
+      }
+
+      const entry = { file, filePath, remaining: missing.length };
+      pending.push(entry);
+      missing.forEach((chunk) => {
+        tasks.push({ entry, chunk });
+        totalBytes += chunk.cb_original;
+      });
+    }
+
+    const filesTotal = files.filter(
+      (file) => !(file.flags & EDepotFileFlag.Directory)
+    ).length;
+    // Files only needing a resize are done once resized
+    let filesDone = filesTotal - pending.filter((p) => p.remaining > 0).length;
+    let downloadedBytes = 0;
+
+    // Size each file before writing into it, keeping chunks already there
+    for (const { file, filePath } of pending) {
+      const handle = await fs.promises.open(
+        filePath,
+        fs.existsSync(filePath) ? "r+" : "w"
+      );
+      await handle.truncate(Number(file.size));
+      await handle.close();
+    }
+
+    const context = { depotId, key: null, servers: [], nextServer: 0 };
+
+    // Nothing to fetch when resuming a download that had already finished
+    if (tasks.length > 0) {
+      context.key = await this.cdnClient.getDepotKey(appId, depotId);
+      context.servers = await this.cdnClient.getServers(appId);
+    }
+
+    onProgress({ downloadedBytes, totalBytes, filesDone, filesTotal });
+
+    await runPool(tasks, this.concurrency, async ({ entry, chunk }) => {
+      const contents = await this.fetchChunk(context, chunk);
+      const handle = await fs.promises.open(entry.filePath, "r+");
+
+      try {
+        await handle.write(contents, 0, contents.length, Number(chunk.offset));
+      } finally {
+        await handle.close();
+      }
+
+      downloadedBytes += contents.length;
+      if (--entry.remaining === 0) {
+        filesDone++;
+      }
+      onProgress({ downloadedBytes, totalBytes, filesDone, filesTotal });
+    });
+
+    for (const { file, filePath } of pending) {
+      if (
+        file.sha_content !== EMPTY_FILE_SHA &&
+        (await hashFile(filePath)) !== file.sha_content
+      ) {
+        throw new ChecksumError(`${file.filename} failed its SHA-1 check`);
+      }
+
+      if (file.flags & EDepotFileFlag.Executable) {
+        await fs.promises.chmod(filePath, 0o755);
+      }
+    }
+
+    return {
+      filesTotal,
+      filesDownloaded: pending.length,
+      filesSkipped: filesTotal - pending.length,
+      chunksDownloaded: tasks.length,
+      bytesDownloaded: downloadedBytes,
+    };
+  }
+}
+
+module.exports = DepotDownloader;
@@ -0,0 +1,132 @@
+const Platform = require("./Platform");
+
+/**
+ * Steam's oslist names, keyed by the names accepted on the command line
+ */
+const OS_ALIASES = {
+  windows: "windows",
+  win: "windows",
+  macos: "macos",
+  mac: "macos",
+  osx: "macos",
+  linux: "linux",
+};
+
+/**
+ * Language preselected when no --language is given
+ */
+const DEFAULT_LANGUAGE = "english";
+
+/**
+ * Class for narrowing a depot list down to the ones a user wants
+ *
+ * DLC and optional depots are left out unless asked for. Depots without an
+ * OS or language restriction always match the OS and language filters.
+ */
+class DepotFilter {
+  /**
+   * Create a new depot filter
+   * @param {Object} [options] - Filter options
+   * @param {string} [options.os] - Only depots for this OS (windows, macos or linux)
+   * @param {string} [options.language] - Only depots for this language (e.g. english)
+   * @param {boolean} [options.includeDlc] - Keep depots owned by a DLC
+   * @param {boolean} [options.includeOptional] - Keep optional depots
+   */
+  constructor(options = {}) {
+    this.os = options.os ? DepotFilter.normalizeOs(options.os) : null;
+    this.language = options.language ? options.language.toLowerCase() : null;
+    this.includeDlc = !!options.includeDlc;
+    this.includeOptional = !!options.includeOptional;
+  }
+
+  /**
+   * Map an OS name given by the user to Steam's name for it
+   * @param {string} os - The OS name, e.g. "win" or "macos"
+   * @returns {string|null} windows, macos or linux, or null if not recognised
+   */
+  static normalizeOs(os) {
+    return OS_ALIASES[os.toLowerCase()] || null;
+  }
+
+  /**
+   * List the operating systems a depot is for
+   * @param {Object} depot - Depot from SteamClient.getGameDepots
+   * @returns {Array<string>} Steam OS names, empty if the depot is for all of them
+   */
+  static getOsList(depot) {
+    const oslist = depot.rawData?.config?.oslist;
+
+    if (oslist) {
+      return oslist
+        .split(",")
+        .map((os) => os.trim().toLowerCase())
+        .filter(Boolean);
+    }
+
+    const osType = depot.osType && DepotFilter.normalizeOs(depot.osType);
+    return osType ? [osType] : [];
+  }
+
+  /**
+   * Check whether a depot is for an OS
+   * @param {Object} depot - The depot
+   * @param {string} os - Steam OS name
+   * @returns {boolean} True if the depot is for that OS, or for every OS
+   */
+  static isForOs(depot, os) {
+    const osList = DepotFilter.getOsList(depot);
+    return osList.length === 0 || osList.includes(os);
+  }
+
+  /**
+   * Check whether a depot is for a language
+   * @param {Object} depot - The depot
+   * @param {string} language - Steam language name, e.g. english
+   * @returns {boolean} True if the depot is for that language, or for every language
+   */
+  static isForLanguage(depot, language) {
+    return !depot.language || depot.language.toLowerCase() === language;
+  }
+
+  /**
+   * Check whether a depot passes the filter
+   * @param {Object} depot - The depot
+   * @returns {boolean} True if the depot should be shown
+   */
+  matches(depot) {
+    if (depot.dlcAppId && !this.includeDlc) return false;
+    if (depot.optional && !this.includeOptional) return false;
+    if (this.os && !DepotFilter.isForOs(depot, this.os)) return false;
+    if (this.language && !DepotFilter.isForLanguage(depot, this.language)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Keep the depots that pass the filter
+   * @param {Array<Object>} depots - The depots
+   * @returns {Array<Object>} The matching depots, in their original order
+   */
+  apply(depots) {
+    return depots.filter((depot) => this.matches(depot));
+  }
+
+  /**
+   * Check whether a depot should be preselected in the picker
+   *
+   * Without --os and --language, that means depots for this host's OS in
+   * English (or for every OS and language).
+   * @param {Object} depot - The depot
+   * @returns {boolean} True if the depot should start out checked
+   */
+  isPreferred(depot) {
+    return (
+      DepotFilter.isForOs(depot, this.os || Platform.getName()) &&
+      DepotFilter.isForLanguage(depot, this.language || DEFAULT_LANGUAGE)
+    );
+  }
+}
+
+module.exports = DepotFilter;
@@ -0,0 +1,256 @@
+const fs = require("fs");
+const path = require("path");
+const { TimeoutError } = require("./Errors");
+
+/**
+ * Steam log files that report download_depot activity
+ */
+const LOG_FILES = ["console_log.txt", "content_log.txt"];
+
+/**
+ * Console line printed when a depot has finished, e.g.
+ * Depot download complete : "C:\...\depot_413153" (12 files, manifest 888...)
+ */
+const COMPLETE_PATTERN =
+  /Depot download complete\s*:\s*"?([^"]+?)"?\s*(?:\((\d+) files?, manifest (\d+)\))?\s*$/;
+
+/**
+ * Console line printed when a depot download gives up
+ */
+const FAILED_PATTERN = /Depot download failed\s*:\s*(.+)$/;
+
+/**
+ * Console line printed when a depot download starts, with its size
+ */
+const STARTED_PATTERN = /Downloading depot (\d+) \(([\d.]+) (KB|MB|GB)\)/;
+
+/**
+ * Content log progress, e.g. "AppID 413150 update ... download 1024/4096"
+ */
+const CONTENT_PROGRESS_PATTERN = /AppID (\d+) .*download (\d+)\/(\d+)/;
+
+/**
+ * Bytes per unit used by the console's size messages
+ */
+const SIZE_UNITS = { KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+
+/**
+ * Get the size of a file, or 0 if it does not exist yet
+ * @param {string} filePath - The file
+ * @returns {Promise<number>} Size in bytes
+ */
+async function fileSize(filePath) {
+  try {
+    return (await fs.promises.stat(filePath)).size;
+  } catch (error) {
+    return 0;
+  }
+}
+
+/**
+ * Add up the size of every file below a directory
+ * @param {string} dir - The directory to measure
+ * @returns {Promise<number>} Size in bytes, 0 if the directory does not exist
+ */
+async function directorySize(dir) {
+  let entries;
+
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    return 0;
+  }
+
+  let total = 0;
+
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      total += await directorySize(entryPath);
+    } else if (entry.isFile()) {
+      total += await fileSize(entryPath);
+    }
+  }
+
+  return total;
+}
+
+/**
+ * Class for following a download_depot run through Steam's log files
+ *
+ * Steam gives no progress for download_depot, so the logs are tailed from
+ * the moment the wait starts and the depot folder is measured as it grows.
+ */
+class DownloadMonitor {
+  /**
+   * Create a new download monitor
+   * @param {Object} options - Monitor options
+   * @param {string} options.steamRoot - The Steam root holding the logs folder
+   * @param {number} [options.pollIntervalMs] - Time between log checks
+   */
+  constructor(options) {
+    this.steamRoot = options.steamRoot;
+    this.pollIntervalMs = options.pollIntervalMs || 2000;
+    this.tails = [];
+  }
+
+  /**
+   * Start following the log files from their current end
+   * @returns {Promise<void>} Resolves once the starting offsets are known
+   */
+  async open() {
+    this.tails = [];
+
+    for (const logName of LOG_FILES) {
+      const logPath = path.join(this.steamRoot, "logs", logName);
+      this.tails.push({
+        path: logPath,
+        offset: await fileSize(logPath),
+        partial: "",
+      });
+    }
+  }
+
+  /**
+   * Read the lines appended to a log file since the last read
+   * @param {Object} tail - Tail state from open()
+   * @returns {Promise<Array<string>>} Complete new lines
+   */
+  async readNewLines(tail) {
+    const size = await fileSize(tail.path);
+
+    // Steam rotates its logs on restart; start again from the top
+    if (size < tail.offset) {
+      tail.offset = 0;
+      tail.partial = "";
+    }
+
+    if (size === tail.offset) {
+      return [];
+    }
+
+    const handle = await fs.promises.open(tail.path, "r");
+    const buffer = Buffer.alloc(size - tail.offset);
+
+    try {
+      await handle.read(buffer, 0, buffer.length, tail.offset);
+    } finally {
+      await handle.close();
+    }
+
+    tail.offset = size;
+    const lines = (tail.partial + buffer.toString("utf8")).split(/\r?\n/);
+    tail.partial = lines.pop();
+
+    return lines;
+  }
+
+  /**
+   * Interpret a log line for the depot being downloaded
+   * @param {string} line - The log line
+   * @param {number} appId - The Steam app ID
+   * @param {number} depotId - The depot ID
+   * @returns {Object|null} Event with a type of complete, failed, started or progress
+   */
+  parseLine(line, appId, depotId) {
+    const complete = line.match(COMPLETE_PATTERN);
+    if (complete && path.basename(complete[1].trim()) === `depot_${depotId}`) {
+      return {
+        type: "complete",
+        path: complete[1].trim(),
+        files: complete[2] ? parseInt(complete[2], 10) : null,
+        manifestId: complete[3] || null,
+      };
+    }
+
+    // Failures do not name the depot; only one download_depot runs at a time
+    const failed = line.match(FAILED_PATTERN);
+    if (failed) {
+      return { type: "failed", reason: failed[1].trim() };
+    }
+
+    const started = line.match(STARTED_PATTERN);
+    if (started && parseInt(started[1], 10) === depotId) {
+      return {
+        type: "started",
+        totalBytes: Math.round(parseFloat(started[2]) * SIZE_UNITS[started[3]]),
+      };
+    }
+
+    const progress = line.match(CONTENT_PROGRESS_PATTERN);
+    if (progress && parseInt(progress[1], 10) === appId) {
+      return {
+        type: "progress",
+        downloadedBytes: parseInt(progress[2], 10),
+        totalBytes: parseInt(progress[3], 10),
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Wait for Steam to report the depot download as complete
+   * @param {number} appId - The Steam app ID
+   * @param {number} depotId - The depot ID
+   * @param {Object} [options] - Wait options
+   * @param {string} [options.contentDir] - Depot folder to measure for progress
+   * @param {number} [options.timeoutMs] - Give up after this long (0 waits forever)
+   * @param {Function} [options.onProgress] - Called with {downloadedBytes, totalBytes, elapsedMs}
+   * @returns {Promise<Object>} The completion event with path, files and manifestId
+   */
+  async wait(appId, depotId, options = {}) {
+    const startedAt = Date.now();
+    const onProgress = options.onProgress || (() => {});
+    let downloadedBytes = 0;
+    let totalBytes = null;
+
+    await this.open();
+
+    for (;;) {
+      for (const tail of this.tails) {
+        for (const line of await this.readNewLines(tail)) {
+          const event = this.parseLine(line, appId, depotId);
+
+          if (!event) continue;
+
+          if (event.type === "complete") {
+            return event;
+          }
+          if (event.type === "failed") {
+            throw new Error(`Depot download failed: ${event.reason}`);
+          }
+          if (event.type === "progress") {
+            downloadedBytes = Math.max(downloadedBytes, event.downloadedBytes);
+          }
+          if (event.totalBytes) {
+            totalBytes = event.totalBytes;
+          }
+        }
+      }
+
+      if (options.contentDir) {
+        downloadedBytes = Math.max(
+          downloadedBytes,
+          await directorySize(options.contentDir)
+        );
+      }
+
+      const elapsedMs = Date.now() - startedAt;
+      onProgress({ downloadedBytes, totalBytes, elapsedMs });
+
+      if (options.timeoutMs && elapsedMs >= options.timeoutMs) {
+        throw new TimeoutError(
+          `Timed out after ${
+            options.timeoutMs / 60000
+          } minutes waiting for depot ${depotId} to download.`
+        );
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, this.pollIntervalMs));
+    }
+  }
+}
+
+module.exports = DownloadMonitor;
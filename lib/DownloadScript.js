@@ -0,0 +1,255 @@
+const path = require("path");
+
+/**
+ * Script format for each file extension
+ */
+const EXTENSION_FORMATS = {
+  ".sh": "bash",
+  ".ps1": "powershell",
+  ".bat": "batch",
+  ".cmd": "batch",
+};
+
+/**
+ * Environment variables the generated scripts read
+ */
+const ENV_HELP = [
+  "STEAM_USERNAME and STEAM_PASSWORD log in to Steam; most depots need an",
+  "account that owns the app. Leave them unset to download anonymously.",
+  "STEAM_BETA_PASSWORD unlocks password-protected branches.",
+  "DEPOTDOWNLOADER is the DepotDownloader command to run (default: DepotDownloader).",
+];
+
+/**
+ * Quote a value as one argument for each script format
+ *
+ * bash and PowerShell take single-quoted strings literally, apart from the
+ * quote itself, which PowerShell also accepts in its typographic forms.
+ * Inside double quotes cmd takes ^, &, |, < and > literally, so only % needs
+ * doubling; a double quote cannot be escaped there at all.
+ */
+const QUOTERS = {
+  bash: (value) => `'${value.replace(/'/g, "'\\''")}'`,
+  powershell: (value) => `'${value.replace(/['\u2018-\u201b]/g, "$&$&")}'`,
+  batch: (value) => {
+    if (value.includes('"')) {
+      throw new Error(`Cannot quote ${value} for a batch script.`);
+    }
+
+    return `"${value.replace(/%/g, "%%")}"`;
+  },
+};
+
+/**
+ * Build the DepotDownloader arguments for one download
+ * @param {Object} download - The download
+ * @param {string} separator - Path separator to use in the output directory
+ * @param {Function} quote - Quoter for the script format, from QUOTERS
+ * @returns {Array<string>} The arguments, already quoted where needed
+ */
+function getArguments(download, separator, quote) {
+  const args = [
+    "-app",
+    String(download.appId),
+    "-depot",
+    String(download.depotId),
+    "-manifest",
+    String(download.manifestId),
+  ];
+
+  if (download.os) {
+    args.push("-os", quote(download.os));
+  }
+
+  if (download.language) {
+    args.push("-language", quote(download.language));
+  }
+
+  if (download.branch && download.branch !== "public") {
+    args.push("-beta", quote(download.branch));
+  }
+
+  args.push("-dir", quote(download.dir.split("/").join(separator)));
+
+  return args;
+}
+
+/**
+ * Turn lines of text into comment lines
+ * @param {string} prefix - The comment marker
+ * @param {Array<string>} lines - The lines
+ * @returns {Array<string>} The commented lines
+ */
+function comment(prefix, lines) {
+  return lines.map((line) => (line ? `${prefix} ${line}` : prefix));
+}
+
+/**
+ * Class for generating scripts that run DepotDownloader for chosen manifests
+ *
+ * DepotDownloader (https://github.com/SteamRE/DepotDownloader) downloads
+ * depots without the Steam client. The scripts pass it one -app, -depot and
+ * -manifest per download, with the depot's OS and language, into
+ * <dir>/<appid>/<depotid>/<manifestid>. Credentials are read from environment
+ * variables when the script runs, so the scripts can be committed and shared.
+ */
+class DownloadScript {
+  /**
+   * List the script formats that can be generated
+   * @returns {Array<string>} bash, powershell and batch
+   */
+  static getFormats() {
+    return ["bash", "powershell", "batch"];
+  }
+
+  /**
+   * Pick a script format from a file name
+   * @param {string} filePath - The script's file name
+   * @returns {string|null} The format, or null for an unknown extension
+   */
+  static getFormatForFile(filePath) {
+    return EXTENSION_FORMATS[path.extname(filePath).toLowerCase()] || null;
+  }
+
+  /**
+   * Generate a download script
+   * @param {string} format - bash, powershell or batch
+   * @param {Object} options - Script options
+   * @param {number} options.appId - The Steam app ID
+   * @param {string} [options.name] - The app's name, for the header
+   * @param {Array<Object>} options.downloads - Downloads with depotId, manifestId and optional branch, os and language
+   * @param {string} [options.dir="downloads"] - Directory the depots are downloaded into
+   * @returns {string} The script
+   * @throws {Error} If a value cannot be quoted for the format
+   */
+  static generate(format, options) {
+    const dir = (options.dir || "downloads")
+      .replace(/\\/g, "/")
+      .replace(/\/+$/, "");
+    const downloads = options.downloads.map((download) => ({
+      ...download,
+      appId: options.appId,
+      dir: [dir, options.appId, download.depotId, download.manifestId].join(
+        "/"
+      ),
+    }));
+    const header = [
+      `Downloads ${options.name || `app ${options.appId}`} (${
+        options.appId
+      }) with DepotDownloader.`,
+      "Generated by steam-version-updater.",
+      "",
+      ...ENV_HELP,
+    ];
+
+    switch (format) {
+      case "bash":
+        return DownloadScript.generateBash(header, downloads);
+      case "powershell":
+        return DownloadScript.generatePowerShell(header, downloads);
+      case "batch":
+        return DownloadScript.generateBatch(header, downloads);
+      default:
+        throw new Error(`Unknown script format: ${format}`);
+    }
+  }
+
+  /**
+   * Generate a bash script
+   * @param {Array<string>} header - Header comment lines
+   * @param {Array<Object>} downloads - The downloads
+   * @returns {string} The script
+   */
+  static generateBash(header, downloads) {
+    return [
+      "#!/usr/bin/env bash",
+      ...comment("#", header),
+      "set -euo pipefail",
+      "",
+      'DEPOTDOWNLOADER="${DEPOTDOWNLOADER:-DepotDownloader}"',
+      "LOGIN=()",
+      'if [ -n "${STEAM_USERNAME:-}" ]; then',
+      '  LOGIN+=(-username "$STEAM_USERNAME" -remember-password)',
+      "fi",
+      'if [ -n "${STEAM_PASSWORD:-}" ]; then',
+      '  LOGIN+=(-password "$STEAM_PASSWORD")',
+      "fi",
+      'if [ -n "${STEAM_BETA_PASSWORD:-}" ]; then',
+      '  LOGIN+=(-betapassword "$STEAM_BETA_PASSWORD")',
+      "fi",
+      "",
+      ...downloads.map(
+        (download) =>
+          `"$DEPOTDOWNLOADER" ${getArguments(download, "/", QUOTERS.bash).join(
+            " "
+          )} \${LOGIN[@]+"\${LOGIN[@]}"}`
+      ),
+      "",
+    ].join("\n");
+  }
+
+  /**
+   * Generate a PowerShell script
+   * @param {Array<string>} header - Header comment lines
+   * @param {Array<Object>} downloads - The downloads
+   * @returns {string} The script
+   */
+  static generatePowerShell(header, downloads) {
+    return [
+      ...comment("#", header),
+      '$ErrorActionPreference = "Stop"',
+      "",
+      '$DepotDownloader = if ($env:DEPOTDOWNLOADER) { $env:DEPOTDOWNLOADER } else { "DepotDownloader" }',
+      "$Login = @()",
+      "if ($env:STEAM_USERNAME) {",
+      '  $Login += @("-username", $env:STEAM_USERNAME, "-remember-password")',
+      "}",
+      "if ($env:STEAM_PASSWORD) {",
+      '  $Login += @("-password", $env:STEAM_PASSWORD)',
+      "}",
+      "if ($env:STEAM_BETA_PASSWORD) {",
+      '  $Login += @("-betapassword", $env:STEAM_BETA_PASSWORD)',
+      "}",
+      "",
+      ...downloads.flatMap((download) => [
+        `& $DepotDownloader ${getArguments(
+          download,
+          "\\",
+          QUOTERS.powershell
+        ).join(" ")} @Login`,
+        "if ($LASTEXITCODE -ne 0) { exit $LASTEXITCODE }",
+      ]),
+      "",
+    ].join("\r\n");
+  }
+
+  /**
+   * Generate a batch script
+   * @param {Array<string>} header - Header comment lines
+   * @param {Array<Object>} downloads - The downloads
+   * @returns {string} The script
+   */
+  static generateBatch(header, downloads) {
+    return [
+      "@echo off",
+      ...comment("rem", header),
+      "setlocal",
+      "",
+      'if not defined DEPOTDOWNLOADER set "DEPOTDOWNLOADER=DepotDownloader"',
+      'set "LOGIN="',
+      'if defined STEAM_USERNAME set LOGIN=-username "%STEAM_USERNAME%" -remember-password',
+      'if defined STEAM_PASSWORD set LOGIN=%LOGIN% -password "%STEAM_PASSWORD%"',
+      'if defined STEAM_BETA_PASSWORD set LOGIN=%LOGIN% -betapassword "%STEAM_BETA_PASSWORD%"',
+      "",
+      ...downloads.flatMap((download) => [
+        `"%DEPOTDOWNLOADER%" ${getArguments(download, "\\", QUOTERS.batch).join(
+          " "
+        )} %LOGIN%`,
+        "if errorlevel 1 exit /b %errorlevel%",
+      ]),
+      "",
+    ].join("\r\n");
+  }
+}
+
+module.exports = DownloadScript;
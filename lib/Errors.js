@@ -0,0 +1,123 @@
+/**
+ * Base class for the errors thrown by the library
+ *
+ * Every error carries a stable `code` that callers can switch on instead of
+ * matching messages.
+ */
+class SteamError extends Error {
+  /**
+   * Create a new error
+   * @param {string} message - What went wrong
+   * @param {Object} [options] - Error options
+   * @param {string} [options.code] - Machine-readable error code
+   * @param {Error} [options.cause] - The underlying error, if any
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = options.code || "ESTEAM";
+    if (options.cause) {
+      this.cause = options.cause;
+    }
+  }
+}
+
+/**
+ * Thrown when an app, its product info or a cached copy of it does not exist
+ */
+class NotFoundError extends SteamError {
+  /**
+   * Create a new not-found error
+   * @param {string} message - What was not found
+   * @param {Object} [options] - Error options
+   * @param {Error} [options.cause] - The underlying error, if any
+   */
+  constructor(message, options = {}) {
+    super(message, { ...options, code: "ENOTFOUND" });
+  }
+}
+
+/**
+ * Thrown when Steam or the store does not answer in time
+ */
+class TimeoutError extends SteamError {
+  /**
+   * Create a new timeout error
+   * @param {string} message - What timed out
+   * @param {Object} [options] - Error options
+   * @param {Error} [options.cause] - The underlying error, if any
+   */
+  constructor(message, options = {}) {
+    super(message, { ...options, code: "ETIMEDOUT" });
+  }
+}
+
+/**
+ * Thrown when logging in to Steam fails
+ */
+class LoginError extends SteamError {
+  /**
+   * Create a new login error
+   * @param {string} message - Why the login failed
+   * @param {Object} [options] - Error options
+   * @param {Error} [options.cause] - The error reported by steam-user
+   */
+  constructor(message, options = {}) {
+    super(message, { ...options, code: "ELOGIN" });
+  }
+}
+
+/**
+ * Thrown when a request to the Steam store fails
+ */
+class RequestError extends SteamError {
+  /**
+   * Create a new request error
+   * @param {string} message - Why the request failed
+   * @param {Object} [options] - Error options
+   * @param {Error} [options.cause] - The error reported by the HTTP client
+   */
+  constructor(message, options = {}) {
+    super(message, { ...options, code: "EREQUEST" });
+  }
+}
+
+/**
+ * Thrown when downloaded content does not match the SHA-1 in its manifest
+ */
+class ChecksumError extends SteamError {
+  /**
+   * Create a new checksum error
+   * @param {string} message - What failed to verify
+   * @param {Object} [options] - Error options
+   * @param {Error} [options.cause] - The underlying error, if any
+   */
+  constructor(message, options = {}) {
+    super(message, { ...options, code: "ECHECKSUM" });
+  }
+}
+
+/**
+ * Thrown when a config file the user wrote is missing or invalid
+ */
+class ConfigError extends SteamError {
+  /**
+   * Create a new config error
+   * @param {string} message - What is wrong with the file
+   * @param {Object} [options] - Error options
+   * @param {Error} [options.cause] - The underlying error, if any
+   */
+  constructor(message, options = {}) {
+    super(message, { ...options, code: "ECONFIG" });
+  }
+}
+
+module.exports = {
+  SteamError,
+  NotFoundError,
+  TimeoutError,
+  LoginError,
+  RequestError,
+  ChecksumError,
+  ConfigError,
+};
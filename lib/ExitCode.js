@@ -0,0 +1,12 @@
+/**
+ * Process exit codes returned by the non-interactive commands
+ */
+const ExitCode = Object.freeze({
+  SUCCESS: 0,
+  ERROR: 1,
+  INVALID_ARGUMENT: 2,
+  NOT_FOUND: 3,
+  TIMEOUT: 4,
+});
+
+module.exports = ExitCode;
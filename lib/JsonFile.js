@@ -0,0 +1,52 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Helpers for reading and writing the tool's JSON data files
+ */
+class JsonFile {
+  /**
+   * Read and parse a JSON file
+   * @param {string} filePath - Path to the file
+   * @param {*} fallback - Value to return when the file does not exist
+   * @returns {*} The parsed contents, or the fallback
+   */
+  static read(filePath, fallback) {
+    let contents;
+
+    try {
+      contents = fs.readFileSync(filePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return fallback;
+      }
+      throw error;
+    }
+
+    try {
+      return JSON.parse(contents);
+    } catch (error) {
+      throw new Error(`Could not parse ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write a value as JSON, replacing the file atomically
+   * @param {string} filePath - Path to the file
+   * @param {*} data - The value to write
+   * @param {Object} [options] - Write options
+   * @param {number} [options.mode] - File permissions for the written file
+   */
+  static write(filePath, data, options = {}) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    // Write to a temporary file first so a crash never leaves a torn file
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), {
+      mode: options.mode,
+    });
+    fs.renameSync(tempPath, filePath);
+  }
+}
+
+module.exports = JsonFile;
@@ -0,0 +1,171 @@
+const JsonFile = require("./JsonFile");
+const { ConfigError } = require("./Errors");
+
+/**
+ * Format version written to new lockfiles
+ */
+const LOCKFILE_VERSION = 1;
+
+/**
+ * Class for lockfiles recording a chosen set of depot manifests
+ *
+ * A lockfile keeps what was picked in the interactive flow so it can be
+ * committed, shared and turned back into download_depot commands later:
+ *
+ *   {
+ *     "lockfileVersion": 1,
+ *     "savedAt": "2024-05-01T10:00:00.000Z",
+ *     "appId": 413150,
+ *     "name": "Stardew Valley",
+ *     "depots": [
+ *       {
+ *         "depotId": 413151,
+ *         "name": "Stardew Valley Windows",
+ *         "manifestId": "8881193748180768755",
+ *         "buildId": "8071262",
+ *         "branch": "public"
+ *       }
+ *     ]
+ *   }
+ */
+class Lockfile {
+  /**
+   * Build lockfile data from a selection
+   * @param {Object} app - The app, with appid and name as from SteamSearch.searchGames
+   * @param {Array<Object>} selections - The chosen {depot, manifest} pairs
+   * @returns {Object} The lockfile data
+   */
+  static create(app, selections) {
+    return {
+      lockfileVersion: LOCKFILE_VERSION,
+      savedAt: new Date().toISOString(),
+      appId: parseInt(app.appid, 10),
+      name: app.name || null,
+      depots: selections.map(({ depot, manifest }) => ({
+        depotId: parseInt(depot.id, 10),
+        name: depot.name || null,
+        manifestId: String(manifest.manifestId),
+        buildId: manifest.buildId ? String(manifest.buildId) : null,
+        branch: manifest.branch || null,
+      })),
+    };
+  }
+
+  /**
+   * Write lockfile data to a file
+   * @param {string} filePath - Path to the lockfile
+   * @param {Object} lock - Data from create
+   */
+  static write(filePath, lock) {
+    JsonFile.write(filePath, lock);
+  }
+
+  /**
+   * Read and check a lockfile
+   * @param {string} filePath - Path to the lockfile
+   * @returns {Object} The lockfile data
+   * @throws {ConfigError} If the file is missing or invalid
+   */
+  static read(filePath) {
+    let lock;
+
+    try {
+      lock = JsonFile.read(filePath, null);
+    } catch (error) {
+      throw new ConfigError(error.message, { cause: error });
+    }
+
+    if (lock === null) {
+      throw new ConfigError(`Lockfile ${filePath} does not exist.`);
+    }
+
+    Lockfile.validate(lock, filePath);
+    return lock;
+  }
+
+  /**
+   * Check that lockfile data has the expected shape
+   * @param {Object} lock - The parsed lockfile
+   * @param {string} [source="lockfile"] - Name to use in error messages
+   * @throws {ConfigError} If the data is invalid
+   */
+  static validate(lock, source = "lockfile") {
+    if (!lock || typeof lock !== "object") {
+      throw new ConfigError(`${source}: expected an object.`);
+    }
+
+    if (lock.lockfileVersion !== LOCKFILE_VERSION) {
+      throw new ConfigError(
+        `${source}: unsupported lockfileVersion ${lock.lockfileVersion}.`
+      );
+    }
+
+    if (!Number.isInteger(lock.appId)) {
+      throw new ConfigError(`${source}: "appId" must be a numeric app ID.`);
+    }
+
+    if (!Array.isArray(lock.depots) || lock.depots.length === 0) {
+      throw new ConfigError(`${source}: expected a non-empty "depots" array.`);
+    }
+
+    lock.depots.forEach((depot, index) => {
+      if (
+        !depot ||
+        !Number.isInteger(depot.depotId) ||
+        typeof depot.manifestId !== "string" ||
+        !/^\d+$/.test(depot.manifestId)
+      ) {
+        throw new ConfigError(
+          `${source}: depots[${index}] needs a numeric depotId and a manifestId string of digits.`
+        );
+      }
+    });
+  }
+
+  /**
+   * Check a lockfile against the app's current product info
+   *
+   * Each depot gets a status: "current" if a branch still points at its
+   * manifest, "historical" if the manifest is only in the manifest history,
+   * "unlisted" if it is not known at all (Steam may still serve it), or
+   * "missing" if the app no longer has the depot.
+   * @param {Object} lock - The lockfile data
+   * @param {SteamClient} steamClient - Client to look the app up with
+   * @returns {Promise<Array<Object>>} The lockfile's depots, each with its status
+   * @throws {NotFoundError} If there is no product info for the app
+   */
+  static async check(lock, steamClient) {
+    const depots = await steamClient.getGameDepots(lock.appId);
+    const checked = [];
+
+    for (const entry of lock.depots) {
+      const manifestId = String(entry.manifestId);
+
+      if (!depots.some((depot) => String(depot.id) === String(entry.depotId))) {
+        checked.push({ ...entry, manifestId, status: "missing" });
+        continue;
+      }
+
+      const manifests = await steamClient.getDepotManifests(
+        lock.appId,
+        entry.depotId
+      );
+      const known = manifests.filter(
+        (m) => String(m.manifestId) === manifestId
+      );
+      let status = "unlisted";
+
+      if (known.some((m) => !m.isHistorical)) {
+        status = "current";
+      } else if (known.length > 0) {
+        status = "historical";
+      }
+
+      checked.push({ ...entry, manifestId, status });
+    }
+
+    return checked;
+  }
+}
+
+module.exports = Lockfile;
@@ -0,0 +1,70 @@
+/**
+ * Class for comparing the file lists of two depot manifests
+ */
+class ManifestDiff {
+  /**
+   * Compare two file lists
+   *
+   * Files are matched by path, case-insensitively like Steam on Windows, and
+   * count as modified when their SHA-1 differs.
+   * @param {Array<Object>} oldFiles - Files from SteamClient.getManifestFiles for the old manifest
+   * @param {Array<Object>} newFiles - Files for the new manifest
+   * @returns {Object} added, removed and modified file changes, unchanged count and deltaBytes
+   */
+  static compare(oldFiles, newFiles) {
+    const key = (file) => file.path.toLowerCase();
+    const oldByPath = new Map(oldFiles.map((file) => [key(file), file]));
+    const newByPath = new Map(newFiles.map((file) => [key(file), file]));
+    const added = [];
+    const removed = [];
+    const modified = [];
+    let unchanged = 0;
+
+    for (const file of newFiles) {
+      const previous = oldByPath.get(key(file));
+
+      if (!previous) {
+        added.push(ManifestDiff.toChange("added", null, file));
+      } else if (previous.sha !== file.sha) {
+        modified.push(ManifestDiff.toChange("modified", previous, file));
+      } else {
+        unchanged++;
+      }
+    }
+
+    for (const file of oldFiles) {
+      if (!newByPath.has(key(file))) {
+        removed.push(ManifestDiff.toChange("removed", file, null));
+      }
+    }
+
+    const deltaBytes = [...added, ...removed, ...modified].reduce(
+      (total, change) => total + change.deltaBytes,
+      0
+    );
+
+    return { added, removed, modified, unchanged, deltaBytes };
+  }
+
+  /**
+   * Describe the change to one file
+   * @param {string} change - "added", "removed" or "modified"
+   * @param {Object|null} oldFile - The file in the old manifest
+   * @param {Object|null} newFile - The file in the new manifest
+   * @returns {Object} The change with path, oldSize, newSize and deltaBytes
+   */
+  static toChange(change, oldFile, newFile) {
+    const oldSize = oldFile ? oldFile.size : null;
+    const newSize = newFile ? newFile.size : null;
+
+    return {
+      change,
+      path: (newFile || oldFile).path,
+      oldSize,
+      newSize,
+      deltaBytes: (newSize || 0) - (oldSize || 0),
+    };
+  }
+}
+
+module.exports = ManifestDiff;
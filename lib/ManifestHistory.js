@@ -0,0 +1,198 @@
+const AppPaths = require("./AppPaths");
+const JsonFile = require("./JsonFile");
+
+/**
+ * Version of the on-disk history format
+ */
+const HISTORY_VERSION = 1;
+
+/**
+ * Class for the local database of manifests observed in product info
+ *
+ * Steam only exposes the current manifest of each branch, so the tool
+ * remembers every manifest it sees to offer real older versions later.
+ */
+class ManifestHistory {
+  /**
+   * Create a new manifest history store
+   * @param {Object} [options] - Store options
+   * @param {string} [options.filePath] - Where the history is kept
+   */
+  constructor(options = {}) {
+    this.filePath =
+      options.filePath || AppPaths.resolve("manifest-history.json");
+    this.data = null;
+  }
+
+  /**
+   * Load the history from disk (once)
+   * @returns {Object} The history data
+   */
+  load() {
+    if (!this.data) {
+      this.data = JsonFile.read(this.filePath, {
+        version: HISTORY_VERSION,
+        apps: {},
+      });
+    }
+
+    return this.data;
+  }
+
+  /**
+   * Discard the in-memory copy and load the history from disk again
+   * @returns {Object} The history data
+   */
+  reload() {
+    this.data = null;
+    return this.load();
+  }
+
+  /**
+   * Write the history to disk
+   */
+  save() {
+    JsonFile.write(this.filePath, this.load());
+  }
+
+  /**
+   * Get the stored entries of a depot, creating the record if needed
+   * @param {number} appId - The Steam app ID
+   * @param {number} depotId - The depot ID
+   * @returns {Object} Entries keyed by manifest ID
+   */
+  getDepotEntries(appId, depotId) {
+    const apps = this.load().apps;
+
+    if (!apps[appId]) {
+      apps[appId] = { depots: {} };
+    }
+    if (!apps[appId].depots[depotId]) {
+      apps[appId].depots[depotId] = {};
+    }
+
+    return apps[appId].depots[depotId];
+  }
+
+  /**
+   * Record manifests observed for a depot
+   *
+   * Besides the build a manifest first appeared in, every build it is seen
+   * in is kept in buildIds, since a depot that did not change in a build
+   * keeps the manifest of an earlier one.
+   * @param {number} appId - The Steam app ID
+   * @param {number} depotId - The depot ID
+   * @param {Array<Object>} manifests - Manifests with manifestId, buildId, branch and timeupdated
+   * @returns {Array<Object>} The entries that had not been seen before
+   */
+  record(appId, depotId, manifests) {
+    const entries = this.getDepotEntries(appId, depotId);
+    const now = Math.floor(Date.now() / 1000);
+    const added = [];
+
+    manifests.forEach((manifest) => {
+      const manifestId = String(manifest.manifestId);
+      const buildId = manifest.buildId ? String(manifest.buildId) : null;
+      let entry = entries[manifestId];
+
+      if (!entry) {
+        entry = {
+          manifestId,
+          buildId,
+          buildIds: buildId ? [buildId] : [],
+          branch: manifest.branch || null,
+          timeupdated: manifest.timeupdated
+            ? Number(manifest.timeupdated)
+            : null,
+          firstSeen: now,
+          lastSeen: now,
+        };
+        entries[manifestId] = entry;
+        added.push(entry);
+        return;
+      }
+
+      entry.lastSeen = now;
+
+      // Entries recorded before buildIds existed only know their first build
+      if (!entry.buildIds) {
+        entry.buildIds = entry.buildId ? [entry.buildId] : [];
+      }
+      if (buildId && !entry.buildIds.includes(buildId)) {
+        entry.buildIds.push(buildId);
+      }
+    });
+
+    this.save();
+
+    return added;
+  }
+
+  /**
+   * Get the last observed state of an app (changenumber and branch builds)
+   * @param {number} appId - The Steam app ID
+   * @returns {Object|null} The state, or null if the app was never watched
+   */
+  getAppState(appId) {
+    const app = this.load().apps[appId];
+
+    if (!app || app.changenumber === undefined) {
+      return null;
+    }
+
+    return { changenumber: app.changenumber, branches: app.branches || {} };
+  }
+
+  /**
+   * Store the observed state of an app
+   * @param {number} appId - The Steam app ID
+   * @param {Object} state - The state to store
+   * @param {number} state.changenumber - The PICS changenumber
+   * @param {Object} state.branches - Build IDs keyed by branch name
+   */
+  setAppState(appId, state) {
+    const apps = this.load().apps;
+
+    if (!apps[appId]) {
+      apps[appId] = { depots: {} };
+    }
+
+    apps[appId].changenumber = state.changenumber;
+    apps[appId].branches = state.branches;
+    this.save();
+  }
+
+  /**
+   * List the manifests recorded for a depot
+   * @param {number} appId - The Steam app ID
+   * @param {number} depotId - The depot ID
+   * @returns {Array<Object>} Entries, most recently updated first
+   */
+  getManifests(appId, depotId) {
+    const app = this.load().apps[appId];
+    const entries = (app && app.depots[depotId]) || {};
+
+    return Object.values(entries).sort(
+      (a, b) => (b.timeupdated || b.firstSeen) - (a.timeupdated || a.firstSeen)
+    );
+  }
+
+  /**
+   * Find the manifest a depot was seen at in a build
+   * @param {number} appId - The Steam app ID
+   * @param {number} depotId - The depot ID
+   * @param {string} buildId - The build ID
+   * @returns {Object|null} The entry, or null if the depot was never seen in that build
+   */
+  findBuild(appId, depotId, buildId) {
+    const build = String(buildId);
+
+    return (
+      this.getManifests(appId, depotId).find((entry) =>
+        (entry.buildIds || [entry.buildId]).includes(build)
+      ) || null
+    );
+  }
+}
+
+module.exports = ManifestHistory;
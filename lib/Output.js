@@ -0,0 +1,146 @@
+const chalk = require("chalk");
+
+/**
+ * Supported output formats
+ */
+const FORMATS = ["text", "json", "ndjson"];
+
+/**
+ * Colours used for each level of library progress message
+ */
+const LEVEL_COLORS = {
+  info: chalk.blue,
+  success: chalk.green,
+  warning: chalk.yellow,
+  error: chalk.red,
+};
+
+/**
+ * Class for routing program output
+ *
+ * Human-readable messages always go to stderr so that stdout only carries
+ * the data a command produces, in the selected format.
+ */
+class Output {
+  /**
+   * Create a new output handler
+   * @param {Object} [options] - Output options
+   * @param {string} [options.format="text"] - One of "text", "json" or "ndjson"
+   */
+  constructor(options = {}) {
+    this.setFormat(options.format || "text");
+    this.progressActive = false;
+  }
+
+  /**
+   * Change the output format
+   * @param {string} format - One of "text", "json" or "ndjson"
+   */
+  setFormat(format) {
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown output format: ${format}`);
+    }
+
+    this.format = format;
+  }
+
+  /**
+   * Whether data is emitted as JSON (either json or ndjson)
+   * @returns {boolean} True for machine-readable formats
+   */
+  isMachineReadable() {
+    return this.format !== "text";
+  }
+
+  /**
+   * Write a human-readable message to stderr, below any progress line
+   * @param {...*} args - Values to print, as with console.log
+   */
+  log(...args) {
+    this.endProgress();
+    console.error(...args);
+  }
+
+  /**
+   * Write a library progress message to stderr, coloured by its level
+   * @param {string} level - One of "info", "success", "warning" or "error"
+   * @param {string} message - The message
+   */
+  report(level, message) {
+    const color = LEVEL_COLORS[level] || chalk.white;
+    this.log(color(message));
+  }
+
+  /**
+   * Show a progress message on stderr, replacing the previous one on a TTY
+   * @param {string} message - The progress message
+   */
+  progress(message) {
+    if (process.stderr.isTTY) {
+      const width = process.stderr.columns || 80;
+      process.stderr.write(
+        `\r${message.slice(0, width - 1).padEnd(width - 1)}`
+      );
+      this.progressActive = true;
+    } else {
+      console.error(message);
+    }
+  }
+
+  /**
+   * Finish a progress line started with progress()
+   */
+  endProgress() {
+    if (this.progressActive) {
+      process.stderr.write("\n");
+      this.progressActive = false;
+    }
+  }
+
+  /**
+   * Write a list of records to stdout
+   * @param {Array<Object>} records - The records to write
+   * @param {Function} formatText - Formats one record as a line of text
+   */
+  list(records, formatText) {
+    if (this.format === "json") {
+      this.writeJson(records);
+    } else if (this.format === "ndjson") {
+      records.forEach((record) => this.writeJson(record));
+    } else {
+      records.forEach((record) =>
+        process.stdout.write(`${formatText(record)}\n`)
+      );
+    }
+  }
+
+  /**
+   * Write a single record to stdout
+   * @param {Object} record - The record to write
+   * @param {Function} formatText - Formats the record as text
+   */
+  item(record, formatText) {
+    if (this.isMachineReadable()) {
+      this.writeJson(record);
+    } else {
+      process.stdout.write(`${formatText(record)}\n`);
+    }
+  }
+
+  /**
+   * Serialize a value as JSON to stdout (pretty-printed unless ndjson)
+   * @param {*} value - The value to write
+   */
+  writeJson(value) {
+    const json =
+      this.format === "ndjson"
+        ? JSON.stringify(value)
+        : JSON.stringify(value, null, 2);
+
+    process.stdout.write(`${json}\n`);
+  }
+}
+
+Output.FORMATS = FORMATS;
+
+module.exports = Output;
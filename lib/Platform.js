@@ -0,0 +1,145 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { exec, execFile } = require("child_process");
+
+/**
+ * Flatpak application ID of the Steam client
+ */
+const STEAM_FLATPAK_ID = "com.valvesoftware.Steam";
+
+/**
+ * Run a program and resolve with its stdout, or null if it failed
+ * @param {string} file - The program to run
+ * @param {Array<string>} args - Program arguments
+ * @returns {Promise<string|null>} The program's stdout
+ */
+function run(file, args) {
+  return new Promise((resolve) => {
+    execFile(file, args, (error, stdout) => {
+      resolve(error ? null : stdout);
+    });
+  });
+}
+
+/**
+ * Class for the operating system specific parts of talking to Steam
+ */
+class Platform {
+  /**
+   * Get the host platform
+   * @returns {string} "windows", "macos" or "linux"
+   */
+  static getName() {
+    if (process.platform === "win32") return "windows";
+    if (process.platform === "darwin") return "macos";
+    return "linux";
+  }
+
+  /**
+   * Check whether the Steam client is running on this machine
+   * @returns {Promise<boolean>} True if Steam is running
+   */
+  static async isSteamRunning() {
+    switch (Platform.getName()) {
+      case "windows": {
+        const stdout = await run("tasklist", [
+          "/FI",
+          "IMAGENAME eq steam.exe",
+          "/NH",
+        ]);
+        return !!stdout && stdout.toLowerCase().includes("steam.exe");
+      }
+
+      case "macos":
+        return (await run("pgrep", ["-x", "steam_osx"])) !== null;
+
+      default:
+        return Platform.isLinuxSteamRunning();
+    }
+  }
+
+  /**
+   * Check for a native or Flatpak Steam client on Linux
+   * @returns {Promise<boolean>} True if Steam is running
+   */
+  static async isLinuxSteamRunning() {
+    const home = os.homedir();
+    const pidFiles = [
+      path.join(home, ".steam", "steam.pid"),
+      path.join(home, ".var", "app", STEAM_FLATPAK_ID, ".steam", "steam.pid"),
+    ];
+
+    // Steam writes its PID on start; a stale file points at a dead process
+    for (const pidFile of pidFiles) {
+      const pid = parseInt(Platform.readFileOrNull(pidFile), 10);
+
+      if (pid && Platform.isProcessAlive(pid)) {
+        return true;
+      }
+    }
+
+    if ((await run("pgrep", ["-x", "steam"])) !== null) {
+      return true;
+    }
+
+    // Flatpak sandboxes have their own PID namespace, so ask flatpak itself
+    const instances = await run("flatpak", ["ps", "--columns=application"]);
+    return !!instances && instances.includes(STEAM_FLATPAK_ID);
+  }
+
+  /**
+   * Read a small text file, returning null if it cannot be read
+   * @param {string} filePath - The file to read
+   * @returns {string|null} The file contents
+   */
+  static readFileOrNull(filePath) {
+    try {
+      return fs.readFileSync(filePath, "utf8");
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a process exists
+   * @param {number} pid - The process ID
+   * @returns {boolean} True if the process exists
+   */
+  static isProcessAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      // EPERM means the process exists but belongs to another user
+      return error.code === "EPERM";
+    }
+  }
+
+  /**
+   * Open a URL (including steam:// URLs) with the system handler
+   * @param {string} url - The URL to open
+   * @returns {Promise<void>} Resolves once the handler has been started
+   */
+  static openUrl(url) {
+    return new Promise((resolve, reject) => {
+      const callback = (error) => (error ? reject(error) : resolve());
+
+      switch (Platform.getName()) {
+        case "windows":
+          // "start" is a cmd built-in; the empty string is the window title
+          exec(`start "" "${url}"`, callback);
+          break;
+
+        case "macos":
+          execFile("open", [url], callback);
+          break;
+
+        default:
+          execFile("xdg-open", [url], callback);
+      }
+    });
+  }
+}
+
+module.exports = Platform;
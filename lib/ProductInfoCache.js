@@ -0,0 +1,70 @@
+const path = require("path");
+const AppPaths = require("./AppPaths");
+const JsonFile = require("./JsonFile");
+
+/**
+ * Version of the on-disk cache entry format
+ */
+const CACHE_VERSION = 1;
+
+/**
+ * Class for the on-disk copy of each app's product info (PICS data)
+ *
+ * Entries are stored with the changenumber they were fetched at, so they can
+ * be reused for as long as Steam reports no change to the app.
+ */
+class ProductInfoCache {
+  /**
+   * Create a new product info cache
+   * @param {Object} [options] - Cache options
+   * @param {string} [options.dir] - Where cache entries are kept
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || AppPaths.resolve("cache", "product-info");
+  }
+
+  /**
+   * Get the file an app's entry is stored in
+   * @param {number} appId - The Steam app ID
+   * @returns {string} Path to the entry
+   */
+  getPath(appId) {
+    return path.join(this.dir, `${appId}.json`);
+  }
+
+  /**
+   * Read the cached product info of an app
+   * @param {number} appId - The Steam app ID
+   * @returns {Object|null} The changenumber, appinfo and fetchedAt, or null if not cached
+   */
+  get(appId) {
+    const entry = JsonFile.read(this.getPath(appId), null);
+
+    if (!entry || entry.version !== CACHE_VERSION) {
+      return null;
+    }
+
+    return {
+      changenumber: entry.changenumber,
+      appinfo: entry.appinfo,
+      fetchedAt: entry.fetchedAt,
+    };
+  }
+
+  /**
+   * Store the product info of an app
+   * @param {number} appId - The Steam app ID
+   * @param {Object} productInfo - Product info with changenumber and appinfo
+   */
+  set(appId, productInfo) {
+    JsonFile.write(this.getPath(appId), {
+      version: CACHE_VERSION,
+      appId: parseInt(appId, 10),
+      changenumber: productInfo.changenumber,
+      fetchedAt: Math.floor(Date.now() / 1000),
+      appinfo: productInfo.appinfo,
+    });
+  }
+}
+
+module.exports = ProductInfoCache;
@@ -0,0 +1,178 @@
+const axios = require("axios");
+const { TimeoutError, RequestError } = require("./Errors");
+
+/**
+ * Default time to wait for a single chunk request
+ */
+const DEFAULT_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Class for talking to Steam's content (CDN) servers
+ *
+ * This is the default CDN client of DepotDownloader. Anything with the same
+ * four methods can be used in its place, e.g. to download from a local
+ * stand-in server in tests. Chunks are returned as served (encrypted and
+ * compressed); DepotDownloader decodes and verifies them.
+ */
+class SteamCdnClient {
+  /**
+   * Create a new CDN client
+   * @param {Object} options - Client options
+   * @param {SteamUser} options.steamUser - Logged-on steam-user client, for manifests, keys and the server list
+   * @param {Array<string>} [options.servers] - Base URLs to download chunks from instead of Steam's servers
+   * @param {number} [options.timeout=60000] - Milliseconds to wait for each chunk
+   */
+  constructor(options) {
+    this.steamUser = options.steamUser;
+    this.servers = options.servers || null;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+    // Auth token requests by depot and host, reused until the token expires
+    this.authTokens = new Map();
+  }
+
+  /**
+   * Download and parse a depot manifest
+   * @param {number} appId - The Steam app ID
+   * @param {number} depotId - The depot ID
+   * @param {string} manifestId - The manifest ID
+   * @param {string} [branch="public"] - Branch the manifest belongs to
+   * @param {string} [branchPassword] - Beta password, for password-protected branches
+   * @returns {Promise<Object>} The manifest, with files and their chunks
+   */
+  async getManifest(
+    appId,
+    depotId,
+    manifestId,
+    branch = "public",
+    branchPassword = null
+  ) {
+    const { manifest } = await this.steamUser.getManifest(
+      appId,
+      depotId,
+      manifestId,
+      branch,
+      branchPassword
+    );
+    return manifest;
+  }
+
+  /**
+   * Get the key a depot's chunks are encrypted with
+   * @param {number} appId - The Steam app ID
+   * @param {number} depotId - The depot ID
+   * @returns {Promise<Buffer>} The AES-256 depot key
+   */
+  async getDepotKey(appId, depotId) {
+    const { key } = await this.steamUser.getDepotDecryptionKey(appId, depotId);
+    return key;
+  }
+
+  /**
+   * List the servers chunks can be downloaded from
+   * @param {number} appId - The Steam app ID
+   * @returns {Promise<Array<Object>>} Servers with url, host (the virtual host to ask for), appId and usesTokenAuth
+   */
+  async getServers(appId) {
+    if (this.servers) {
+      return this.servers.map((url) => ({
+        url,
+        host: new URL(url).host,
+        appId,
+        usesTokenAuth: false,
+      }));
+    }
+
+    const { servers } = await this.steamUser.getContentServers(appId);
+
+    return servers.map((server) => ({
+      url: `${server.https_support === "mandatory" ? "https" : "http"}://${
+        server.Host
+      }`,
+      host: server.vhost || server.Host,
+      appId,
+      usesTokenAuth: server.usetokenauth == 1,
+    }));
+  }
+
+  /**
+   * Get the auth token a server wants on a depot's chunk URLs
+   *
+   * Tokens are requested once per depot and host and reused until they
+   * expire.
+   * @param {Object} server - Server from getServers
+   * @param {number} depotId - The depot ID
+   * @returns {Promise<string>} The token, to append to the chunk URL
+   * @throws {RequestError} If Steam does not hand out a token
+   */
+  getAuthToken(server, depotId) {
+    const key = `${depotId}_${server.host}`;
+    const cached = this.authTokens.get(key);
+
+    // A request still in flight has no expiry yet
+    if (cached && (cached.expires === null || cached.expires > Date.now())) {
+      return cached.request;
+    }
+
+    const entry = { expires: null };
+
+    entry.request = this.steamUser
+      .getCDNAuthToken(server.appId, depotId, server.host)
+      .then(({ token, expires }) => {
+        entry.expires = new Date(expires).getTime();
+        return token;
+      })
+      .catch((error) => {
+        this.authTokens.delete(key);
+        throw new RequestError(
+          `Could not get a CDN auth token for depot ${depotId} from ${server.host}: ${error.message}`,
+          { cause: error }
+        );
+      });
+
+    this.authTokens.set(key, entry);
+    return entry.request;
+  }
+
+  /**
+   * Download one chunk as served by the CDN
+   * @param {Object} server - Server from getServers
+   * @param {number} depotId - The depot ID
+   * @param {string} chunkId - The chunk's SHA-1, in hex
+   * @returns {Promise<Buffer>} The encrypted, compressed chunk
+   * @throws {TimeoutError} If the server does not answer in time
+   * @throws {RequestError} If the request or the server's auth token fails
+   */
+  async downloadChunk(server, depotId, chunkId) {
+    const token = server.usesTokenAuth
+      ? await this.getAuthToken(server, depotId)
+      : "";
+
+    try {
+      const response = await axios.get(
+        `${server.url}/depot/${depotId}/chunk/${chunkId}${token}`,
+        {
+          headers: { Host: server.host },
+          responseType: "arraybuffer",
+          timeout: this.timeout,
+        }
+      );
+      return Buffer.from(response.data);
+    } catch (error) {
+      if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
+        throw new TimeoutError(
+          `Chunk ${chunkId} from ${server.host} timed out after ${
+            this.timeout / 1000
+          } seconds`,
+          { cause: error }
+        );
+      }
+
+      throw new RequestError(
+        `Could not download chunk ${chunkId} from ${server.host}: ${error.message}`,
+        { cause: error }
+      );
+    }
+  }
+}
+
+module.exports = SteamCdnClient;
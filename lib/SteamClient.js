@@ -1,151 +1,549 @@
+const crypto = require("crypto");
+const EventEmitter = require("events");
 const SteamUser = require("steam-user");
-const chalk = require("chalk");
-const fs = require("fs");
-const path = require("path");
+const ManifestHistory = require("./ManifestHistory");
+const ProductInfoCache = require("./ProductInfoCache");
+const CredentialStore = require("./CredentialStore");
+const DepotDownloader = require("./DepotDownloader");
+const SteamCdnClient = require("./SteamCdnClient");
+const {
+  SteamError,
+  NotFoundError,
+  TimeoutError,
+  LoginError,
+  RequestError,
+} = require("./Errors");
+
+/**
+ * Default time to wait for Steam to answer a request
+ */
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Reject with a TimeoutError if a promise does not settle in time
+ * @param {Promise} promise - The promise to wait for
+ * @param {number} timeoutMs - How long to wait
+ * @param {string} description - What is being waited for, for the error message
+ * @returns {Promise<*>} The promise's result
+ */
+function withTimeout(promise, timeoutMs, description) {
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () =>
+        reject(
+          new TimeoutError(
+            `${description} timed out after ${timeoutMs / 1000} seconds`
+          )
+        ),
+      timeoutMs
+    );
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Read the expiry time of a Steam refresh token (a JWT)
+ * @param {string} refreshToken - The refresh token
+ * @returns {number|null} Unix time the token expires at, or null if it is not a valid JWT
+ */
+function getTokenExpiry(refreshToken) {
+  const parts = String(refreshToken).split(".");
+
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1], "base64").toString());
+    return typeof payload.exp === "number" ? payload.exp : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Decrypt the manifest ID of a password-protected branch
+ * @param {string} encryptedGid - The depot's encrypted_gid_2, in hex
+ * @param {Buffer} key - The branch key from the beta password check
+ * @returns {string|null} The manifest ID, or null if the key does not fit
+ */
+function decryptManifestId(encryptedGid, key) {
+  try {
+    const decipher = crypto.createDecipheriv(
+      `aes-${key.length * 8}-ecb`,
+      key,
+      null
+    );
+    const plain = Buffer.concat([
+      decipher.update(Buffer.from(encryptedGid, "hex")),
+      decipher.final(),
+    ]);
+    return plain.readBigUInt64LE(0).toString();
+  } catch (error) {
+    return null;
+  }
+}
 
 /**
  * Class for handling Steam client connections and operations
+ *
+ * Progress is emitted as "progress" events ({level, message}) and, when an
+ * Output is given, also printed to it. Failures are thrown as the errors in
+ * Errors.js rather than being turned into fallback values.
  */
-class SteamClient {
+class SteamClient extends EventEmitter {
   /**
    * Create a new Steam client
+   * @param {Object} [options] - Client options
+   * @param {Output} [options.output] - Where to print progress messages (quiet if omitted)
+   * @param {ManifestHistory} [options.history] - Store for observed manifests
+   * @param {ProductInfoCache} [options.cache] - On-disk product info cache
+   * @param {CredentialStore} [options.credentials] - Login saved by loginWithPassword
+   * @param {boolean} [options.offline] - Answer from the cache only, never asking Steam
+   * @param {SteamLibrary} [options.steamLibrary] - Steam install whose appinfo.vdf is read when offline
+   * @param {string} [options.betaPassword] - Beta password to unlock private branches with
+   * @param {number} [options.timeout=30000] - Milliseconds to wait for each Steam request
    */
-  constructor() {
-    this.client = new SteamUser();
+  constructor(options = {}) {
+    super();
+    this.client = new SteamUser({ renewRefreshTokens: true });
+    this.output = options.output || null;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+    this.history = options.history || new ManifestHistory();
+    this.cache = options.cache || new ProductInfoCache();
+    this.offline = options.offline || false;
+    this.steamLibrary = options.steamLibrary || null;
+    this.credentials = options.credentials || new CredentialStore();
+    this.betaPassword = options.betaPassword || null;
+    // Keys and passwords of unlocked branches, by app ID and branch name
+    this.betaKeys = {};
+    this.betaPasswords = {};
+    // Account of the current session, or null when anonymous
+    this.accountName = null;
+
+    // Steam may hand out a renewed token during a saved login; keep it
+    this.client.on("refreshToken", (token) => {
+      if (this.accountName) {
+        this.credentials.set(this.accountName, token);
+      }
+    });
+    // Product info already fetched or checked against Steam during this run
+    this.sessionProductInfo = {};
   }
 
   /**
-   * Log in to Steam anonymously
+   * Emit a progress message, printing it too if an Output was given
+   * @param {string} level - One of "info", "success", "warning" or "error"
+   * @param {string} message - The message
+   */
+  report(level, message) {
+    this.emit("progress", { level, message });
+
+    if (this.output) {
+      this.output.report(level, message);
+    }
+  }
+
+  /**
+   * Log in to Steam, with the saved login if there is one and anonymously otherwise
    * @returns {Promise<void>} Resolves when login is complete
+   * @throws {LoginError} If Steam rejects the login
+   * @throws {TimeoutError} If Steam does not answer in time
    */
   async login() {
-    console.log(chalk.blue("Logging in anonymously to Steam..."));
+    if (this.offline) {
+      this.report("info", "Offline: using cached product info only.");
+      return;
+    }
 
-    this.client.logOn({ anonymous: true });
+    const saved = this.credentials.get();
 
-    return new Promise((resolve, reject) => {
-      this.client.once("loggedOn", () => {
-        console.log(chalk.green("✓ Successfully logged in anonymously"));
-        resolve();
-      });
+    if (!saved) {
+      this.report("info", "Logging in anonymously to Steam...");
+      await this.logOn({ anonymous: true }, { timeoutMs: this.timeout });
+      this.report("success", "✓ Successfully logged in anonymously");
+      return;
+    }
 
-      this.client.once("error", (err) => {
-        console.error(chalk.red("Error logging in:"), err.message);
-        reject(err);
-      });
+    // steam-user throws these outside of any promise we could catch
+    const expiresAt = getTokenExpiry(saved.refreshToken);
+
+    if (!expiresAt || expiresAt * 1000 <= Date.now()) {
+      throw new LoginError(
+        `The saved login for ${saved.accountName} has ${
+          expiresAt ? "expired" : "been damaged"
+        }; run the login command again, or logout to continue anonymously.`
+      );
+    }
+
+    this.report("info", `Logging in to Steam as ${saved.accountName}...`);
+
+    try {
+      await this.logOn(
+        { refreshToken: saved.refreshToken },
+        { timeoutMs: this.timeout }
+      );
+    } catch (error) {
+      if (error instanceof LoginError) {
+        throw new LoginError(
+          `The saved login for ${saved.accountName} was rejected (${error.cause.message}); run the login command again, or logout to continue anonymously.`,
+          { cause: error.cause }
+        );
+      }
+      throw error;
+    }
+
+    this.accountName = saved.accountName;
+    this.report("success", `✓ Successfully logged in as ${saved.accountName}`);
+  }
+
+  /**
+   * Log in with an account name and password and save the login for later runs
+   *
+   * There is no timeout here, since Steam Guard waits for the user to enter a
+   * code.
+   * @param {string} accountName - The Steam account name
+   * @param {string} password - The account password
+   * @param {Object} [options] - Login options
+   * @param {Function} [options.onSteamGuard] - Called with ({email, lastCodeWrong}), resolves to the Steam Guard code
+   * @returns {Promise<Object>} The saved accountName
+   * @throws {LoginError} If Steam rejects the login
+   */
+  async loginWithPassword(accountName, password, options = {}) {
+    let refreshToken = null;
+    const onRefreshToken = (token) => {
+      refreshToken = token;
+    };
+    // Ending the attempt through "error" lets logOn() reject as usual
+    const abort = (error) => {
+      this.client.logOff();
+      this.client.emit("error", error);
+    };
+    const onSteamGuard = (domain, callback, lastCodeWrong) => {
+      if (!options.onSteamGuard) {
+        abort(new Error("A Steam Guard code is required"));
+        return;
+      }
+
+      Promise.resolve(
+        options.onSteamGuard({ email: domain || null, lastCodeWrong })
+      ).then((code) => callback(code.trim()), abort);
+    };
+
+    this.report("info", `Logging in to Steam as ${accountName}...`);
+
+    this.client.on("refreshToken", onRefreshToken);
+    this.client.on("steamGuard", onSteamGuard);
+
+    try {
+      await this.logOn({ accountName, password }, { timeoutMs: 0 });
+    } finally {
+      this.client.removeListener("refreshToken", onRefreshToken);
+      this.client.removeListener("steamGuard", onSteamGuard);
+    }
+
+    if (!refreshToken) {
+      throw new LoginError("Steam did not issue a refresh token to save.");
+    }
+
+    this.credentials.set(accountName, refreshToken);
+    this.accountName = accountName;
+    this.report("success", `✓ Successfully logged in as ${accountName}`);
+
+    return { accountName };
+  }
+
+  /**
+   * Forget the saved login, so later runs log in anonymously
+   * @returns {string|null} The account name that was forgotten, or null if none was saved
+   */
+  forgetLogin() {
+    const saved = this.credentials.get();
+    this.credentials.clear();
+    return saved ? saved.accountName : null;
+  }
+
+  /**
+   * Start a Steam session and wait for it to be established
+   * @param {Object} details - Log on details passed to steam-user
+   * @param {Object} options - Log on options
+   * @param {number} options.timeoutMs - How long to wait (0 waits forever)
+   * @returns {Promise<void>} Resolves once logged on
+   * @throws {LoginError} If Steam rejects the login
+   * @throws {TimeoutError} If Steam does not answer in time
+   */
+  async logOn(details, options) {
+    let onLoggedOn;
+    let onError;
+
+    const loggedOn = new Promise((resolve, reject) => {
+      onLoggedOn = () => resolve();
+
+      onError = (err) => {
+        this.report("error", `Error logging in: ${err.message}`);
+        reject(
+          new LoginError(`Could not log in to Steam: ${err.message}`, {
+            cause: err,
+          })
+        );
+      };
+
+      this.client.once("loggedOn", onLoggedOn);
+      this.client.once("error", onError);
     });
+
+    this.client.logOn(details);
+
+    try {
+      await (options.timeoutMs
+        ? withTimeout(loggedOn, options.timeoutMs, "Logging in to Steam")
+        : loggedOn);
+    } finally {
+      this.client.removeListener("loggedOn", onLoggedOn);
+      this.client.removeListener("error", onError);
+    }
   }
 
   /**
    * Log out from Steam
    */
   logout() {
+    if (this.offline) {
+      return;
+    }
+
     this.client.logOff();
-    console.log(chalk.blue("Logged out of Steam."));
+    this.report("info", "Logged out of Steam.");
   }
 
   /**
-   * Fetch depot information for a game using the Steam client
+   * Whether the client currently has a Steam session
+   * @returns {boolean} True if logged on
+   */
+  isLoggedOn() {
+    return !!this.client.steamID;
+  }
+
+  /**
+   * Get the product info (PICS data) for an app, using the cache when possible
+   *
+   * The cached copy is reused while Steam reports no change to the app since
+   * its changenumber, and is only checked once per run unless refreshing.
    * @param {number} appId - The Steam app ID
-   * @returns {Promise<Array>} - List of depots for the game
+   * @param {Object} [options] - Lookup options
+   * @param {boolean} [options.refresh] - Check with Steam again even if already checked this run
+   * @returns {Promise<Object>} - The app's changenumber and appinfo
+   * @throws {NotFoundError} If Steam (or, offline, the cache) has no product info for the app
    */
-  async getGameDepots(appId) {
-    console.log(chalk.blue(`Fetching depot information for app ${appId}...`));
+  async getProductInfo(appId, options = {}) {
+    if (this.sessionProductInfo[appId] && !options.refresh) {
+      return this.sessionProductInfo[appId];
+    }
 
-    try {
-      // Use the Steam client to get product info including depots
-      const productInfo = await new Promise((resolve, reject) => {
-        this.client.getProductInfo(
-          [appId],
-          [],
-          (err, apps, packages, unknownApps, unknownPackages) => {
-            if (err) {
-              reject(err);
-              return;
-            }
-
-            resolve(apps[appId]);
-          }
-        );
-      });
+    const cached = this.cache.get(appId);
 
-      if (!productInfo || !productInfo.appinfo) {
-        console.log(chalk.yellow("No product information found for this app."));
-        return [];
-      }
+    if (this.offline) {
+      const local = await this.getLocalProductInfo(appId);
 
-      // Extract depot information from the product info
-      const depots = [];
-
-      // Check if the app has depots info
-      if (productInfo.appinfo.depots) {
-        const depotData = productInfo.appinfo.depots;
-
-        // Process each depot
-        for (const depotId in depotData) {
-          if (depotId === "branches" || isNaN(parseInt(depotId))) {
-            continue; // Skip non-numeric entries and branches
-          }
-
-          const depot = depotData[depotId];
-          const name = depot.name || `Depot ${depotId}`;
-
-          // Extract additional useful information
-          const osType = this.getOsType(depot);
-          const dlcAppId = depot.dlcappid || null;
-          const maxSize = depot.maxsize || null;
-          const systemDefined = depot.systemdefined || false;
-          const optional = depot.optional || false;
-          const sharedInstall = depot.sharedinstall || false;
-          const language = depot.config?.language || null;
-          const encryptedSize = depot.encryptedsize || null;
-
-          depots.push({
-            id: depotId,
-            name: name,
-            osType,
-            dlcAppId,
-            maxSize,
-            systemDefined,
-            optional,
-            sharedInstall,
-            language,
-            encryptedSize,
-            // Include the raw data for debugging or further processing
-            rawData: depot,
-          });
-        }
+      // Steam's own cache may have seen a newer change than ours
+      if (local && (!cached || local.changenumber > cached.changenumber)) {
+        this.report(
+          "info",
+          `Using product info for app ${appId} from Steam's appinfo.vdf (offline).`
+        );
+        this.sessionProductInfo[appId] = local;
+        return local;
       }
 
-      if (depots.length === 0) {
-        // If no depots found, use the main app as fallback
-        console.log(
-          chalk.yellow("No depots found. Using the main app as a depot.")
+      if (!cached) {
+        throw new NotFoundError(
+          `No cached product info for app ${appId}; run once without --offline to fetch it.`
         );
+      }
 
-        depots.push({
-          id: appId,
-          name: productInfo.appinfo.common?.name || `App ${appId}`,
-          osType: "Unknown",
-        });
+      this.report(
+        "info",
+        `Using cached product info for app ${appId} from ${new Date(
+          cached.fetchedAt * 1000
+        ).toLocaleString()} (offline).`
+      );
+      this.sessionProductInfo[appId] = cached;
+      return cached;
+    }
+
+    let productInfo;
+
+    if (cached && (await this.isUnchangedSince(appId, cached.changenumber))) {
+      productInfo = cached;
+    } else {
+      productInfo = await this.fetchProductInfo(appId);
+
+      if (!productInfo || !productInfo.appinfo) {
+        throw new NotFoundError(
+          `No product information found for app ${appId}.`
+        );
       }
 
-      return depots;
+      this.cache.set(appId, productInfo);
+    }
+
+    this.sessionProductInfo[appId] = productInfo;
+    return productInfo;
+  }
+
+  /**
+   * Read an app's product info from the local Steam client's appinfo.vdf
+   * @param {number} appId - The Steam app ID
+   * @returns {Promise<Object|null>} Product info with changenumber, appinfo and fetchedAt, or null if unavailable
+   */
+  async getLocalProductInfo(appId) {
+    if (!this.steamLibrary) {
+      return null;
+    }
+
+    let entry;
+
+    try {
+      entry = await this.steamLibrary.getCachedAppInfo(appId);
     } catch (error) {
-      console.log(
-        chalk.yellow(`Could not fetch depot information: ${error.message}`)
+      this.report(
+        "warning",
+        `Could not read Steam's appinfo.vdf: ${error.message}`
       );
-      console.log(chalk.yellow("Using the app itself as a depot."));
+      return null;
+    }
 
-      // Return the app itself as a fallback
-      return [
-        {
-          id: appId,
-          name: `App ${appId}`,
-          osType: "Unknown",
-        },
-      ];
+    if (!entry || !entry.data.appinfo) {
+      return null;
+    }
+
+    return {
+      changenumber: entry.changeNumber,
+      appinfo: entry.data.appinfo,
+      fetchedAt: entry.lastUpdated,
+    };
+  }
+
+  /**
+   * Ask Steam whether an app has changed since a changenumber
+   * @param {number} appId - The Steam app ID
+   * @param {number} changenumber - The changenumber of the cached copy
+   * @returns {Promise<boolean>} True if the cached copy is still current
+   */
+  async isUnchangedSince(appId, changenumber) {
+    let changes;
+
+    try {
+      changes = await withTimeout(
+        this.client.getProductChanges(changenumber),
+        this.timeout,
+        "Checking for product info changes"
+      );
+    } catch (error) {
+      return false; // Fetching the product info again is always safe
+    }
+
+    if (changes.currentChangeNumber === changenumber) {
+      return true;
+    }
+
+    // Steam answers with no changes at all when the changenumber is too old
+    // to diff against, so an empty list means "fetch everything again"
+    if (
+      changes.appChanges.length === 0 &&
+      changes.packageChanges.length === 0
+    ) {
+      return false;
+    }
+
+    return !changes.appChanges.some(
+      (change) => String(change.appid) === String(appId)
+    );
+  }
+
+  /**
+   * Fetch the raw product info (PICS data) for an app from Steam
+   * @param {number} appId - The Steam app ID
+   * @returns {Promise<Object|undefined>} - The app's changenumber and appinfo
+   */
+  fetchProductInfo(appId) {
+    const request = new Promise((resolve, reject) => {
+      this.client.getProductInfo([appId], [], (err, apps) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        resolve(apps[appId]);
+      });
+    });
+
+    return withTimeout(
+      request,
+      this.timeout,
+      `Fetching product info for app ${appId}`
+    );
+  }
+
+  /**
+   * Fetch depot information for a game using the Steam client
+   * @param {number} appId - The Steam app ID
+   * @returns {Promise<Array>} - List of depots for the game
+   * @throws {NotFoundError} If there is no product info for the app
+   */
+  async getGameDepots(appId) {
+    this.report("info", `Fetching depot information for app ${appId}...`);
+
+    // Use the Steam client to get product info including depots
+    const productInfo = await this.getProductInfo(appId);
+
+    // Extract depot information from the product info
+    const depots = [];
+    const depotData = productInfo.appinfo.depots || {};
+
+    // Process each depot
+    for (const depotId in depotData) {
+      if (depotId === "branches" || isNaN(parseInt(depotId))) {
+        continue; // Skip non-numeric entries and branches
+      }
+
+      const depot = depotData[depotId];
+      const name = depot.name || `Depot ${depotId}`;
+
+      // Extract additional useful information
+      const osType = this.getOsType(depot);
+      const dlcAppId = depot.dlcappid || null;
+      const maxSize = depot.maxsize || null;
+      const systemDefined = depot.systemdefined || false;
+      const optional = depot.optional || false;
+      const sharedInstall = depot.sharedinstall || false;
+      const language = depot.config?.language || null;
+      const encryptedSize = depot.encryptedsize || null;
+
+      depots.push({
+        id: depotId,
+        name: name,
+        osType,
+        dlcAppId,
+        maxSize,
+        systemDefined,
+        optional,
+        sharedInstall,
+        language,
+        encryptedSize,
+        // Include the raw data for debugging or further processing
+        rawData: depot,
+      });
     }
+
+    if (depots.length === 0) {
+      this.report("warning", `No depots found for app ${appId}.`);
+    }
+
+    return depots;
   }
 
   /**
@@ -154,7 +552,6 @@ class SteamClient {
    * @returns {string} - OS type (Windows, Mac, Linux, or "Unknown")
    */
   getOsType(depot) {
-    console.log(depot);
     // Check if OS is specified directly
     if (depot.config) {
       if (depot.config.oslist) {
@@ -176,261 +573,478 @@ class SteamClient {
     return "Unknown";
   }
 
+  /**
+   * Find the manifest ID a branch currently uses for a depot
+   * @param {Object} depot - Depot data from Steam API
+   * @param {Object} branch - Branch data from Steam API
+   * @param {string} branchName - The branch name
+   * @param {number} depotId - The depot ID
+   * @param {Buffer} [key] - The branch key, for password-protected branches
+   * @returns {string|null} - The manifest ID, if the branch has one
+   */
+  getBranchManifestId(depot, branch, branchName, depotId, key) {
+    // Current format: depots[depotId].manifests[branch].gid
+    const manifest = depot.manifests && depot.manifests[branchName];
+    if (manifest) {
+      return String(typeof manifest === "object" ? manifest.gid : manifest);
+    }
+
+    // Password-protected branches only list an encrypted manifest ID
+    const encrypted = depot.encryptedmanifests?.[branchName]?.encrypted_gid_2;
+    if (encrypted && key) {
+      return decryptManifestId(encrypted, key);
+    }
+
+    // Older format kept the manifest on the branch itself
+    if (branch.depots && branch.depots[depotId]) {
+      return String(branch.depots[depotId].manifest);
+    }
+
+    return null;
+  }
+
+  /**
+   * List the manifest each branch currently uses for a depot
+   * @param {Object} appinfo - The app's product info
+   * @param {number} depotId - The depot ID
+   * @param {Object} [betaKeys] - Keys of unlocked branches, by branch name
+   * @returns {Array} - Current branch manifests for the depot
+   */
+  getBranchManifests(appinfo, depotId, betaKeys = {}) {
+    const manifests = [];
+    const depotData = appinfo.depots || {};
+    const depot = depotData[depotId] || {};
+
+    if (!depotData.branches) {
+      return manifests;
+    }
+
+    for (const branchName in depotData.branches) {
+      const branch = depotData.branches[branchName];
+      const manifestId = this.getBranchManifestId(
+        depot,
+        branch,
+        branchName,
+        depotId,
+        betaKeys[branchName]
+      );
+
+      if (branch.buildid && manifestId) {
+        manifests.push({
+          branch: branchName,
+          buildId: branch.buildid,
+          manifestId: manifestId,
+          description: branch.description || "",
+          isPublic: !!branch.public,
+          passwordRequired: !!Number(branch.pwdrequired),
+          timeupdated: branch.timeupdated || null,
+          // Include additional rawData for debugging
+          rawData: branch,
+          isHistorical: false,
+        });
+      }
+    }
+
+    return manifests;
+  }
+
+  /**
+   * Check a beta password with Steam and remember the branches it unlocks
+   * @param {number} appId - The Steam app ID
+   * @param {string} password - The beta password
+   * @returns {Promise<Array<string>>} Names of the unlocked branches
+   * @throws {RequestError} If the password unlocks no branch
+   * @throws {TimeoutError} If Steam does not answer in time
+   */
+  async unlockBranches(appId, password) {
+    this.report("info", `Checking the beta password for app ${appId}...`);
+
+    let keys;
+
+    try {
+      ({ keys } = await withTimeout(
+        this.client.getAppBetaDecryptionKeys(appId, password),
+        this.timeout,
+        "Checking the beta password"
+      ));
+    } catch (error) {
+      if (error instanceof SteamError) {
+        throw error;
+      }
+
+      throw new RequestError(
+        `Could not check the beta password for app ${appId}: ${error.message}`,
+        { cause: error }
+      );
+    }
+
+    const branches = Object.keys(keys);
+
+    if (branches.length === 0) {
+      throw new RequestError(
+        `The beta password does not unlock any branch of app ${appId}.`
+      );
+    }
+
+    this.betaKeys[appId] = { ...this.betaKeys[appId], ...keys };
+    this.betaPasswords[appId] = this.betaPasswords[appId] || {};
+    branches.forEach((branch) => {
+      this.betaPasswords[appId][branch] = password;
+    });
+
+    this.report("success", `✓ Unlocked branches: ${branches.join(", ")}`);
+
+    return branches;
+  }
+
+  /**
+   * Get the keys of the unlocked branches of an app
+   *
+   * The beta password given to the constructor is checked the first time.
+   * @param {number} appId - The Steam app ID
+   * @returns {Promise<Object>} Branch keys by branch name
+   */
+  async getBetaKeys(appId) {
+    if (!this.betaKeys[appId] && this.betaPassword) {
+      if (this.offline) {
+        this.report("warning", "Offline: the beta password cannot be checked.");
+        this.betaKeys[appId] = {};
+      } else {
+        await this.unlockBranches(appId, this.betaPassword);
+      }
+    }
+
+    return this.betaKeys[appId] || {};
+  }
+
+  /**
+   * List the password-protected branches of an app that are still locked
+   * @param {number} appId - The Steam app ID
+   * @returns {Promise<Array<Object>>} Branches with branch, buildId, description and timeupdated
+   * @throws {NotFoundError} If there is no product info for the app
+   */
+  async getLockedBranches(appId) {
+    const productInfo = await this.getProductInfo(appId);
+    const betaKeys = await this.getBetaKeys(appId);
+    const branches = productInfo.appinfo.depots?.branches || {};
+
+    return Object.keys(branches)
+      .filter((name) => Number(branches[name].pwdrequired) && !betaKeys[name])
+      .map((name) => ({
+        branch: name,
+        buildId: branches[name].buildid,
+        description: branches[name].description || "",
+        timeupdated: branches[name].timeupdated || null,
+      }));
+  }
+
+  /**
+   * Get the password to send with manifest requests for a branch
+   * @param {number} appId - The Steam app ID
+   * @param {string} branch - The branch name
+   * @returns {string|null} The branch's beta password, if it was unlocked with one
+   */
+  getBranchPassword(appId, branch) {
+    return this.betaPasswords[appId]?.[branch] || null;
+  }
+
   /**
    * Fetch manifest information for a depot
    * @param {number} appId - The Steam app ID
    * @param {number} depotId - The depot ID
    * @returns {Promise<Array>} - List of manifests for the depot
+   * @throws {NotFoundError} If there is no product info for the app
    */
   async getDepotManifests(appId, depotId) {
-    console.log(
-      chalk.blue(`Fetching manifest information for depot ${depotId}...`)
+    this.report(
+      "info",
+      `Fetching manifest information for depot ${depotId}...`
     );
 
-    try {
-      // Get the product info for branch/buildid information
-      const productInfo = await new Promise((resolve, reject) => {
-        this.client.getProductInfo(
-          [appId],
-          [],
-          (err, apps, packages, unknownApps, unknownPackages) => {
-            if (err) {
-              reject(err);
-              return;
-            }
-            resolve(apps[appId]);
-          }
-        );
+    // Get the product info for branch/buildid information
+    const productInfo = await this.getProductInfo(appId);
+
+    const manifests = this.getBranchManifests(
+      productInfo.appinfo,
+      depotId,
+      await this.getBetaKeys(appId)
+    );
+
+    // Remember what we just saw and add earlier sightings from the history
+    this.history.record(appId, depotId, manifests);
+
+    const currentIds = new Set(manifests.map((m) => String(m.manifestId)));
+    this.history.getManifests(appId, depotId).forEach((entry) => {
+      if (currentIds.has(entry.manifestId)) {
+        return;
+      }
+
+      manifests.push({
+        manifestId: entry.manifestId,
+        buildId: entry.buildId || "Unknown",
+        branch: entry.branch || "Unknown",
+        description: "Previously seen manifest",
+        timeupdated: entry.timeupdated,
+        firstSeen: entry.firstSeen,
+        lastSeen: entry.lastSeen,
+        isPublic: true,
+        isHistorical: true,
       });
+    });
 
-      if (!productInfo || !productInfo.appinfo || !productInfo.appinfo.depots) {
-        console.log(chalk.yellow("No product information found for this app."));
-        return [];
+    // Sort manifests by time updated (newest first)
+    manifests.sort((a, b) => {
+      if (a.timeupdated && b.timeupdated) {
+        return b.timeupdated - a.timeupdated;
       }
+      // If no time, sort with non-historical first
+      if (a.isHistorical && !b.isHistorical) return 1;
+      if (!a.isHistorical && b.isHistorical) return -1;
+      return 0;
+    });
 
-      const manifests = [];
-      const depotData = productInfo.appinfo.depots;
-
-      // First, try to get manifest information from depot info
-      if (productInfo.appinfo.depots[depotId]) {
-        const depot = productInfo.appinfo.depots[depotId];
-        if (depot.manifests) {
-          // If depot has manifest map directly
-          for (const [manifestId, details] of Object.entries(depot.manifests)) {
-            manifests.push({
-              manifestId: manifestId,
-              buildId: details.buildid || "Unknown",
-              branch: "Unknown",
-              description: "Depot manifest",
-              timeupdated: details.date || null,
-              size: details.size || null,
-              isPublic: true,
-              isHistorical: true,
-            });
-          }
-        }
+    if (manifests.length === 0) {
+      this.report("warning", "No manifests found for this depot.");
+    } else {
+      this.report(
+        "success",
+        `Found ${manifests.length} manifests for this depot.`
+      );
+    }
+
+    return manifests;
+  }
+
+  /**
+   * Resolve the manifest of every depot for one build of an app
+   *
+   * A branch name resolves to what the branch points at now. A build ID is
+   * matched against the current branches first, then against the manifest
+   * history for builds no branch points at any more.
+   * @param {number} appId - The Steam app ID
+   * @param {string} build - A build ID or a branch name
+   * @returns {Promise<Object|null>} buildId, branch, depots (with manifestId) and missing depots, or null if the build is unknown
+   * @throws {NotFoundError} If there is no product info for the app
+   */
+  async getBuildManifests(appId, build) {
+    this.report("info", `Resolving build ${build} for app ${appId}...`);
+
+    const productInfo = await this.getProductInfo(appId);
+    const betaKeys = await this.getBetaKeys(appId);
+    const depotData = productInfo.appinfo.depots || {};
+    const branches = depotData.branches || {};
+    let branchName = null;
+
+    if (branches[build]) {
+      branchName = build;
+    } else if (/^\d+$/.test(build)) {
+      // Several branches can share a build; prefer the public one
+      const matching = Object.keys(branches).filter(
+        (name) => String(branches[name].buildid) === build
+      );
+      branchName = matching.includes("public") ? "public" : matching[0] || null;
+    }
+
+    if (!branchName && !/^\d+$/.test(build)) {
+      return null;
+    }
+
+    const buildId = branchName ? String(branches[branchName].buildid) : build;
+    const depots = [];
+    const missing = [];
+
+    for (const depotId in depotData) {
+      if (isNaN(parseInt(depotId))) {
+        continue; // Skip branches and other non-depot entries
       }
 
-      // Get manifest/build information from branches
-      if (depotData.branches) {
-        for (const branchName in depotData.branches) {
-          const branch = depotData.branches[branchName];
-
-          // Check if this branch has a buildid
-          if (branch.buildid) {
-            // Check if depot-specific manifest exists
-            let manifestId = null;
-            if (
-              branch.depots &&
-              branch.depots[depotId] &&
-              branch.depots[depotId].manifest
-            ) {
-              manifestId = branch.depots[depotId].manifest;
-            }
-
-            // If no depot-specific manifest, use general buildid
-            if (!manifestId && branch.buildid) {
-              manifestId = branch.buildid;
-            }
-
-            if (manifestId) {
-              manifests.push({
-                branch: branchName,
-                buildId: branch.buildid,
-                manifestId: manifestId,
-                description: branch.description || "",
-                isPublic: !!branch.public,
-                timeupdated: branch.timeupdated || null,
-                // Include additional rawData for debugging
-                rawData: branch,
-                isHistorical: false,
-              });
-            }
-          }
-        }
+      const depot = depotData[depotId];
+      const branchManifests = this.getBranchManifests(
+        productInfo.appinfo,
+        depotId,
+        betaKeys
+      );
+
+      // Depots without manifests (shared redistributables) have no content
+      if (branchManifests.length === 0) {
+        continue;
       }
 
-      // For demonstration, add some example historical manifest IDs
-      // based on the screenshot (normally these would come from Steam API)
-      // This is a workaround since we don't have direct access to historical manifests
-      const historicalManifests = [
-        {
-          manifestId: "2946550127499212992",
-          timeupdated: Math.floor(Date.now() / 1000) - 2 * 24 * 60 * 60, // 2 days ago
-          buildId: "Recent",
-        },
-        {
-          manifestId: "4931450830400310210",
-          timeupdated: Math.floor(Date.now() / 1000) - 2 * 24 * 60 * 60 - 3600, // 2 days ago
-          buildId: "Recent",
-        },
-        {
-          manifestId: "9512939615798864588",
-          timeupdated: Math.floor(Date.now() / 1000) - 10 * 24 * 60 * 60, // 10 days ago
-          buildId: "Older",
-        },
-        {
-          manifestId: "2488226670458163874",
-          timeupdated: Math.floor(Date.now() / 1000) - 15 * 24 * 60 * 60, // 15 days ago
-          buildId: "Older",
-        },
-        {
-          manifestId: "8387145243060614243",
-          timeupdated: Math.floor(Date.now() / 1000) - 16 * 24 * 60 * 60, // 16 days ago
-          buildId: "Older",
-        },
-      ];
-
-      // Add the example historical manifests (in a real app, these would come from the API)
-      historicalManifests.forEach((manifest) => {
-        manifests.push({
-          manifestId: manifest.manifestId,
-          buildId: manifest.buildId,
-          branch: "historical",
-          description: "Previously seen manifest",
-          timeupdated: manifest.timeupdated,
-          isPublic: true,
-          isHistorical: true,
-        });
-      });
+      this.history.record(appId, depotId, branchManifests);
 
-      // Sort manifests by time updated (newest first)
-      manifests.sort((a, b) => {
-        if (a.timeupdated && b.timeupdated) {
-          return b.timeupdated - a.timeupdated;
-        }
-        // If no time, sort with non-historical first
-        if (a.isHistorical && !b.isHistorical) return 1;
-        if (!a.isHistorical && b.isHistorical) return -1;
-        return 0;
-      });
+      let manifestId = null;
+      if (branchName) {
+        const current = branchManifests.find((m) => m.branch === branchName);
+        manifestId = current ? current.manifestId : null;
+      } else {
+        const seen = this.history.findBuild(appId, depotId, buildId);
+        manifestId = seen ? seen.manifestId : null;
+      }
 
-      if (manifests.length === 0) {
-        console.log(chalk.yellow("No manifests found for this depot."));
+      const info = {
+        id: depotId,
+        name: depot.name || `Depot ${depotId}`,
+        osType: this.getOsType(depot),
+        language: depot.config?.language || null,
+        dlcAppId: depot.dlcappid || null,
+        optional: depot.optional || false,
+        rawData: depot,
+      };
+
+      if (manifestId) {
+        depots.push({ ...info, manifestId });
       } else {
-        console.log(
-          chalk.green(`Found ${manifests.length} manifests for this depot.`)
-        );
+        missing.push(info);
       }
+    }
 
-      return manifests;
-    } catch (error) {
-      console.log(
-        chalk.yellow(`Could not fetch manifest information: ${error.message}`)
-      );
-      return [];
+    if (!branchName && depots.length === 0) {
+      return null;
     }
+
+    return { appId, buildId, branch: branchName, depots, missing };
   }
 
   /**
-   * Attempt to download a depot manifest and its files while anonymous
+   * Download the files of a depot manifest from Steam's CDN
+   *
+   * Running it again on the same directory resumes an interrupted download.
+   * Most depots can only be downloaded by an account that owns the app.
    * @param {number} appId - The Steam app ID
    * @param {number} depotId - The depot ID
    * @param {string} manifestId - The manifest ID to download
-   * @param {string} downloadDir - Directory to download files to (defaults to ./downloads/appId/depotId/)
-   * @returns {Promise<Object>} - Download result information or error
+   * @param {string} [downloadDir] - Directory to download files to (defaults to ./downloads/appId/depotId/)
+   * @param {Object} [options] - Download options
+   * @param {string} [options.branch="public"] - Branch the manifest belongs to
+   * @param {number} [options.concurrency] - Chunks to download at the same time
+   * @param {SteamCdnClient} [options.cdnClient] - Use this CDN client instead of Steam's servers
+   * @param {Function} [options.onProgress] - Called with {downloadedBytes, totalBytes, filesDone, filesTotal}
+   * @returns {Promise<Object>} Summary with downloadDir, filesTotal, filesDownloaded, filesSkipped, chunksDownloaded and bytesDownloaded
+   * @throws {RequestError} If Steam refuses the depot key or a chunk cannot be downloaded
+   * @throws {ChecksumError} If downloaded content does not match the manifest
    */
-  async downloadManifest(appId, depotId, manifestId, downloadDir) {
-    // Create default download directory if none specified
+  async downloadManifest(
+    appId,
+    depotId,
+    manifestId,
+    downloadDir,
+    options = {}
+  ) {
     if (!downloadDir) {
       downloadDir = `./downloads/${appId}/${depotId}`;
     }
 
-    console.log(
-      chalk.blue(
-        `Attempting to download manifest ${manifestId} for depot ${depotId}...`
-      )
-    );
-    console.log(
-      chalk.yellow(
-        "Note: Anonymous downloads are restricted by Steam and may not work for all content."
-      )
+    const branch = options.branch || "public";
+    const downloader = new DepotDownloader({
+      cdnClient: this.getCdnClient(options),
+      concurrency: options.concurrency,
+    });
+
+    this.report(
+      "info",
+      `Downloading manifest ${manifestId} of depot ${depotId} to ${downloadDir}...`
     );
 
-    // Create download directory if it doesn't exist
-    if (!fs.existsSync(downloadDir)) {
-      fs.mkdirSync(downloadDir, { recursive: true });
-    }
-
-    // Steam-user doesn't directly expose downloadDepot in anonymous mode
-    // We'll create an informational file with manifest details instead
-    // and provide instructions for using the DepotDownloader tool
-
-    const manifestInfoPath = path.join(downloadDir, "manifest_info.json");
-    const manifestInfo = {
-      appId: appId,
-      depotId: depotId,
-      manifestId: manifestId,
-      timestamp: new Date().toISOString(),
-      downloadInstructions:
-        "To download this manifest, use DepotDownloader tool:\n" +
-        "1. Download from: https://github.com/SteamRE/DepotDownloader\n" +
-        "2. Use command: dotnet DepotDownloader.dll -app " +
-        appId +
-        " -depot " +
-        depotId +
-        " -manifest " +
-        manifestId +
-        " -username YOUR_USERNAME -password YOUR_PASSWORD -dir OUTPUT_DIR",
-    };
+    let summary;
 
     try {
-      fs.writeFileSync(manifestInfoPath, JSON.stringify(manifestInfo, null, 2));
-      console.log(
-        chalk.green(`Manifest information saved to ${manifestInfoPath}`)
+      summary = await downloader.download(
+        appId,
+        depotId,
+        manifestId,
+        downloadDir,
+        {
+          branch,
+          branchPassword: this.getBranchPassword(appId, branch),
+          onProgress: options.onProgress,
+        }
       );
-
-      // Create a README with instructions
-      const readmePath = path.join(downloadDir, "README.txt");
-      const readmeContent =
-        "STEAM MANIFEST DOWNLOAD INSTRUCTIONS\n" +
-        "==================================\n\n" +
-        `App ID: ${appId}\n` +
-        `Depot ID: ${depotId}\n` +
-        `Manifest ID: ${manifestId}\n\n` +
-        "Anonymous downloads are not supported by Steam.\n" +
-        "To download this content, you need:\n\n" +
-        "1. A Steam account that owns this content\n" +
-        "2. DepotDownloader tool (https://github.com/SteamRE/DepotDownloader)\n\n" +
-        "Command to use:\n" +
-        `dotnet DepotDownloader.dll -app ${appId} -depot ${depotId} -manifest ${manifestId} -username YOUR_USERNAME -password YOUR_PASSWORD -dir OUTPUT_DIR\n\n` +
-        "Note: Replace YOUR_USERNAME, YOUR_PASSWORD, and OUTPUT_DIR with your actual Steam credentials and desired output directory.\n";
-
-      fs.writeFileSync(readmePath, readmeContent);
-      console.log(chalk.green(`Download instructions saved to ${readmePath}`));
-
-      return {
-        success: false,
-        reason: "Anonymous download not supported",
-        manifestInfo: manifestInfo,
-        instructionsPath: readmePath,
-      };
     } catch (error) {
-      console.error(
-        chalk.red(`Error saving manifest information: ${error.message}`)
+      throw this.toCdnError(depotId, error);
+    }
+
+    this.report(
+      "success",
+      `✓ Downloaded ${summary.filesDownloaded} files (${summary.filesSkipped} already up to date) to ${downloadDir}`
+    );
+
+    return { downloadDir, ...summary };
+  }
+
+  /**
+   * List the files of a depot manifest
+   * @param {number} appId - The Steam app ID
+   * @param {number} depotId - The depot ID
+   * @param {string} manifestId - The manifest ID
+   * @param {Object} [options] - Lookup options
+   * @param {string} [options.branch="public"] - Branch the manifest belongs to
+   * @param {SteamCdnClient} [options.cdnClient] - Use this CDN client instead of Steam's servers
+   * @returns {Promise<Array<Object>>} Files with path, size, sha and flags, sorted by path
+   * @throws {RequestError} If Steam refuses the manifest
+   */
+  async getManifestFiles(appId, depotId, manifestId, options = {}) {
+    this.report(
+      "info",
+      `Fetching the file list of manifest ${manifestId} for depot ${depotId}...`
+    );
+
+    const branch = options.branch || "public";
+    let manifest;
+
+    try {
+      manifest = await this.getCdnClient(options).getManifest(
+        appId,
+        depotId,
+        manifestId,
+        branch,
+        this.getBranchPassword(appId, branch)
       );
-      throw error;
+    } catch (error) {
+      throw this.toCdnError(depotId, error);
+    }
+
+    return (manifest.files || [])
+      .filter((file) => !(file.flags & SteamUser.EDepotFileFlag.Directory))
+      .map((file) => ({
+        path: file.filename.replace(/\\/g, "/"),
+        size: Number(file.size),
+        sha: file.sha_content,
+        flags: file.flags,
+      }))
+      .sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  /**
+   * Get the CDN client to use for a request
+   * @param {Object} options - Request options
+   * @param {SteamCdnClient} [options.cdnClient] - A CDN client to use instead of the default
+   * @returns {SteamCdnClient} The CDN client
+   */
+  getCdnClient(options) {
+    return (
+      options.cdnClient ||
+      new SteamCdnClient({ steamUser: this.client, timeout: this.timeout })
+    );
+  }
+
+  /**
+   * Turn an error from a CDN request into one of the library's errors
+   * @param {number} depotId - The depot ID
+   * @param {Error} error - The error
+   * @returns {SteamError} The error to throw
+   */
+  toCdnError(depotId, error) {
+    if (error instanceof SteamError) {
+      return error;
     }
+
+    const hint = this.accountName
+      ? ""
+      : " Anonymous sessions can only access free content; use the login command first.";
+    return new RequestError(
+      `Could not get depot ${depotId} from Steam: ${error.message}.${hint}`,
+      { cause: error }
+    );
   }
 }
 
@@ -0,0 +1,306 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const Platform = require("./Platform");
+const { VDF, AppInfoFile } = require("./vdf");
+
+/**
+ * Read and parse a VDF file, returning null if it does not exist
+ * @param {string} filePath - The file to read
+ * @returns {Object|null} The parsed data
+ */
+function readVdf(filePath) {
+  let text;
+
+  try {
+    text = fs.readFileSync(filePath, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+
+  return VDF.parse(text);
+}
+
+/**
+ * Check whether a path is an existing directory
+ * @param {string} dirPath - The path to check
+ * @returns {boolean} True if it is a directory
+ */
+function isDirectory(dirPath) {
+  try {
+    return fs.statSync(dirPath).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Class for locating the Steam installation and its library folders
+ */
+class SteamLibrary {
+  /**
+   * Create a new Steam library locator
+   * @param {Object} [options] - Locator options
+   * @param {string} [options.steamRoot] - Use this Steam root instead of detecting it
+   */
+  constructor(options = {}) {
+    this.steamRoot = options.steamRoot || process.env.STEAM_ROOT || null;
+  }
+
+  /**
+   * Read the Steam install path from the Windows registry
+   * @returns {Promise<string|null>} The path, if Steam is registered
+   */
+  getRegistrySteamPath() {
+    return new Promise((resolve) => {
+      execFile(
+        "reg",
+        ["query", "HKCU\\Software\\Valve\\Steam", "/v", "SteamPath"],
+        (error, stdout) => {
+          const match = !error && stdout.match(/SteamPath\s+REG_SZ\s+(.+)/);
+          resolve(match ? path.normalize(match[1].trim()) : null);
+        }
+      );
+    });
+  }
+
+  /**
+   * List the places Steam is usually installed on this host
+   * @returns {Promise<Array<string>>} Candidate Steam root directories
+   */
+  async getSteamRootCandidates() {
+    const home = os.homedir();
+
+    switch (Platform.getName()) {
+      case "windows": {
+        const candidates = [
+          path.join(
+            process.env["ProgramFiles(x86)"] || "C:\\Program Files (x86)",
+            "Steam"
+          ),
+          path.join(process.env.ProgramFiles || "C:\\Program Files", "Steam"),
+        ];
+        const registryPath = await this.getRegistrySteamPath();
+        return registryPath ? [registryPath, ...candidates] : candidates;
+      }
+
+      case "macos":
+        return [path.join(home, "Library", "Application Support", "Steam")];
+
+      default:
+        return [
+          path.join(home, ".steam", "steam"),
+          path.join(home, ".steam", "root"),
+          path.join(home, ".local", "share", "Steam"),
+          path.join(
+            home,
+            ".var",
+            "app",
+            "com.valvesoftware.Steam",
+            ".local",
+            "share",
+            "Steam"
+          ),
+        ];
+    }
+  }
+
+  /**
+   * Find the Steam root directory (the one holding steamapps and logs)
+   * @returns {Promise<string|null>} The Steam root, or null if not found
+   */
+  async findSteamRoot() {
+    if (this.steamRoot) {
+      return this.steamRoot;
+    }
+
+    const candidates = await this.getSteamRootCandidates();
+    const found = candidates.find((candidate) =>
+      isDirectory(path.join(candidate, "steamapps"))
+    );
+
+    if (found) {
+      // ~/.steam/steam is usually a symlink; report where it points
+      this.steamRoot = fs.realpathSync(found);
+    }
+
+    return this.steamRoot;
+  }
+
+  /**
+   * List the Steam library folders from libraryfolders.vdf
+   * @returns {Promise<Array<Object>>} Libraries with path and app IDs
+   */
+  async getLibraryFolders() {
+    const steamRoot = await this.findSteamRoot();
+
+    if (!steamRoot) {
+      return [];
+    }
+
+    const data = readVdf(
+      path.join(steamRoot, "steamapps", "libraryfolders.vdf")
+    );
+    const folders = VDF.get(data, "libraryfolders") || {};
+    const libraries = [];
+
+    for (const key of Object.keys(folders)) {
+      if (isNaN(parseInt(key))) {
+        continue; // Skip entries such as contentstatsid
+      }
+
+      const folder = folders[key];
+
+      // Older files map the index straight to the path
+      if (typeof folder === "string") {
+        libraries.push({ path: path.normalize(folder), apps: [] });
+        continue;
+      }
+
+      libraries.push({
+        path: path.normalize(VDF.get(folder, "path")),
+        apps: Object.keys(VDF.get(folder, "apps") || {}),
+      });
+    }
+
+    // The Steam root is always a library, even if the file omits it
+    if (!libraries.some((library) => library.path === steamRoot)) {
+      libraries.unshift({ path: steamRoot, apps: [] });
+    }
+
+    return libraries;
+  }
+
+  /**
+   * Find the library folder an app is installed in
+   * @param {number} appId - The Steam app ID
+   * @returns {Promise<string|null>} The library path, or null if not installed
+   */
+  async findAppLibrary(appId) {
+    const libraries = await this.getLibraryFolders();
+
+    const library = libraries.find(
+      (lib) =>
+        lib.apps.includes(String(appId)) ||
+        fs.existsSync(this.getAppManifestPath(lib.path, appId))
+    );
+
+    return library ? library.path : null;
+  }
+
+  /**
+   * Get the path of an app's appmanifest file within a library
+   * @param {string} libraryPath - The library folder
+   * @param {number} appId - The Steam app ID
+   * @returns {string} Path to appmanifest_<appId>.acf
+   */
+  getAppManifestPath(libraryPath, appId) {
+    return path.join(libraryPath, "steamapps", `appmanifest_${appId}.acf`);
+  }
+
+  /**
+   * Resolve the directory an app is installed to
+   * @param {number} appId - The Steam app ID
+   * @returns {Promise<string|null>} The game directory, or null if not installed
+   */
+  async getInstallDir(appId) {
+    const installed = await this.getInstalledApp(appId);
+    return installed ? installed.installDir : null;
+  }
+
+  /**
+   * Read the installed state of an app from its appmanifest file
+   * @param {number} appId - The Steam app ID
+   * @returns {Promise<Object|null>} Installed build and depot manifests, or null if not installed
+   */
+  async getInstalledApp(appId) {
+    const libraryPath = await this.findAppLibrary(appId);
+
+    if (!libraryPath) {
+      return null;
+    }
+
+    const manifestPath = this.getAppManifestPath(libraryPath, appId);
+    const appState = VDF.get(readVdf(manifestPath), "AppState");
+
+    if (!appState) {
+      return null;
+    }
+
+    const depots = {};
+    const installedDepots = VDF.get(appState, "InstalledDepots") || {};
+
+    for (const depotId of Object.keys(installedDepots)) {
+      depots[depotId] = {
+        manifestId: VDF.get(installedDepots[depotId], "manifest") || null,
+        size: Number(VDF.get(installedDepots[depotId], "size")) || null,
+      };
+    }
+
+    const installDir = VDF.get(appState, "installdir");
+
+    return {
+      appId: parseInt(appId, 10),
+      name: VDF.get(appState, "name") || null,
+      buildId: VDF.get(appState, "buildid") || null,
+      libraryPath,
+      manifestPath,
+      installDir: installDir
+        ? path.join(libraryPath, "steamapps", "common", installDir)
+        : null,
+      depots,
+    };
+  }
+
+  /**
+   * Get the path of Steam's local product info cache
+   * @returns {Promise<string|null>} Path to appcache/appinfo.vdf, or null if Steam was not found
+   */
+  async getAppInfoPath() {
+    const steamRoot = await this.findSteamRoot();
+    return steamRoot ? path.join(steamRoot, "appcache", "appinfo.vdf") : null;
+  }
+
+  /**
+   * Read the product info Steam itself last received for an app
+   * @param {number} appId - The Steam app ID
+   * @returns {Promise<Object|null>} The entry from AppInfoFile.getApp, or null if Steam has none
+   */
+  async getCachedAppInfo(appId) {
+    const appInfoPath = await this.getAppInfoPath();
+
+    if (!appInfoPath || !fs.existsSync(appInfoPath)) {
+      return null;
+    }
+
+    return new AppInfoFile(appInfoPath).getApp(appId);
+  }
+
+  /**
+   * Get the directory download_depot writes a depot to
+   * @param {number} appId - The Steam app ID
+   * @param {number} depotId - The depot ID
+   * @returns {Promise<string|null>} The content directory, or null if Steam was not found
+   */
+  async getDepotContentDir(appId, depotId) {
+    const steamRoot = await this.findSteamRoot();
+
+    if (!steamRoot) {
+      return null;
+    }
+
+    return path.join(
+      steamRoot,
+      "steamapps",
+      "content",
+      `app_${appId}`,
+      `depot_${depotId}`
+    );
+  }
+}
+
+module.exports = SteamLibrary;
@@ -1,15 +1,91 @@
+const EventEmitter = require("events");
 const axios = require("axios");
-const chalk = require("chalk");
+const cheerio = require("cheerio");
+const { TimeoutError, RequestError, NotFoundError } = require("./Errors");
+
+/**
+ * Default time to wait for the store to answer a search
+ */
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Store results fetched per request
+ */
+const PAGE_SIZE = 50;
+
+/**
+ * Store search category for each app type that can be filtered on
+ */
+const APP_TYPE_CATEGORIES = {
+  game: 998,
+  dlc: 21,
+  demo: 10,
+  tool: 994,
+};
+
+/**
+ * Store, community and SteamDB links to an app
+ */
+const APP_URL_PATTERN =
+  /^(?:https?:\/\/)?(?:store\.steampowered\.com|steamcommunity\.com|(?:www\.)?steamdb\.info)\/app\/(\d+)/i;
+
+/**
+ * Read the apps out of a page of store search results
+ *
+ * Packages and bundles are skipped; only single apps are returned. The rows
+ * do not say what type of app they are, so only a type searched for is set.
+ * @param {string} html - The results_html of a search results page
+ * @param {string|null} type - The type searched for, if any
+ * @returns {Array<Object>} Apps with appid, name, type, price, discount and image
+ */
+function parseSearchResults(html, type) {
+  const $ = cheerio.load(html);
+
+  return $("a[data-ds-appid]")
+    .not("[data-ds-packageid], [data-ds-bundleid]")
+    .toArray()
+    .map((element) => {
+      const row = $(element);
+      const appId = parseInt(row.attr("data-ds-appid"), 10);
+      const name = row.find(".title").first().text().trim();
+      const price = row.find("[data-price-final]").attr("data-price-final");
+      const discount = row.find("[data-discount]").attr("data-discount");
+
+      return appId && name
+        ? {
+            appid: appId,
+            name,
+            type,
+            price: price ? parseInt(price, 10) / 100 : 0,
+            discount: discount ? parseInt(discount, 10) : 0,
+            image: row.find("img").attr("src") || null,
+          }
+        : null;
+    })
+    .filter(Boolean);
+}
 
 /**
  * Class for searching games on the Steam platform
+ *
+ * Progress is emitted as "progress" events ({level, message}) and, when an
+ * Output is given, also printed to it.
  */
-class SteamSearch {
+class SteamSearch extends EventEmitter {
   /**
    * Create a new Steam search instance
+   * @param {Object} [options] - Search options
+   * @param {Output} [options.output] - Where to print progress messages (quiet if omitted)
+   * @param {number} [options.timeout=30000] - Milliseconds to wait for the store
+   * @param {SteamClient} [options.steamClient] - Client to read the product info of apps without a store page from
    */
-  constructor() {
-    this.apiUrl = "https://store.steampowered.com/api/storesearch";
+  constructor(options = {}) {
+    super();
+    this.output = options.output || null;
+    this.steamClient = options.steamClient || null;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+    this.searchUrl = "https://store.steampowered.com/search/results/";
+    this.appDetailsUrl = "https://store.steampowered.com/api/appdetails";
     this.headers = {
       "User-Agent":
         "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/134.0.0.0 Safari/537.36",
@@ -18,44 +94,246 @@ class SteamSearch {
   }
 
   /**
-   * Search for games by name
-   * @param {string} searchTerm - The term to search for
-   * @returns {Promise<Array>} - List of matching applications
+   * Emit a progress message, printing it too if an Output was given
+   * @param {string} level - One of "info", "success", "warning" or "error"
+   * @param {string} message - The message
+   */
+  report(level, message) {
+    this.emit("progress", { level, message });
+
+    if (this.output) {
+      this.output.report(level, message);
+    }
+  }
+
+  /**
+   * List the app types results can be filtered on
+   * @returns {Array<string>} The type names
+   */
+  static getAppTypes() {
+    return Object.keys(APP_TYPE_CATEGORIES);
+  }
+
+  /**
+   * Read an app ID from a search term that is an app ID or a link to an app
+   * @param {string} searchTerm - The search term
+   * @returns {number|null} The app ID, or null for a plain search term
    */
-  async searchGames(searchTerm) {
-    console.log(chalk.blue(`Searching for games matching: ${searchTerm}`));
+  static parseAppId(searchTerm) {
+    const term = String(searchTerm).trim();
+
+    if (/^\d+$/.test(term)) {
+      return parseInt(term, 10);
+    }
 
+    const match = term.match(APP_URL_PATTERN);
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  /**
+   * Fetch JSON from the store
+   * @param {string} url - The URL
+   * @param {Object} params - Query parameters
+   * @returns {Promise<*>} The response data
+   * @throws {TimeoutError} If the store does not answer in time
+   * @throws {RequestError} If the request fails
+   */
+  async request(url, params) {
     try {
-      const response = await axios.get(this.apiUrl, {
-        params: {
-          term: searchTerm,
-          l: "english",
-          cc: "US",
-        },
+      const response = await axios.get(url, {
+        params,
         headers: this.headers,
+        timeout: this.timeout,
       });
-
-      if (
-        !response.data ||
-        !response.data.items ||
-        response.data.items.length === 0
-      ) {
-        console.log(chalk.yellow("No matching games found."));
-        return [];
+      return response.data;
+    } catch (error) {
+      if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
+        throw new TimeoutError(
+          `Searching Steam timed out after ${this.timeout / 1000} seconds`,
+          { cause: error }
+        );
       }
 
-      return response.data.items.map((item) => ({
-        appid: item.id,
-        name: item.name,
-        type: item.type,
-        price: item.price ? item.price.final / 100 : 0,
-        discount: item.price ? item.price.discount_percent : 0,
-        image: item.tiny_image,
-      }));
+      throw new RequestError(`Error searching Steam: ${error.message}`, {
+        cause: error,
+      });
+    }
+  }
+
+  /**
+   * Search for games by name, app ID or store link
+   *
+   * An app ID, or a store, community or SteamDB link to an app, is looked up
+   * directly. Anything else is searched for in the store, page by page.
+   * @param {string} searchTerm - The term, app ID or link to search for
+   * @param {Object} [options] - Search options
+   * @param {string} [options.country="US"] - Store country, which decides prices and what is visible
+   * @param {string} [options.language="english"] - Store language for names
+   * @param {string} [options.type] - Only return apps of this type: game, dlc, demo or tool
+   * @param {number} [options.maxResults=50] - Stop after this many results
+   * @returns {Promise<Array>} - List of matching applications
+   * @throws {TimeoutError} If the store does not answer in time
+   * @throws {RequestError} If the request fails
+   */
+  async searchGames(searchTerm, options = {}) {
+    const country = (options.country || "US").toUpperCase();
+    const language = options.language || "english";
+    const appId = SteamSearch.parseAppId(searchTerm);
+
+    if (appId !== null) {
+      return this.lookupApp(appId, country, language);
+    }
+
+    const apps = await this.searchStore(searchTerm, {
+      country,
+      language,
+      type: options.type || null,
+      maxResults: Math.floor(options.maxResults || PAGE_SIZE),
+    });
+
+    if (apps.length === 0) {
+      this.report("warning", "No matching games found.");
+    }
+
+    return apps;
+  }
+
+  /**
+   * Look an app up by its ID
+   *
+   * Apps without a store page (tools, dedicated servers, delisted games) are
+   * looked up in Steam's product info instead, when a SteamClient was given.
+   * @param {number} appId - The Steam app ID
+   * @param {string} country - Store country
+   * @param {string} language - Store language
+   * @returns {Promise<Array>} - The app, or nothing if neither the store nor Steam knows it
+   */
+  async lookupApp(appId, country, language) {
+    this.report("info", `Looking up app ${appId} in the ${country} store`);
+
+    const data = await this.request(this.appDetailsUrl, {
+      appids: appId,
+      cc: country,
+      l: language,
+    });
+    const details = data && data[appId];
+
+    if (!details || !details.success || !details.data) {
+      return this.lookupProductInfo(appId, country);
+    }
+
+    const app = details.data;
+    const price = app.price_overview;
+
+    return [
+      {
+        appid: app.steam_appid || appId,
+        name: app.name,
+        type: app.type,
+        price: price ? price.final / 100 : 0,
+        discount: price ? price.discount_percent : 0,
+        image: app.header_image || null,
+      },
+    ];
+  }
+
+  /**
+   * Look an app without a store page up in Steam's product info
+   *
+   * A Steam session is opened for the lookup unless one is already open.
+   * @param {number} appId - The Steam app ID
+   * @param {string} country - Store country the app was missing from
+   * @returns {Promise<Array>} - The app, with no price, or nothing if Steam does not know it
+   */
+  async lookupProductInfo(appId, country) {
+    if (!this.steamClient) {
+      this.report("warning", `App ${appId} is not in the ${country} store.`);
+      return [];
+    }
+
+    this.report(
+      "info",
+      `App ${appId} has no page in the ${country} store; reading its product info from Steam.`
+    );
+
+    const ownSession = !this.steamClient.isLoggedOn();
+    let productInfo;
+
+    if (ownSession) {
+      await this.steamClient.login();
+    }
+
+    try {
+      productInfo = await this.steamClient.getProductInfo(appId);
     } catch (error) {
-      console.error(chalk.red("Error searching Steam:"), error.message);
+      if (error instanceof NotFoundError) {
+        this.report("warning", `App ${appId} was not found on Steam.`);
+        return [];
+      }
       throw error;
+    } finally {
+      if (ownSession) {
+        this.steamClient.logout();
+      }
     }
+
+    const common = productInfo.appinfo.common || {};
+
+    return [
+      {
+        appid: appId,
+        name: common.name || `App ${appId}`,
+        type: common.type ? common.type.toLowerCase() : null,
+        price: null,
+        discount: null,
+        image: null,
+      },
+    ];
+  }
+
+  /**
+   * Search the store by name, fetching pages until enough apps are found
+   * @param {string} searchTerm - The term to search for
+   * @param {Object} options - Search options
+   * @param {string} options.country - Store country
+   * @param {string} options.language - Store language
+   * @param {string|null} options.type - App type to filter on
+   * @param {number} options.maxResults - Stop after this many results
+   * @returns {Promise<Array>} - List of matching applications
+   */
+  async searchStore(searchTerm, options) {
+    this.report("info", `Searching for games matching: ${searchTerm}`);
+
+    const apps = [];
+    const seen = new Set();
+
+    for (let start = 0; apps.length < options.maxResults; start += PAGE_SIZE) {
+      const data = await this.request(this.searchUrl, {
+        term: searchTerm,
+        cc: options.country,
+        l: options.language,
+        category1: options.type ? APP_TYPE_CATEGORIES[options.type] : undefined,
+        start,
+        count: PAGE_SIZE,
+        infinite: 1,
+      });
+
+      parseSearchResults(
+        (data && data.results_html) || "",
+        options.type
+      ).forEach((app) => {
+        if (!seen.has(app.appid)) {
+          seen.add(app.appid);
+          apps.push(app);
+        }
+      });
+
+      if (!data || start + PAGE_SIZE >= (data.total_count || 0)) {
+        break;
+      }
+    }
+
+    return apps.slice(0, options.maxResults);
   }
 }
 
@@ -0,0 +1,209 @@
+const path = require("path");
+const JsonFile = require("./JsonFile");
+const DepotFilter = require("./DepotFilter");
+const { ConfigError } = require("./Errors");
+
+/**
+ * File name the sync command looks for in the current directory
+ */
+const DEFAULT_FILE_NAME = "steam-versions.json";
+
+/**
+ * Depot filter settings an entry may give, with the JSON type of each
+ */
+const FILTER_TYPES = {
+  os: "string",
+  language: "string",
+  includeDlc: "boolean",
+  includeOptional: "boolean",
+};
+
+/**
+ * Class for the project file that pins the versions apps should be at
+ *
+ * The file lists apps, each pinned to a branch, a build ID or a manifest ID
+ * per depot:
+ *
+ *   {
+ *     "apps": [
+ *       { "appId": 413150, "branch": "public", "os": "windows" },
+ *       { "appId": 105600, "buildId": "8071262", "language": "english" },
+ *       { "appId": 620, "depots": { "621": "7339869588166131829" } }
+ *     ]
+ *   }
+ *
+ * Manifest IDs are 64-bit and must be written as strings, since JSON numbers
+ * that large have already lost digits by the time the file is parsed.
+ *
+ * Branch and build pins apply to every depot that passes the entry's depot
+ * filter (os, language, includeDlc, includeOptional), like the matching
+ * command line options.
+ */
+class VersionConfig {
+  /**
+   * Get the path of the config file in a directory
+   * @param {string} [dir] - The directory (defaults to the current one)
+   * @returns {string} Absolute path to steam-versions.json
+   */
+  static getDefaultPath(dir = process.cwd()) {
+    return path.resolve(dir, DEFAULT_FILE_NAME);
+  }
+
+  /**
+   * Read and check a config file
+   * @param {string} filePath - Path to the file
+   * @returns {Object} The config, with apps normalized by parseEntry
+   * @throws {ConfigError} If the file is missing or invalid
+   */
+  static load(filePath) {
+    let data;
+
+    try {
+      data = JsonFile.read(filePath, null);
+    } catch (error) {
+      throw new ConfigError(error.message, { cause: error });
+    }
+
+    if (data === null) {
+      throw new ConfigError(`Config file ${filePath} does not exist.`);
+    }
+
+    return VersionConfig.parse(data, path.basename(filePath));
+  }
+
+  /**
+   * Check config data and normalize its entries
+   * @param {Object} data - The parsed file
+   * @param {string} [source="config"] - Name to use in error messages
+   * @returns {Object} The config with its apps array
+   * @throws {ConfigError} If the data is invalid
+   */
+  static parse(data, source = "config") {
+    if (!data || !Array.isArray(data.apps)) {
+      throw new ConfigError(`${source}: expected an "apps" array.`);
+    }
+
+    return {
+      apps: data.apps.map((entry, index) =>
+        VersionConfig.parseEntry(entry, `${source}: apps[${index}]`)
+      ),
+    };
+  }
+
+  /**
+   * Check one app entry and normalize it
+   * @param {Object} entry - The entry as written
+   * @param {string} where - Where the entry is, for error messages
+   * @returns {Object} appId, name, branch, buildId, depots (depot ID to manifest ID) and filter
+   * @throws {ConfigError} If the entry is invalid
+   */
+  static parseEntry(entry, where) {
+    if (!entry || typeof entry !== "object") {
+      throw new ConfigError(`${where}: expected an object.`);
+    }
+
+    if (!/^\d+$/.test(String(entry.appId))) {
+      throw new ConfigError(`${where}: "appId" must be a numeric app ID.`);
+    }
+
+    const pins = ["branch", "buildId", "depots"].filter(
+      (key) => entry[key] !== undefined
+    );
+
+    if (pins.length !== 1) {
+      throw new ConfigError(
+        `${where}: give exactly one of "branch", "buildId" or "depots".`
+      );
+    }
+
+    if (entry.buildId !== undefined && !/^\d+$/.test(String(entry.buildId))) {
+      throw new ConfigError(`${where}: "buildId" must be a numeric build ID.`);
+    }
+
+    if (
+      entry.branch !== undefined &&
+      (typeof entry.branch !== "string" || !entry.branch.trim())
+    ) {
+      throw new ConfigError(`${where}: "branch" must be a non-empty string.`);
+    }
+
+    if (
+      entry.name !== undefined &&
+      entry.name !== null &&
+      typeof entry.name !== "string"
+    ) {
+      throw new ConfigError(`${where}: "name" must be a string.`);
+    }
+
+    let depots = null;
+
+    if (entry.depots !== undefined) {
+      const ids =
+        entry.depots &&
+        typeof entry.depots === "object" &&
+        !Array.isArray(entry.depots)
+          ? Object.keys(entry.depots)
+          : [];
+
+      if (ids.length === 0) {
+        throw new ConfigError(
+          `${where}: "depots" must map depot IDs to manifest IDs.`
+        );
+      }
+
+      depots = {};
+      ids.forEach((depotId) => {
+        const manifestId = entry.depots[depotId];
+
+        if (typeof manifestId === "number") {
+          throw new ConfigError(
+            `${where}: the manifest ID of depot ${depotId} must be a string, e.g. "${manifestId}"; ` +
+              "as a JSON number it may already have lost digits."
+          );
+        }
+
+        if (!/^\d+$/.test(depotId) || !/^\d+$/.test(manifestId)) {
+          throw new ConfigError(
+            `${where}: "depots" must map depot IDs to manifest IDs.`
+          );
+        }
+
+        depots[depotId] = manifestId;
+      });
+    }
+
+    const filter = {};
+    Object.keys(FILTER_TYPES).forEach((key) => {
+      if (entry[key] === undefined) {
+        return;
+      }
+
+      if (typeof entry[key] !== FILTER_TYPES[key]) {
+        throw new ConfigError(
+          `${where}: "${key}" must be a ${FILTER_TYPES[key]}.`
+        );
+      }
+
+      filter[key] = entry[key];
+    });
+
+    if (filter.os !== undefined && !DepotFilter.normalizeOs(filter.os)) {
+      throw new ConfigError(`${where}: "os" must be windows, macos or linux.`);
+    }
+
+    if (filter.language !== undefined && !filter.language.trim()) {
+      throw new ConfigError(`${where}: "language" must not be empty.`);
+    }
+
+    return {
+      appId: parseInt(entry.appId, 10),
+      name: entry.name || null,
+      branch: entry.branch !== undefined ? entry.branch : null,
+      buildId: entry.buildId !== undefined ? String(entry.buildId) : null,
+      depots,
+      filter,
+    };
+  }
+}
+
+module.exports = VersionConfig;
@@ -0,0 +1,162 @@
+const DepotFilter = require("./DepotFilter");
+const SteamLibrary = require("./SteamLibrary");
+
+/**
+ * Describe what an entry is pinned to
+ * @param {Object} entry - Entry from VersionConfig
+ * @returns {string} E.g. "branch public" or "build 8071262"
+ */
+function describePin(entry) {
+  if (entry.branch) return `branch ${entry.branch}`;
+  if (entry.buildId) return `build ${entry.buildId}`;
+  return "pinned manifests";
+}
+
+/**
+ * Class for working out which depots need downloading to match a version config
+ *
+ * Each entry is resolved against the app's current product info (and the
+ * manifest history, for builds no branch points at any more) and compared
+ * with the manifests installed in the local Steam library.
+ */
+class VersionSync {
+  /**
+   * Create a new version sync
+   * @param {Object} options - Sync options
+   * @param {SteamClient} options.steamClient - Client used to resolve depots and manifests
+   * @param {SteamLibrary} [options.steamLibrary] - Locator for the installed apps
+   */
+  constructor(options) {
+    this.steamClient = options.steamClient;
+    this.steamLibrary = options.steamLibrary || new SteamLibrary();
+  }
+
+  /**
+   * Resolve every entry of a config
+   * @param {Object} config - Config from VersionConfig.load
+   * @returns {Promise<Array<Object>>} One plan per entry, as from planEntry
+   */
+  async plan(config) {
+    const plans = [];
+
+    for (const entry of config.apps) {
+      plans.push(await this.planEntry(entry));
+    }
+
+    return plans;
+  }
+
+  /**
+   * Resolve one entry to the manifest each of its depots should be at
+   * @param {Object} entry - Entry from VersionConfig
+   * @returns {Promise<Object>} appId, name, pin, depots (with manifestId, installedManifestId and status) and missing depots
+   * @throws {NotFoundError} If there is no product info for the app
+   */
+  async planEntry(entry) {
+    const allDepots = await this.steamClient.getGameDepots(entry.appId);
+    const installed = await this.steamLibrary.getInstalledApp(entry.appId);
+    const build = entry.buildId
+      ? await this.steamClient.getBuildManifests(entry.appId, entry.buildId)
+      : null;
+    const depots = [];
+    const missing = [];
+
+    const targets = entry.depots
+      ? Object.keys(entry.depots).map((depotId) => ({
+          depotId,
+          depot: allDepots.find((depot) => String(depot.id) === depotId),
+        }))
+      : new DepotFilter(entry.filter)
+          .apply(allDepots)
+          .map((depot) => ({ depotId: String(depot.id), depot }));
+
+    for (const { depotId, depot } of targets) {
+      if (!depot) {
+        missing.push({
+          depotId,
+          name: null,
+          reason: "not a depot of this app",
+        });
+        continue;
+      }
+
+      const manifestId = entry.depots
+        ? entry.depots[depotId]
+        : await this.findManifest(entry, depotId, build);
+
+      // Depots without manifests (shared redistributables) have no content
+      if (manifestId === undefined) {
+        continue;
+      }
+
+      if (!manifestId) {
+        missing.push({
+          depotId,
+          name: depot.name,
+          reason: `no manifest known for ${describePin(entry)}`,
+        });
+        continue;
+      }
+
+      const installedManifestId =
+        installed?.depots[depotId]?.manifestId || null;
+
+      depots.push({
+        depotId,
+        name: depot.name,
+        manifestId: String(manifestId),
+        installedManifestId,
+        status:
+          installedManifestId === String(manifestId) ? "current" : "install",
+      });
+    }
+
+    return {
+      appId: entry.appId,
+      name: entry.name || installed?.name || null,
+      pin: describePin(entry),
+      branch: entry.branch,
+      buildId: entry.buildId,
+      installedBuildId: installed?.buildId || null,
+      depots,
+      missing,
+    };
+  }
+
+  /**
+   * Find the manifest a depot has for an entry's branch or build
+   *
+   * Builds come from SteamClient.getBuildManifests, which matches the current
+   * branches and then every build the manifest history saw each manifest in.
+   * @param {Object} entry - Entry from VersionConfig
+   * @param {string} depotId - The depot ID
+   * @param {Object|null} build - The entry's build from SteamClient.getBuildManifests, if pinned to one
+   * @returns {Promise<string|null|undefined>} The manifest ID, null if none is known, or undefined if the depot has no manifests at all
+   */
+  async findManifest(entry, depotId, build) {
+    const found = build?.depots.find((depot) => String(depot.id) === depotId);
+
+    if (found) {
+      return String(found.manifestId);
+    }
+
+    const manifests = await this.steamClient.getDepotManifests(
+      entry.appId,
+      depotId
+    );
+
+    if (manifests.length === 0) {
+      return undefined;
+    }
+    if (entry.buildId) {
+      return null;
+    }
+
+    const match = manifests.find(
+      (m) => !m.isHistorical && m.branch === entry.branch
+    );
+    return match ? String(match.manifestId) : null;
+  }
+}
+
+module.exports = VersionSync;
@@ -0,0 +1,272 @@
+const chalk = require("chalk");
+const Output = require("./Output");
+const ManifestHistory = require("./ManifestHistory");
+
+/**
+ * Format a change record as a line of text
+ * @param {Object} change - The change record
+ * @returns {string} Tab-separated description of the change
+ */
+function formatChange(change) {
+  const fields = [change.time, `app ${change.appId}`];
+
+  if (change.type === "build") {
+    fields.push(
+      `branch ${change.branch}`,
+      `build ${change.previousBuildId || "-"} -> ${change.buildId}`
+    );
+  } else {
+    fields.push(
+      `depot ${change.depotId}`,
+      `branch ${change.branch}`,
+      `manifest ${change.manifestId} (build ${change.buildId})`
+    );
+  }
+
+  return fields.join("\t");
+}
+
+/**
+ * Class for polling product info and recording new builds over time
+ */
+class Watcher {
+  /**
+   * Create a new watcher
+   * @param {Object} options - Watcher options
+   * @param {SteamClient} options.steamClient - Client used to fetch product info
+   * @param {ManifestHistory} [options.history] - Store for observed builds
+   * @param {Output} [options.output] - Where to send messages and change records
+   * @param {number} [options.intervalMs=600000] - Delay between polls
+   */
+  constructor(options) {
+    this.steamClient = options.steamClient;
+    this.history = options.history || new ManifestHistory();
+    this.output = options.output || new Output();
+    this.intervalMs = options.intervalMs || 10 * 60 * 1000;
+    this.timer = null;
+    this.stopped = false;
+    this.wakeUp = null;
+    // Connection listeners added to the shared client while watching
+    this.listeners = null;
+  }
+
+  /**
+   * Report connection problems instead of letting them crash the process
+   *
+   * Without an error listener, a fatal client error would crash the daemon.
+   * The listeners stay until stop() is called.
+   */
+  listen() {
+    if (this.listeners) {
+      return;
+    }
+
+    this.listeners = {
+      error: (err) => {
+        this.output.log(chalk.yellow(`Steam connection error: ${err.message}`));
+      },
+      disconnected: (eresult, msg) => {
+        this.output.log(
+          chalk.yellow(`Disconnected from Steam (${msg || eresult}).`)
+        );
+      },
+    };
+
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.steamClient.client.on(event, listener);
+    }
+  }
+
+  /**
+   * Remove the listeners added by listen()
+   */
+  unlisten() {
+    if (!this.listeners) {
+      return;
+    }
+
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.steamClient.client.removeListener(event, listener);
+    }
+
+    this.listeners = null;
+  }
+
+  /**
+   * Make sure the client has a session, logging in again if needed
+   */
+  async ensureLoggedOn() {
+    if (!this.steamClient.isLoggedOn()) {
+      await this.steamClient.login();
+    }
+  }
+
+  /**
+   * Poll one app and record anything that changed since the last poll
+   * @param {number} appId - The Steam app ID
+   * @returns {Promise<Array<Object>>} Change records
+   */
+  async pollApp(appId) {
+    const productInfo = await this.steamClient.getProductInfo(appId, {
+      refresh: true,
+    });
+
+    const changes = [];
+    const previous = this.history.getAppState(appId);
+    const changenumber = productInfo.changenumber;
+
+    // Nothing to look at if PICS reports the same change as last time
+    if (previous && previous.changenumber === changenumber) {
+      return changes;
+    }
+
+    const appinfo = productInfo.appinfo;
+    const betaKeys = await this.steamClient.getBetaKeys(appId);
+    const depotData = appinfo.depots || {};
+    const branches = {};
+
+    for (const branchName in depotData.branches || {}) {
+      const buildId = String(depotData.branches[branchName].buildid);
+      const previousBuildId = previous ? previous.branches[branchName] : null;
+      branches[branchName] = buildId;
+
+      if (buildId !== previousBuildId) {
+        changes.push({
+          type: "build",
+          appId,
+          branch: branchName,
+          buildId,
+          previousBuildId: previousBuildId || null,
+          changenumber,
+        });
+      }
+    }
+
+    for (const depotId in depotData) {
+      if (isNaN(parseInt(depotId))) {
+        continue;
+      }
+
+      const manifests = this.steamClient.getBranchManifests(
+        appinfo,
+        depotId,
+        betaKeys
+      );
+      this.history.record(appId, depotId, manifests).forEach((entry) => {
+        changes.push({
+          type: "manifest",
+          appId,
+          depotId: parseInt(depotId, 10),
+          branch: entry.branch,
+          buildId: entry.buildId,
+          manifestId: entry.manifestId,
+          changenumber,
+        });
+      });
+    }
+
+    this.history.setAppState(appId, { changenumber, branches });
+
+    return changes;
+  }
+
+  /**
+   * Poll every app once and report the changes
+   * @param {Array<number>} appIds - Apps to poll
+   * @returns {Promise<Array<Object>>} Change records for all apps
+   */
+  async poll(appIds) {
+    this.listen();
+    await this.ensureLoggedOn();
+
+    // Another process may have written to the history since the last poll
+    this.history.reload();
+
+    const changes = [];
+
+    for (const appId of appIds) {
+      try {
+        const appChanges = await this.pollApp(appId);
+        appChanges.forEach((change) => this.reportChange(change));
+        changes.push(...appChanges);
+      } catch (error) {
+        this.output.log(
+          chalk.red(`Could not poll app ${appId}: ${error.message}`)
+        );
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Print a change record
+   * @param {Object} change - The change record
+   */
+  reportChange(change) {
+    this.output.item(
+      { ...change, time: new Date().toISOString() },
+      formatChange
+    );
+  }
+
+  /**
+   * Poll the apps repeatedly until stopped
+   * @param {Array<number>} appIds - Apps to watch
+   * @returns {Promise<void>} Resolves once stop() has been called
+   */
+  async run(appIds) {
+    this.output.log(
+      chalk.blue(
+        `Watching ${appIds.length} app(s) every ${Math.round(
+          this.intervalMs / 1000
+        )}s. Press Ctrl+C to stop.`
+      )
+    );
+
+    while (!this.stopped) {
+      try {
+        const changes = await this.poll(appIds);
+        const time = new Date().toLocaleString();
+        this.output.log(
+          chalk.green(`Poll complete: ${changes.length} change(s) at ${time}.`)
+        );
+      } catch (error) {
+        // Most likely a failed login; try again on the next poll
+        this.output.log(chalk.red(`Poll failed: ${error.message}`));
+      }
+
+      await this.sleep();
+    }
+  }
+
+  /**
+   * Wait for the poll interval, returning early if stopped
+   * @returns {Promise<void>} Resolves after the interval
+   */
+  sleep() {
+    if (this.stopped) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      this.wakeUp = resolve;
+      this.timer = setTimeout(resolve, this.intervalMs);
+    });
+  }
+
+  /**
+   * Stop watching after the current poll and remove the client listeners
+   */
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.unlisten();
+
+    if (this.wakeUp) {
+      this.wakeUp();
+    }
+  }
+}
+
+module.exports = Watcher;
@@ -0,0 +1,868 @@
+import { EventEmitter } from "events";
+
+/**
+ * Level of a progress message emitted by SteamClient and SteamSearch
+ */
+export type ProgressLevel = "info" | "success" | "warning" | "error";
+
+/**
+ * Payload of the "progress" event
+ */
+export interface ProgressEvent {
+  level: ProgressLevel;
+  message: string;
+}
+
+/**
+ * Product info (PICS data) of an app
+ */
+export interface ProductInfo {
+  changenumber: number;
+  appinfo: Record<string, any>;
+  /** Unix time the entry was cached at, for cached copies only */
+  fetchedAt?: number;
+}
+
+/**
+ * A game or application returned by a store search
+ */
+export interface SearchResult {
+  appid: number;
+  name: string;
+  /** Null for store search results without a --type filter */
+  type: string | null;
+  /** Null for apps without a store page */
+  price: number | null;
+  discount: number | null;
+  image: string | null;
+}
+
+export interface SearchOptions {
+  /** Two-letter store country, which decides prices and what is visible (default US) */
+  country?: string;
+  /** Store language for names (default english) */
+  language?: string;
+  type?: "game" | "dlc" | "demo" | "tool";
+  /** Stop after this many results (default 50) */
+  maxResults?: number;
+}
+
+/**
+ * A depot of an app
+ */
+export interface Depot {
+  id: string;
+  name: string;
+  osType: string;
+  dlcAppId: string | null;
+  maxSize: string | null;
+  systemDefined: boolean | string;
+  optional: boolean | string;
+  sharedInstall: boolean | string;
+  language: string | null;
+  encryptedSize: string | null;
+  rawData: Record<string, any>;
+}
+
+/**
+ * A manifest of a depot, either current on a branch or from the history
+ */
+export interface Manifest {
+  manifestId: string;
+  buildId: string;
+  branch: string;
+  description: string;
+  isPublic: boolean;
+  /** Whether the branch needs a beta password */
+  passwordRequired?: boolean;
+  timeupdated: number | null;
+  isHistorical: boolean;
+  firstSeen?: number;
+  lastSeen?: number;
+  rawData?: Record<string, any>;
+}
+
+/**
+ * The manifests of every depot for one build
+ */
+export interface BuildManifests {
+  appId: number;
+  buildId: string;
+  branch: string | null;
+  depots: Array<Depot & { manifestId: string }>;
+  missing: Depot[];
+}
+
+export interface SteamClientOptions {
+  /** Where to print progress messages; the client is quiet without one */
+  output?: Output;
+  history?: ManifestHistory;
+  cache?: ProductInfoCache;
+  /** Login saved by loginWithPassword and used by login */
+  credentials?: CredentialStore;
+  /** Answer from the product info cache only, never asking Steam */
+  offline?: boolean;
+  /** Milliseconds to wait for each Steam request (default 30000) */
+  timeout?: number;
+  /** Beta password to unlock password-protected branches with */
+  betaPassword?: string;
+  /** Steam install whose appcache/appinfo.vdf is read when offline */
+  steamLibrary?: SteamLibrary;
+}
+
+/**
+ * A password-protected branch that has not been unlocked
+ */
+export interface LockedBranch {
+  branch: string;
+  buildId: string;
+  description: string;
+  timeupdated: number | null;
+}
+
+export class SteamClient extends EventEmitter {
+  constructor(options?: SteamClientOptions);
+  client: any;
+  output: Output | null;
+  timeout: number;
+  offline: boolean;
+  history: ManifestHistory;
+  cache: ProductInfoCache;
+  credentials: CredentialStore;
+  betaPassword: string | null;
+  steamLibrary: SteamLibrary | null;
+  /** Account of the current session, or null when anonymous */
+  accountName: string | null;
+  on(event: "progress", listener: (event: ProgressEvent) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+  report(level: ProgressLevel, message: string): void;
+  /**
+   * Log in with the saved login, or anonymously if there is none
+   * @throws {LoginError} @throws {TimeoutError}
+   */
+  login(): Promise<void>;
+  /** @throws {LoginError} */
+  loginWithPassword(
+    accountName: string,
+    password: string,
+    options?: {
+      onSteamGuard?: (request: {
+        email: string | null;
+        lastCodeWrong: boolean;
+      }) => string | Promise<string>;
+    }
+  ): Promise<{ accountName: string }>;
+  forgetLogin(): string | null;
+  logout(): void;
+  isLoggedOn(): boolean;
+  /** @throws {NotFoundError} @throws {TimeoutError} */
+  getProductInfo(
+    appId: number,
+    options?: { refresh?: boolean }
+  ): Promise<ProductInfo>;
+  getLocalProductInfo(appId: number): Promise<ProductInfo | null>;
+  getGameDepots(appId: number): Promise<Depot[]>;
+  /** @throws {RequestError} @throws {TimeoutError} */
+  unlockBranches(appId: number, password: string): Promise<string[]>;
+  getBetaKeys(appId: number): Promise<Record<string, Buffer>>;
+  getLockedBranches(appId: number): Promise<LockedBranch[]>;
+  getBranchPassword(appId: number, branch: string): string | null;
+  getBranchManifests(
+    appinfo: Record<string, any>,
+    depotId: number | string,
+    betaKeys?: Record<string, Buffer>
+  ): Manifest[];
+  getDepotManifests(
+    appId: number,
+    depotId: number | string
+  ): Promise<Manifest[]>;
+  getBuildManifests(
+    appId: number,
+    build: string
+  ): Promise<BuildManifests | null>;
+  /** @throws {RequestError} @throws {ChecksumError} */
+  downloadManifest(
+    appId: number,
+    depotId: number,
+    manifestId: string,
+    downloadDir?: string,
+    options?: {
+      branch?: string;
+      concurrency?: number;
+      cdnClient?: CdnClient;
+      onProgress?: (progress: DepotDownloadProgress) => void;
+    }
+  ): Promise<DepotDownloadSummary & { downloadDir: string }>;
+  /** @throws {RequestError} */
+  getManifestFiles(
+    appId: number,
+    depotId: number,
+    manifestId: string,
+    options?: { branch?: string; cdnClient?: CdnClient }
+  ): Promise<ManifestFile[]>;
+}
+
+/**
+ * A file listed in a depot manifest
+ */
+export interface ManifestFile {
+  /** Path inside the depot, with / separators */
+  path: string;
+  size: number;
+  /** SHA-1 of the contents, in hex */
+  sha: string;
+  /** EDepotFileFlag bits */
+  flags: number;
+}
+
+export interface FileChange {
+  change: "added" | "removed" | "modified";
+  path: string;
+  oldSize: number | null;
+  newSize: number | null;
+  deltaBytes: number;
+}
+
+export class ManifestDiff {
+  static compare(
+    oldFiles: ManifestFile[],
+    newFiles: ManifestFile[]
+  ): {
+    added: FileChange[];
+    removed: FileChange[];
+    modified: FileChange[];
+    unchanged: number;
+    deltaBytes: number;
+  };
+  static toChange(
+    change: FileChange["change"],
+    oldFile: ManifestFile | null,
+    newFile: ManifestFile | null
+  ): FileChange;
+}
+
+/**
+ * A server chunks can be downloaded from
+ */
+export interface CdnServer {
+  url: string;
+  /** Virtual host sent in the Host header */
+  host: string;
+  appId: number;
+  /** Whether chunk URLs need a CDN auth token */
+  usesTokenAuth: boolean;
+}
+
+/**
+ * What DepotDownloader needs from a CDN; SteamCdnClient is the default
+ */
+export interface CdnClient {
+  getManifest(
+    appId: number,
+    depotId: number,
+    manifestId: string,
+    branch?: string,
+    branchPassword?: string | null
+  ): Promise<{ files: Array<Record<string, any>> }>;
+  getDepotKey(appId: number, depotId: number): Promise<Buffer>;
+  getServers(appId: number): Promise<CdnServer[]>;
+  /** Resolves to the chunk as served: encrypted and compressed */
+  downloadChunk(
+    server: CdnServer,
+    depotId: number,
+    chunkId: string
+  ): Promise<Buffer>;
+}
+
+export class SteamCdnClient implements CdnClient {
+  constructor(options: {
+    steamUser: any;
+    /** Base URLs to download chunks from instead of Steam's servers */
+    servers?: string[];
+    timeout?: number;
+  });
+  getManifest(
+    appId: number,
+    depotId: number,
+    manifestId: string,
+    branch?: string,
+    branchPassword?: string | null
+  ): Promise<{ files: Array<Record<string, any>> }>;
+  getDepotKey(appId: number, depotId: number): Promise<Buffer>;
+  getServers(appId: number): Promise<CdnServer[]>;
+  /** Cached per depot and host until the token expires */
+  getAuthToken(server: CdnServer, depotId: number): Promise<string>;
+  /** @throws {TimeoutError} @throws {RequestError} */
+  downloadChunk(
+    server: CdnServer,
+    depotId: number,
+    chunkId: string
+  ): Promise<Buffer>;
+}
+
+export interface DepotDownloadProgress {
+  downloadedBytes: number;
+  totalBytes: number;
+  filesDone: number;
+  filesTotal: number;
+}
+
+export interface DepotDownloadSummary {
+  filesTotal: number;
+  filesDownloaded: number;
+  filesSkipped: number;
+  chunksDownloaded: number;
+  bytesDownloaded: number;
+}
+
+export class DepotDownloader {
+  constructor(options: {
+    cdnClient: CdnClient;
+    concurrency?: number;
+    retries?: number;
+  });
+  /** @throws {ChecksumError} */
+  download(
+    appId: number,
+    depotId: number,
+    manifestId: string,
+    targetDir: string,
+    options?: {
+      branch?: string;
+      branchPassword?: string | null;
+      onProgress?: (progress: DepotDownloadProgress) => void;
+    }
+  ): Promise<DepotDownloadSummary>;
+}
+
+export interface SteamSearchOptions {
+  /** Where to print progress messages; the search is quiet without one */
+  output?: Output;
+  /** Milliseconds to wait for the store (default 30000) */
+  timeout?: number;
+  /** Client to read the product info of apps without a store page from */
+  steamClient?: SteamClient;
+}
+
+export class SteamSearch extends EventEmitter {
+  constructor(options?: SteamSearchOptions);
+  output: Output | null;
+  timeout: number;
+  steamClient: SteamClient | null;
+  on(event: "progress", listener: (event: ProgressEvent) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+  report(level: ProgressLevel, message: string): void;
+  static getAppTypes(): string[];
+  /** The app ID in an app ID or a store, community or SteamDB link, else null */
+  static parseAppId(searchTerm: string): number | null;
+  /** @throws {TimeoutError} @throws {RequestError} */
+  searchGames(
+    searchTerm: string,
+    options?: SearchOptions
+  ): Promise<SearchResult[]>;
+}
+
+export class SteamError extends Error {
+  constructor(message: string, options?: { code?: string; cause?: Error });
+  code: string;
+  cause?: Error;
+}
+
+export class NotFoundError extends SteamError {
+  constructor(message: string, options?: { cause?: Error });
+  code: "ENOTFOUND";
+}
+
+export class TimeoutError extends SteamError {
+  constructor(message: string, options?: { cause?: Error });
+  code: "ETIMEDOUT";
+}
+
+export class LoginError extends SteamError {
+  constructor(message: string, options?: { cause?: Error });
+  code: "ELOGIN";
+}
+
+export class RequestError extends SteamError {
+  constructor(message: string, options?: { cause?: Error });
+  code: "EREQUEST";
+}
+
+export class ChecksumError extends SteamError {
+  constructor(message: string, options?: { cause?: Error });
+  code: "ECHECKSUM";
+}
+
+export class ConfigError extends SteamError {
+  constructor(message: string, options?: { cause?: Error });
+  code: "ECONFIG";
+}
+
+export type OutputFormat = "text" | "json" | "ndjson";
+
+export class Output {
+  static FORMATS: OutputFormat[];
+  constructor(options?: { format?: OutputFormat });
+  format: OutputFormat;
+  setFormat(format: OutputFormat): void;
+  isMachineReadable(): boolean;
+  log(...args: any[]): void;
+  report(level: ProgressLevel, message: string): void;
+  progress(message: string): void;
+  endProgress(): void;
+  list<T>(records: T[], formatText: (record: T) => string): void;
+  item<T>(record: T, formatText: (record: T) => string): void;
+  writeJson(value: any): void;
+}
+
+export const ExitCode: Readonly<{
+  SUCCESS: 0;
+  ERROR: 1;
+  INVALID_ARGUMENT: 2;
+  NOT_FOUND: 3;
+  TIMEOUT: 4;
+}>;
+
+export interface HistoryEntry {
+  manifestId: string;
+  /** Build the manifest was first seen in */
+  buildId: string | null;
+  /** Every build the manifest was seen in */
+  buildIds: string[];
+  branch: string | null;
+  timeupdated: number | null;
+  firstSeen: number;
+  lastSeen: number;
+}
+
+export class ManifestHistory {
+  constructor(options?: { filePath?: string });
+  filePath: string;
+  load(): Record<string, any>;
+  reload(): Record<string, any>;
+  save(): void;
+  record(
+    appId: number,
+    depotId: number | string,
+    manifests: Array<Partial<Manifest>>
+  ): HistoryEntry[];
+  getAppState(
+    appId: number
+  ): { changenumber: number; branches: Record<string, string> } | null;
+  setAppState(
+    appId: number,
+    state: { changenumber: number; branches: Record<string, string> }
+  ): void;
+  getManifests(appId: number, depotId: number | string): HistoryEntry[];
+  findBuild(
+    appId: number,
+    depotId: number | string,
+    buildId: string
+  ): HistoryEntry | null;
+}
+
+export class ProductInfoCache {
+  constructor(options?: { dir?: string });
+  dir: string;
+  getPath(appId: number): string;
+  get(appId: number): ProductInfo | null;
+  set(appId: number, productInfo: ProductInfo): void;
+}
+
+export class CredentialStore {
+  constructor(options?: { filePath?: string });
+  filePath: string;
+  get(): { accountName: string; refreshToken: string; savedAt: number } | null;
+  set(accountName: string, refreshToken: string): void;
+  clear(): boolean;
+}
+
+export interface ChangeRecord {
+  type: "build" | "manifest";
+  appId: number;
+  branch: string;
+  buildId: string;
+  changenumber: number;
+  previousBuildId?: string | null;
+  depotId?: number;
+  manifestId?: string;
+}
+
+export class Watcher {
+  constructor(options: {
+    steamClient: SteamClient;
+    history?: ManifestHistory;
+    output?: Output;
+    intervalMs?: number;
+  });
+  pollApp(appId: number): Promise<ChangeRecord[]>;
+  poll(appIds: number[]): Promise<ChangeRecord[]>;
+  run(appIds: number[]): Promise<void>;
+  /** Add error and disconnect listeners to the client until stop() */
+  listen(): void;
+  unlisten(): void;
+  stop(): void;
+}
+
+export interface InstalledApp {
+  appId: number;
+  name: string | null;
+  buildId: string | null;
+  libraryPath: string;
+  manifestPath: string;
+  installDir: string | null;
+  depots: Record<string, { manifestId: string | null; size: number | null }>;
+}
+
+export interface LibraryFolder {
+  path: string;
+  /** IDs of the apps installed in the library, as listed in libraryfolders.vdf */
+  apps: string[];
+}
+
+export class SteamLibrary {
+  constructor(options?: { steamRoot?: string });
+  steamRoot: string | null;
+  findSteamRoot(): Promise<string | null>;
+  getLibraryFolders(): Promise<LibraryFolder[]>;
+  findAppLibrary(appId: number): Promise<string | null>;
+  getAppManifestPath(libraryPath: string, appId: number): string;
+  getInstallDir(appId: number): Promise<string | null>;
+  getInstalledApp(appId: number): Promise<InstalledApp | null>;
+  getDepotContentDir(appId: number, depotId: number): Promise<string | null>;
+  getAppInfoPath(): Promise<string | null>;
+  getCachedAppInfo(appId: number): Promise<AppInfoEntry | null>;
+}
+
+export interface ApplyPlan {
+  sourceDir: string;
+  targetDir: string;
+  files: Array<{ path: string; size: number; overwrite: boolean }>;
+  totalBytes: number;
+}
+
+export class DepotApplier {
+  constructor(options?: { output?: Output });
+  validateSource(
+    sourceDir: string,
+    options?: { steamRoot?: string; force?: boolean }
+  ): Promise<void>;
+  isMarkedComplete(
+    sourceDir: string,
+    steamRoot?: string
+  ): Promise<boolean | null>;
+  plan(sourceDir: string, targetDir: string): Promise<ApplyPlan>;
+  apply(plan: ApplyPlan): Promise<{
+    filesWritten: number;
+    filesOverwritten: number;
+    bytesWritten: number;
+  }>;
+}
+
+export interface Backup {
+  id: string;
+  appId: number;
+  depotId: number;
+  manifestId: string | null;
+  buildId: string | null;
+  targetDir: string;
+  createdAt: string;
+  overwritten: string[];
+  added: string[];
+  bytes: number;
+  path: string;
+}
+
+export class BackupStore {
+  constructor(options?: { dir?: string; output?: Output });
+  dir: string;
+  create(
+    plan: ApplyPlan,
+    info: {
+      appId: number;
+      depotId: number;
+      manifestId?: string;
+      buildId?: string;
+    }
+  ): Promise<Backup>;
+  list(appId?: number | null): Backup[];
+  getLatest(appId: number): Backup | null;
+  restore(
+    backup: Backup
+  ): Promise<{ filesRestored: number; filesRemoved: number }>;
+  remove(backup: Backup): Promise<void>;
+  prune(keep: number, appId?: number | null): Promise<Backup[]>;
+}
+
+export interface FreezeSummary {
+  appId: number;
+  name: string | null;
+  manifestPath: string;
+  backupPath: string;
+  buildId: string | null;
+  previousBuildId: string | null;
+  depots: Array<{
+    depotId: string;
+    manifestId: string;
+    previousManifestId: string | null;
+  }>;
+}
+
+export class AppFreezer {
+  constructor(options?: { steamLibrary?: SteamLibrary; dir?: string });
+  dir: string;
+  getBackupPath(appId: number): string;
+  isFrozen(appId: number): boolean;
+  /** @throws {NotFoundError} If a depot in version.depots is not installed */
+  freeze(
+    appId: number,
+    version?: { buildId?: string; depots?: Record<string, string> }
+  ): Promise<FreezeSummary | null>;
+  unfreeze(appId: number): Promise<{
+    appId: number;
+    manifestPath: string;
+    buildId: string | null;
+  } | null>;
+}
+
+export interface DownloadProgress {
+  downloadedBytes: number;
+  totalBytes: number | null;
+  elapsedMs: number;
+}
+
+export class DownloadMonitor {
+  constructor(options: { steamRoot: string; pollIntervalMs?: number });
+  /** @throws {TimeoutError} */
+  wait(
+    appId: number,
+    depotId: number,
+    options?: {
+      contentDir?: string;
+      timeoutMs?: number;
+      onProgress?: (progress: DownloadProgress) => void;
+    }
+  ): Promise<Record<string, any>>;
+}
+
+export class DepotFilter {
+  constructor(options?: {
+    os?: string;
+    language?: string;
+    includeDlc?: boolean;
+    includeOptional?: boolean;
+  });
+  static normalizeOs(os: string): "windows" | "macos" | "linux" | null;
+  static getOsList(depot: Depot): string[];
+  static isForOs(depot: Depot, os: string): boolean;
+  static isForLanguage(depot: Depot, language: string): boolean;
+  matches(depot: Depot): boolean;
+  apply(depots: Depot[]): Depot[];
+  isPreferred(depot: Depot): boolean;
+}
+
+/**
+ * An app entry of a version config, as normalized by VersionConfig
+ */
+export interface VersionPin {
+  appId: number;
+  name: string | null;
+  branch: string | null;
+  buildId: string | null;
+  /** Manifest ID by depot ID */
+  depots: Record<string, string> | null;
+  filter: {
+    os?: string;
+    language?: string;
+    includeDlc?: boolean;
+    includeOptional?: boolean;
+  };
+}
+
+export class VersionConfig {
+  static getDefaultPath(dir?: string): string;
+  /** @throws {ConfigError} */
+  static load(filePath: string): { apps: VersionPin[] };
+  /** @throws {ConfigError} */
+  static parse(data: any, source?: string): { apps: VersionPin[] };
+  /** @throws {ConfigError} */
+  static parseEntry(entry: any, where: string): VersionPin;
+}
+
+export interface SyncPlan {
+  appId: number;
+  name: string | null;
+  /** E.g. "branch public" or "build 8071262" */
+  pin: string;
+  branch: string | null;
+  buildId: string | null;
+  installedBuildId: string | null;
+  depots: Array<{
+    depotId: string;
+    name: string;
+    manifestId: string;
+    installedManifestId: string | null;
+    status: "install" | "current";
+  }>;
+  missing: Array<{ depotId: string; name: string | null; reason: string }>;
+}
+
+export class VersionSync {
+  constructor(options: {
+    steamClient: SteamClient;
+    steamLibrary?: SteamLibrary;
+  });
+  /** @throws {NotFoundError} */
+  plan(config: { apps: VersionPin[] }): Promise<SyncPlan[]>;
+  /** @throws {NotFoundError} */
+  planEntry(entry: VersionPin): Promise<SyncPlan>;
+  /** Undefined for depots without any manifest */
+  findManifest(
+    entry: VersionPin,
+    depotId: string,
+    build: BuildManifests | null
+  ): Promise<string | null | undefined>;
+}
+
+export interface LockedDepot {
+  depotId: number;
+  name: string | null;
+  manifestId: string;
+  buildId: string | null;
+  branch: string | null;
+}
+
+export interface LockfileData {
+  lockfileVersion: 1;
+  /** ISO 8601 time the selection was saved */
+  savedAt: string;
+  appId: number;
+  name: string | null;
+  depots: LockedDepot[];
+}
+
+export class Lockfile {
+  static create(
+    app: { appid: number; name?: string },
+    selections: Array<{ depot: Depot; manifest: Manifest }>
+  ): LockfileData;
+  static write(filePath: string, lock: LockfileData): void;
+  /** @throws {ConfigError} */
+  static read(filePath: string): LockfileData;
+  /** @throws {ConfigError} */
+  static validate(lock: any, source?: string): void;
+  /** @throws {NotFoundError} */
+  static check(
+    lock: LockfileData,
+    steamClient: SteamClient
+  ): Promise<
+    Array<
+      LockedDepot & {
+        status: "current" | "historical" | "unlisted" | "missing";
+      }
+    >
+  >;
+}
+
+export type ScriptFormat = "bash" | "powershell" | "batch";
+
+export interface ScriptDownload {
+  depotId: number;
+  manifestId: string;
+  branch?: string | null;
+  /** Passed as -os, for depots that are for a single OS */
+  os?: string | null;
+  language?: string | null;
+}
+
+export class DownloadScript {
+  static getFormats(): ScriptFormat[];
+  /** Format from a .sh, .ps1, .bat or .cmd file name, else null */
+  static getFormatForFile(filePath: string): ScriptFormat | null;
+  static generate(
+    format: ScriptFormat,
+    options: {
+      appId: number;
+      name?: string | null;
+      downloads: ScriptDownload[];
+      /** Directory the depots are downloaded into (default downloads) */
+      dir?: string;
+    }
+  ): string;
+}
+
+export type VdfData = { [key: string]: string | VdfData };
+
+export class VDF {
+  /** @throws {Error} If the text is not valid VDF */
+  static parse(text: string): VdfData;
+  static get(data: VdfData, ...keys: string[]): string | VdfData | undefined;
+  static set(data: VdfData, keys: string[], value: string | VdfData): void;
+  static stringify(data: VdfData, depth?: number): string;
+}
+
+export interface VdfNode {
+  key: string;
+  /** The value, or null for a section */
+  value: string | null;
+  /** The nodes of a section, or null for a value */
+  children: VdfNode[] | null;
+  /** Platform conditional after the node, e.g. "$WIN32" */
+  condition: string | null;
+}
+
+export class VdfDocument {
+  static quote(value: string): string;
+  /** @throws {Error} If the text is not valid VDF */
+  static parse(text: string): VdfDocument;
+  readonly children: VdfNode[];
+  find(...keys: string[]): VdfNode | undefined;
+  get(...keys: string[]): string | VdfData | undefined;
+  /** @throws {Error} If a key on the path has the wrong kind */
+  set(keys: string[], value: string): void;
+  remove(...keys: string[]): boolean;
+  toObject(): VdfData;
+  toString(): string;
+}
+
+export class BinaryVDF {
+  /** @throws {Error} If the data is truncated or has an unknown type */
+  static parse(
+    buffer: Buffer,
+    options?: { offset?: number; stringTable?: string[] }
+  ): { data: VdfData; offset: number };
+}
+
+export interface AppInfoEntry {
+  appId: number;
+  infoState: number;
+  /** Unix time Steam last updated the entry */
+  lastUpdated: number;
+  picsToken: string;
+  sha1: string;
+  changeNumber: number;
+  /** SHA-1 of the binary data, from version 28 files on */
+  binarySha1: string | null;
+  /** The product info, under an "appinfo" key; only set by getApp */
+  data?: VdfData;
+}
+
+export class AppInfoFile {
+  constructor(filePath: string);
+  filePath: string;
+  /** @throws {Error} If the file is not a supported appinfo.vdf */
+  listApps(): Promise<AppInfoEntry[]>;
+  /** @throws {Error} If the file is not a supported appinfo.vdf */
+  getApp(appId: number): Promise<AppInfoEntry | null>;
+}
+
+export class CLI {
+  constructor(options?: {
+    output?: Output;
+    steamLibrary?: SteamLibrary;
+    steamClient?: SteamClient;
+  });
+  parseArguments(
+    handlers: Record<string, (...args: any[]) => any>
+  ): Promise<void>;
+}
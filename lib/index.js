@@ -1,9 +1,68 @@
 const SteamClient = require("./SteamClient");
 const SteamSearch = require("./SteamSearch");
 const CLI = require("./CLI");
+const ExitCode = require("./ExitCode");
+const Output = require("./Output");
+const ManifestHistory = require("./ManifestHistory");
+const Watcher = require("./Watcher");
+const SteamLibrary = require("./SteamLibrary");
+const DepotApplier = require("./DepotApplier");
+const BackupStore = require("./BackupStore");
+const AppFreezer = require("./AppFreezer");
+const DownloadMonitor = require("./DownloadMonitor");
+const DepotFilter = require("./DepotFilter");
+const ProductInfoCache = require("./ProductInfoCache");
+const CredentialStore = require("./CredentialStore");
+const DepotDownloader = require("./DepotDownloader");
+const SteamCdnClient = require("./SteamCdnClient");
+const ManifestDiff = require("./ManifestDiff");
+const VersionConfig = require("./VersionConfig");
+const VersionSync = require("./VersionSync");
+const Lockfile = require("./Lockfile");
+const DownloadScript = require("./DownloadScript");
+const { VDF, VdfDocument, BinaryVDF, AppInfoFile } = require("./vdf");
+const {
+  SteamError,
+  NotFoundError,
+  TimeoutError,
+  LoginError,
+  RequestError,
+  ChecksumError,
+  ConfigError,
+} = require("./Errors");
 
 module.exports = {
   SteamClient,
   SteamSearch,
   CLI,
+  ExitCode,
+  Output,
+  ManifestHistory,
+  Watcher,
+  SteamLibrary,
+  DepotApplier,
+  BackupStore,
+  AppFreezer,
+  DownloadMonitor,
+  DepotFilter,
+  ProductInfoCache,
+  CredentialStore,
+  DepotDownloader,
+  SteamCdnClient,
+  ManifestDiff,
+  VersionConfig,
+  VersionSync,
+  Lockfile,
+  DownloadScript,
+  VDF,
+  VdfDocument,
+  BinaryVDF,
+  AppInfoFile,
+  SteamError,
+  NotFoundError,
+  TimeoutError,
+  LoginError,
+  RequestError,
+  ChecksumError,
+  ConfigError,
 };
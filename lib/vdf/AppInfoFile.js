@@ -0,0 +1,187 @@
+const fs = require("fs");
+const BinaryVDF = require("./BinaryVDF");
+
+/**
+ * Magic numbers of the appinfo.vdf versions that can be read
+ *
+ * 27 has no binary SHA-1 per app, 28 adds it, and 29 moves key names into a
+ * string table at the end of the file.
+ */
+const VERSIONS = {
+  0x07564427: 27,
+  0x07564428: 28,
+  0x07564429: 29,
+};
+
+/**
+ * Bytes of an app entry's header after its app ID and size, by version
+ */
+const ENTRY_HEADER_SIZES = { 27: 40, 28: 60, 29: 60 };
+
+/**
+ * Read exactly a number of bytes from a file
+ * @param {fs.promises.FileHandle} handle - The open file
+ * @param {number} position - Where to read from
+ * @param {number} length - How many bytes to read
+ * @returns {Promise<Buffer>} The bytes
+ * @throws {Error} If the file ends first
+ */
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+
+  if (bytesRead < length) {
+    throw new Error("Unexpected end of appinfo.vdf");
+  }
+
+  return buffer;
+}
+
+/**
+ * Read the fixed fields of an app entry
+ * @param {Buffer} buffer - The entry header, starting at infoState
+ * @param {number} version - The file version
+ * @returns {Object} infoState, lastUpdated, picsToken, sha1, changeNumber and binarySha1
+ */
+function readEntryHeader(buffer, version) {
+  return {
+    infoState: buffer.readUInt32LE(0),
+    lastUpdated: buffer.readUInt32LE(4),
+    picsToken: buffer.readBigUInt64LE(8).toString(),
+    sha1: buffer.toString("hex", 16, 36),
+    changeNumber: buffer.readUInt32LE(36),
+    binarySha1: version >= 28 ? buffer.toString("hex", 40, 60) : null,
+  };
+}
+
+/**
+ * Class for reading Steam's local product info cache (appcache/appinfo.vdf)
+ *
+ * The file holds the product info Steam last received for every app it has
+ * looked at, as binary KeyValues. Apps are found by walking the entry
+ * headers, so looking one up only parses that app's data.
+ */
+class AppInfoFile {
+  /**
+   * Create a reader for an appinfo.vdf file
+   * @param {string} filePath - Path to appinfo.vdf
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Read the file header and, for version 29, the key string table
+   * @param {fs.promises.FileHandle} handle - The open file
+   * @returns {Promise<Object>} version, universe, stringTable and the offset of the first app
+   * @throws {Error} If the file is not a supported appinfo.vdf
+   */
+  async readHeader(handle) {
+    const header = await readAt(handle, 0, 8);
+    const magic = header.readUInt32LE(0);
+    const version = VERSIONS[magic];
+
+    if (!version) {
+      throw new Error(
+        `Unsupported appinfo.vdf format 0x${magic.toString(16)} in ${
+          this.filePath
+        }`
+      );
+    }
+
+    const info = {
+      version,
+      universe: header.readUInt32LE(4),
+      stringTable: null,
+      offset: 8,
+    };
+
+    if (version >= 29) {
+      const tableOffset = Number(
+        (await readAt(handle, 8, 8)).readBigInt64LE(0)
+      );
+      const { size } = await handle.stat();
+      const table = await readAt(handle, tableOffset, size - tableOffset);
+      const count = table.readUInt32LE(0);
+      let position = 4;
+
+      info.stringTable = [];
+      for (let i = 0; i < count; i++) {
+        const end = table.indexOf(0, position);
+        info.stringTable.push(table.toString("utf8", position, end));
+        position = end + 1;
+      }
+      info.offset = 16;
+    }
+
+    return info;
+  }
+
+  /**
+   * Walk the app entries, stopping at one app if asked to
+   *
+   * Only the data of the app asked for is read and parsed.
+   * @param {number|null} appId - App to find and parse, or null to list every app
+   * @returns {Promise<Array<Object>>} The apps found
+   */
+  async walk(appId) {
+    const handle = await fs.promises.open(this.filePath, "r");
+
+    try {
+      const header = await this.readHeader(handle);
+      const headerSize = ENTRY_HEADER_SIZES[header.version];
+      const apps = [];
+      let offset = header.offset;
+
+      for (;;) {
+        const id = (await readAt(handle, offset, 4)).readUInt32LE(0);
+
+        // An app ID of 0 ends the list
+        if (id === 0) {
+          return apps;
+        }
+
+        const size = (await readAt(handle, offset + 4, 4)).readUInt32LE(0);
+
+        if (appId === null) {
+          const entry = await readAt(handle, offset + 8, headerSize);
+          apps.push({ appId: id, ...readEntryHeader(entry, header.version) });
+        } else if (id === appId) {
+          const entry = await readAt(handle, offset + 8, size);
+          const { data } = BinaryVDF.parse(entry, {
+            offset: headerSize,
+            stringTable: header.stringTable,
+          });
+
+          return [
+            { appId: id, ...readEntryHeader(entry, header.version), data },
+          ];
+        }
+
+        offset += 8 + size;
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * List the apps in the file without reading their data
+   * @returns {Promise<Array<Object>>} appId, infoState, lastUpdated, picsToken, sha1, changeNumber and binarySha1 of each app
+   */
+  listApps() {
+    return this.walk(null);
+  }
+
+  /**
+   * Read the product info of one app
+   * @param {number} appId - The Steam app ID
+   * @returns {Promise<Object|null>} The app's entry with its data, or null if the file does not have it
+   */
+  async getApp(appId) {
+    const [app] = await this.walk(parseInt(appId, 10));
+    return app || null;
+  }
+}
+
+module.exports = AppInfoFile;
@@ -0,0 +1,169 @@
+/**
+ * Type bytes of binary KeyValues entries
+ */
+const TYPES = {
+  SECTION: 0x00,
+  STRING: 0x01,
+  INT32: 0x02,
+  FLOAT32: 0x03,
+  POINTER: 0x04,
+  WIDE_STRING: 0x05,
+  COLOR: 0x06,
+  UINT64: 0x07,
+  END: 0x08,
+  INT64: 0x0a,
+  ALTERNATE_END: 0x0b,
+};
+
+/**
+ * Read a NUL-terminated UTF-8 string
+ * @param {Buffer} buffer - The data
+ * @param {number} offset - Where the string starts
+ * @returns {Object} The value and the offset after the terminator
+ * @throws {Error} If the string is not terminated
+ */
+function readString(buffer, offset) {
+  const end = buffer.indexOf(0, offset);
+
+  if (end === -1) {
+    throw new Error("Unterminated string in binary VDF data");
+  }
+
+  return { value: buffer.toString("utf8", offset, end), offset: end + 1 };
+}
+
+/**
+ * Read a NUL-terminated UTF-16LE string
+ * @param {Buffer} buffer - The data
+ * @param {number} offset - Where the string starts
+ * @returns {Object} The value and the offset after the terminator
+ * @throws {Error} If the string is not terminated
+ */
+function readWideString(buffer, offset) {
+  let end = offset;
+
+  while (end + 1 < buffer.length && buffer.readUInt16LE(end) !== 0) {
+    end += 2;
+  }
+
+  if (end + 1 >= buffer.length) {
+    throw new Error("Unterminated string in binary VDF data");
+  }
+
+  return { value: buffer.toString("utf16le", offset, end), offset: end + 2 };
+}
+
+/**
+ * Class for reading Valve's binary KeyValues format, used by Steam's
+ * appinfo.vdf and packageinfo.vdf caches
+ *
+ * Values are returned as strings, the way they appear in text VDF and in the
+ * product info Steam sends, so numbers too large for JavaScript (such as
+ * manifest IDs) keep every digit.
+ */
+class BinaryVDF {
+  /**
+   * Parse binary KeyValues into nested objects
+   * @param {Buffer} buffer - The data
+   * @param {Object} [options] - Parse options
+   * @param {number} [options.offset=0] - Where the data starts
+   * @param {Array<string>} [options.stringTable] - Key names, for data that stores keys as indexes into a table
+   * @returns {Object} The key/value tree as data, and the offset just after it
+   * @throws {Error} If the data is truncated or has an unknown type
+   */
+  static parse(buffer, options = {}) {
+    const { stringTable = null } = options;
+    const root = {};
+    const stack = [root];
+    let offset = options.offset || 0;
+
+    /**
+     * Read the key of the entry at the current offset
+     * @returns {string} The key
+     */
+    const readKey = () => {
+      if (!stringTable) {
+        const key = readString(buffer, offset);
+        offset = key.offset;
+        return key.value;
+      }
+
+      const index = buffer.readUInt32LE(offset);
+      offset += 4;
+
+      if (index >= stringTable.length) {
+        throw new Error(`Key index ${index} is outside the VDF string table`);
+      }
+
+      return stringTable[index];
+    };
+
+    while (stack.length > 0) {
+      if (offset >= buffer.length) {
+        throw new Error("Unexpected end of binary VDF data");
+      }
+
+      const type = buffer[offset++];
+      const section = stack[stack.length - 1];
+
+      if (type === TYPES.END || type === TYPES.ALTERNATE_END) {
+        stack.pop();
+        continue;
+      }
+
+      const key = readKey();
+
+      switch (type) {
+        case TYPES.SECTION:
+          section[key] = {};
+          stack.push(section[key]);
+          break;
+
+        case TYPES.STRING: {
+          const value = readString(buffer, offset);
+          section[key] = value.value;
+          offset = value.offset;
+          break;
+        }
+
+        case TYPES.WIDE_STRING: {
+          const value = readWideString(buffer, offset);
+          section[key] = value.value;
+          offset = value.offset;
+          break;
+        }
+
+        case TYPES.INT32:
+        case TYPES.POINTER:
+        case TYPES.COLOR:
+          section[key] = String(buffer.readInt32LE(offset));
+          offset += 4;
+          break;
+
+        case TYPES.FLOAT32:
+          section[key] = String(buffer.readFloatLE(offset));
+          offset += 4;
+          break;
+
+        case TYPES.UINT64:
+          section[key] = buffer.readBigUInt64LE(offset).toString();
+          offset += 8;
+          break;
+
+        case TYPES.INT64:
+          section[key] = buffer.readBigInt64LE(offset).toString();
+          offset += 8;
+          break;
+
+        default:
+          throw new Error(
+            `Unknown type 0x${type.toString(16)} in binary VDF data`
+          );
+      }
+    }
+
+    return { data: root, offset };
+  }
+}
+
+module.exports = BinaryVDF;
@@ -0,0 +1,96 @@
+const VdfDocument = require("./VdfDocument");
+
+/**
+ * Class for reading and writing Valve's text KeyValues (VDF/ACF) format
+ */
+class VDF {
+  /**
+   * Parse VDF text into nested objects
+   *
+   * Use VdfDocument to edit a file without losing its comments or layout.
+   * @param {string} text - The VDF text
+   * @returns {Object} The parsed key/value tree
+   */
+  static parse(text) {
+    return VdfDocument.parse(text).toObject();
+  }
+
+  /**
+   * Look up a nested value, ignoring the case of keys
+   * @param {Object} data - Parsed VDF data
+   * @param {...string} keys - Path of keys to follow
+   * @returns {*} The value, or undefined if any key is missing
+   */
+  static get(data, ...keys) {
+    let value = data;
+
+    for (const key of keys) {
+      if (!value || typeof value !== "object") {
+        return undefined;
+      }
+
+      const match = Object.keys(value).find(
+        (k) => k.toLowerCase() === String(key).toLowerCase()
+      );
+      value = match === undefined ? undefined : value[match];
+    }
+
+    return value;
+  }
+
+  /**
+   * Set a nested value, reusing existing keys whatever their case
+   *
+   * Missing sections along the path are created.
+   * @param {Object} data - Parsed VDF data
+   * @param {Array<string>} keys - Path of keys to follow
+   * @param {*} value - The value to set
+   */
+  static set(data, keys, value) {
+    let section = data;
+
+    keys.forEach((key, index) => {
+      const match =
+        Object.keys(section).find(
+          (k) => k.toLowerCase() === String(key).toLowerCase()
+        ) ?? String(key);
+
+      if (index === keys.length - 1) {
+        section[match] = value;
+      } else {
+        if (!section[match] || typeof section[match] !== "object") {
+          section[match] = {};
+        }
+        section = section[match];
+      }
+    });
+  }
+
+  /**
+   * Serialize nested objects as VDF text, laid out the way Steam writes it
+   * @param {Object} data - The key/value tree
+   * @param {number} [depth=0] - Indentation level
+   * @returns {string} The VDF text
+   */
+  static stringify(data, depth = 0) {
+    const quote = VdfDocument.quote;
+    const indent = "\t".repeat(depth);
+
+    return Object.keys(data)
+      .map((key) => {
+        const value = data[key];
+
+        if (value && typeof value === "object") {
+          return `${indent}${quote(key)}\n${indent}{\n${VDF.stringify(
+            value,
+            depth + 1
+          )}${indent}}\n`;
+        }
+
+        return `${indent}${quote(key)}\t\t${quote(value)}\n`;
+      })
+      .join("");
+  }
+}
+
+module.exports = VDF;
@@ -0,0 +1,433 @@
+/**
+ * Escape sequences understood inside quoted VDF strings
+ */
+const ESCAPES = { n: "\n", t: "\t", r: "\r", "\\": "\\", '"': '"' };
+
+/**
+ * Token references of each node, kept out of the nodes' public shape
+ */
+const NODE_TOKENS = new WeakMap();
+
+/**
+ * Split VDF text into tokens whose raw text joins back into the input
+ *
+ * Besides "{", "}" and strings there are "space" and "comment" tokens for
+ * the text between them and "condition" tokens for platform conditionals
+ * such as [$WIN32].
+ * @param {string} text - The VDF text
+ * @returns {Array<Object>} Tokens with type, raw text and (for strings and conditions) value
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const start = i;
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      while (i < text.length && /\s/.test(text[i])) i++;
+      tokens.push({ type: "space", raw: text.slice(start, i) });
+    } else if (char === "/" && text[i + 1] === "/") {
+      // Comment to the end of the line
+      while (i < text.length && text[i] !== "\n" && text[i] !== "\r") i++;
+      tokens.push({ type: "comment", raw: text.slice(start, i) });
+    } else if (char === "{" || char === "}") {
+      i++;
+      tokens.push({ type: char, raw: char });
+    } else if (char === "[") {
+      while (i < text.length && text[i] !== "]") i++;
+      i++;
+      const raw = text.slice(start, i);
+      tokens.push({ type: "condition", raw, value: raw.slice(1, -1) });
+    } else if (char === '"') {
+      let value = "";
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === "\\" && ESCAPES[text[i + 1]] !== undefined) {
+          value += ESCAPES[text[i + 1]];
+          i += 2;
+        } else {
+          value += text[i++];
+        }
+      }
+      i++;
+      tokens.push({ type: "string", raw: text.slice(start, i), value });
+    } else {
+      while (i < text.length && !/[\s{}"]/.test(text[i])) i++;
+      const raw = text.slice(start, i);
+      tokens.push({ type: "string", raw, value: raw });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Check whether a token is only layout (whitespace or a comment)
+ * @param {Object} token - The token
+ * @returns {boolean} True for space and comment tokens
+ */
+function isTrivia(token) {
+  return token.type === "space" || token.type === "comment";
+}
+
+/**
+ * Find the last child with a key, ignoring case
+ *
+ * Later duplicates win, as they do when the document is read as objects.
+ * @param {Array<Object>} children - The nodes to search
+ * @param {string} key - The key
+ * @returns {Object|undefined} The node
+ */
+function findChild(children, key) {
+  const lowerKey = String(key).toLowerCase();
+
+  for (let i = children.length - 1; i >= 0; i--) {
+    if (children[i].key.toLowerCase() === lowerKey) {
+      return children[i];
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Read nodes as nested objects
+ * @param {Array<Object>} children - The nodes
+ * @returns {Object} The key/value tree
+ */
+function toObject(children) {
+  const data = {};
+
+  for (const node of children) {
+    data[node.key] = node.children ? toObject(node.children) : node.value;
+  }
+
+  return data;
+}
+
+/**
+ * Class for text VDF documents that keep their exact layout when edited
+ *
+ * Parsing keeps every token of the input, so serializing an unchanged
+ * document gives back the same text, comments, key order, duplicate keys,
+ * platform conditionals and escaping included. Values that are set are
+ * written quoted and escaped, and new keys copy the indentation of the keys
+ * around them.
+ *
+ * Each node has a key, a value (null for sections), children (null for
+ * values) and the platform condition that follows it, if any.
+ */
+class VdfDocument {
+  /**
+   * Quote and escape a string for VDF text
+   * @param {string} value - The string
+   * @returns {string} The quoted string
+   */
+  static quote(value) {
+    const escaped = String(value)
+      .replace(/\\/g, "\\\\")
+      .replace(/"/g, '\\"')
+      .replace(/\n/g, "\\n")
+      .replace(/\t/g, "\\t")
+      .replace(/\r/g, "\\r");
+
+    return `"${escaped}"`;
+  }
+
+  /**
+   * Parse VDF text
+   * @param {string} text - The VDF text
+   * @returns {VdfDocument} The document
+   * @throws {Error} If the braces or keys and values do not match up
+   */
+  static parse(text) {
+    const tokens = tokenize(text);
+    const root = { key: null, value: null, children: [], condition: null };
+    const stack = [root];
+    let last = null;
+
+    NODE_TOKENS.set(root, { depth: -1, open: null, close: null });
+
+    /**
+     * Find the next token that is not trivia
+     * @param {number} from - Index to start at
+     * @returns {number} Its index, or tokens.length if there is none
+     */
+    const nextToken = (from) => {
+      let index = from;
+      while (index < tokens.length && isTrivia(tokens[index])) index++;
+      return index;
+    };
+
+    for (let i = nextToken(0); i < tokens.length; i = nextToken(i)) {
+      const token = tokens[i];
+      const section = stack[stack.length - 1];
+
+      if (token.type === "condition") {
+        // Conditionals qualify the key or value before them
+        if (last) {
+          last.condition = token.value;
+          NODE_TOKENS.get(last).end = token;
+        }
+        i++;
+        continue;
+      }
+
+      if (token.type === "}") {
+        if (stack.length === 1) {
+          throw new Error("Unexpected '}' in VDF data");
+        }
+        NODE_TOKENS.get(section).close = token;
+        NODE_TOKENS.get(section).end = token;
+        last = stack.pop();
+        i++;
+        continue;
+      }
+
+      if (token.type !== "string") {
+        throw new Error(`Unexpected '${token.type}' in VDF data`);
+      }
+
+      let valueIndex = nextToken(i + 1);
+      let condition = null;
+
+      if (tokens[valueIndex]?.type === "condition") {
+        condition = tokens[valueIndex].value;
+        valueIndex = nextToken(valueIndex + 1);
+      }
+
+      const next = tokens[valueIndex];
+      const node = { key: token.value, value: null, children: null, condition };
+      const refs = { depth: stack.length - 1, key: token, end: next };
+
+      if (next?.type === "{") {
+        node.children = [];
+        refs.open = next;
+        stack.push(node);
+        last = null;
+      } else if (next?.type === "string") {
+        node.value = next.value;
+        refs.value = next;
+        last = node;
+      } else {
+        throw new Error(`Missing value for key "${token.value}" in VDF data`);
+      }
+
+      NODE_TOKENS.set(node, refs);
+      section.children.push(node);
+      i = valueIndex + 1;
+    }
+
+    if (stack.length !== 1) {
+      throw new Error("Unterminated section in VDF data");
+    }
+
+    return new VdfDocument(tokens, root);
+  }
+
+  /**
+   * Create a document from parsed tokens; use VdfDocument.parse instead
+   * @param {Array<Object>} tokens - All tokens of the text
+   * @param {Object} root - Node holding the top-level nodes
+   */
+  constructor(tokens, root) {
+    this.tokens = tokens;
+    this.root = root;
+  }
+
+  /**
+   * Get the top-level nodes
+   * @returns {Array<Object>} The nodes, in file order
+   */
+  get children() {
+    return this.root.children;
+  }
+
+  /**
+   * Find a node by its path of keys, ignoring case
+   * @param {...string} keys - Path of keys to follow
+   * @returns {Object|undefined} The node, or undefined if any key is missing
+   */
+  find(...keys) {
+    let node = this.root;
+
+    for (const key of keys) {
+      node = node.children ? findChild(node.children, key) : undefined;
+
+      if (!node) {
+        return undefined;
+      }
+    }
+
+    return node;
+  }
+
+  /**
+   * Look up a nested value, ignoring the case of keys
+   * @param {...string} keys - Path of keys to follow
+   * @returns {string|Object|undefined} The value, sections as objects, or undefined if missing
+   */
+  get(...keys) {
+    const node = this.find(...keys);
+
+    if (!node) {
+      return undefined;
+    }
+
+    return node.children ? toObject(node.children) : node.value;
+  }
+
+  /**
+   * Set a value, creating it and any missing sections along the path
+   * @param {Array<string>} keys - Path of keys to follow
+   * @param {string} value - The value
+   * @throws {Error} If a key on the path is a value, or the last one a section
+   */
+  set(keys, value) {
+    let section = this.root;
+
+    keys.forEach((key, index) => {
+      const isLast = index === keys.length - 1;
+      let node = findChild(section.children, key);
+
+      if (!node) {
+        node = this.insert(section, String(key), isLast ? String(value) : null);
+      } else if (isLast && node.children) {
+        throw new Error(`"${node.key}" is a section in VDF data, not a value`);
+      } else if (isLast) {
+        const refs = NODE_TOKENS.get(node);
+        node.value = String(value);
+        refs.value.raw = VdfDocument.quote(value);
+        refs.value.value = node.value;
+      } else if (!node.children) {
+        throw new Error(`"${node.key}" is a value in VDF data, not a section`);
+      }
+
+      section = node;
+    });
+  }
+
+  /**
+   * Remove a key and everything below it
+   * @param {...string} keys - Path of keys to follow
+   * @returns {boolean} True if the key existed
+   */
+  remove(...keys) {
+    const node = this.find(...keys);
+
+    if (!node) {
+      return false;
+    }
+
+    const parent = this.find(...keys.slice(0, -1));
+    const refs = NODE_TOKENS.get(node);
+    let start = this.tokens.indexOf(refs.key);
+    const end = this.tokens.indexOf(refs.end);
+
+    // Take the line break and indentation before the key with it
+    if (start > 0 && this.tokens[start - 1].type === "space") {
+      start--;
+    }
+
+    this.tokens.splice(start, end - start + 1);
+    parent.children.splice(parent.children.indexOf(node), 1);
+    return true;
+  }
+
+  /**
+   * Add a node at the end of a section, laid out like its siblings
+   * @param {Object} section - The section node (or the root)
+   * @param {string} key - The new key
+   * @param {string|null} value - The value, or null to add an empty section
+   * @returns {Object} The new node
+   */
+  insert(section, key, value) {
+    const sectionRefs = NODE_TOKENS.get(section);
+    const depth = sectionRefs.depth + 1;
+    const siblings = section.children;
+    let indent = "\t".repeat(depth);
+    let separator = "\t\t";
+
+    // Copy the indentation and key/value spacing already in use
+    if (siblings.length > 0) {
+      const keyIndex = this.tokens.indexOf(NODE_TOKENS.get(siblings[0]).key);
+      const before = this.tokens[keyIndex - 1];
+
+      if (before?.type === "space" && before.raw.includes("\n")) {
+        indent = before.raw.slice(before.raw.lastIndexOf("\n") + 1);
+      }
+    }
+
+    const valueSibling = siblings.find((sibling) => !sibling.children);
+
+    if (valueSibling) {
+      const refs = NODE_TOKENS.get(valueSibling);
+      const between = this.tokens[this.tokens.indexOf(refs.key) + 1];
+
+      if (between.type === "space" && !between.raw.includes("\n")) {
+        separator = between.raw;
+      }
+    }
+
+    const node = { key, value, children: null, condition: null };
+    const refs = {
+      depth,
+      key: { type: "string", raw: VdfDocument.quote(key) },
+    };
+    const added = [];
+
+    // Nothing goes before the first key of an empty document
+    if (this.tokens.length > 0 || depth > 0) {
+      added.push({ type: "space", raw: `\n${indent}` });
+    }
+    added.push(refs.key);
+
+    if (value === null) {
+      node.children = [];
+      refs.open = { type: "{", raw: "{" };
+      refs.close = { type: "}", raw: "}" };
+      refs.end = refs.close;
+      added.push(
+        { type: "space", raw: `\n${indent}` },
+        refs.open,
+        { type: "space", raw: `\n${indent}` },
+        refs.close
+      );
+    } else {
+      refs.value = { type: "string", raw: VdfDocument.quote(value), value };
+      refs.end = refs.value;
+      added.push({ type: "space", raw: separator }, refs.value);
+    }
+
+    // After the last sibling, or straight after the section's opening brace
+    const after = siblings.length
+      ? NODE_TOKENS.get(siblings[siblings.length - 1]).end
+      : sectionRefs.open;
+    const index = after ? this.tokens.indexOf(after) + 1 : this.tokens.length;
+
+    this.tokens.splice(index, 0, ...added);
+    NODE_TOKENS.set(node, refs);
+    siblings.push(node);
+    return node;
+  }
+
+  /**
+   * Read the document as nested objects, later duplicate keys winning
+   * @returns {Object} The key/value tree
+   */
+  toObject() {
+    return toObject(this.root.children);
+  }
+
+  /**
+   * Serialize the document
+   * @returns {string} The VDF text
+   */
+  toString() {
+    return this.tokens.map((token) => token.raw).join("");
+  }
+}
+
+module.exports = VdfDocument;
@@ -0,0 +1,11 @@
+const VDF = require("./VDF");
+const VdfDocument = require("./VdfDocument");
+const BinaryVDF = require("./BinaryVDF");
+const AppInfoFile = require("./AppInfoFile");
+
+module.exports = {
+  VDF,
+  VdfDocument,
+  BinaryVDF,
+  AppInfoFile,
+};
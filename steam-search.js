@@ -1,5 +1,28 @@
 #!/usr/bin/env node
-const { SteamClient, SteamSearch, CLI } = require("./lib");
+const fs = require("fs");
+const path = require("path");
+const {
+  SteamClient,
+  SteamSearch,
+  CLI,
+  ExitCode,
+  Output,
+  Watcher,
+  SteamLibrary,
+  DepotApplier,
+  BackupStore,
+  AppFreezer,
+  ManifestDiff,
+  VersionConfig,
+  VersionSync,
+  Lockfile,
+  DownloadScript,
+  DepotFilter,
+  NotFoundError,
+  TimeoutError,
+  RequestError,
+  ConfigError,
+} = require("./lib");
 
 /**
  * Main application class
@@ -9,9 +32,24 @@ class SteamSearchApp {
    * Create a new Steam search application
    */
   constructor() {
-    this.steamClient = new SteamClient();
-    this.steamSearch = new SteamSearch();
-    this.cli = new CLI();
+    this.output = new Output();
+    this.steamLibrary = new SteamLibrary();
+    this.steamClient = new SteamClient({
+      output: this.output,
+      steamLibrary: this.steamLibrary,
+    });
+    this.steamSearch = new SteamSearch({
+      output: this.output,
+      steamClient: this.steamClient,
+    });
+    this.depotApplier = new DepotApplier({ output: this.output });
+    this.backupStore = new BackupStore({ output: this.output });
+    this.appFreezer = new AppFreezer({ steamLibrary: this.steamLibrary });
+    this.cli = new CLI({
+      output: this.output,
+      steamLibrary: this.steamLibrary,
+      steamClient: this.steamClient,
+    });
   }
 
   /**
@@ -19,11 +57,840 @@ class SteamSearchApp {
    */
   async run() {
     try {
-      // Initialize the CLI
-      this.cli.parseArguments(this.start.bind(this));
+      // Initialize the CLI and dispatch to the requested command
+      await this.cli.parseArguments({
+        interactive: this.start.bind(this),
+        search: this.search.bind(this),
+        depots: this.depots.bind(this),
+        manifests: this.manifests.bind(this),
+        command: this.command.bind(this),
+        build: this.build.bind(this),
+        watch: this.watch.bind(this),
+        apply: this.apply.bind(this),
+        rollback: this.rollback.bind(this),
+        backups: this.backups.bind(this),
+        freeze: this.freeze.bind(this),
+        unfreeze: this.unfreeze.bind(this),
+        download: this.download.bind(this),
+        files: this.files.bind(this),
+        diff: this.diff.bind(this),
+        sync: this.sync.bind(this),
+        import: this.importLockfile.bind(this),
+        script: this.script.bind(this),
+        login: this.login.bind(this),
+        logout: this.logout.bind(this),
+      });
     } catch (error) {
+      // Commander reports usage errors, --help and --version this way
+      if (error.code && error.code.startsWith("commander.")) {
+        process.exit(
+          error.exitCode === 0 ? ExitCode.SUCCESS : ExitCode.INVALID_ARGUMENT
+        );
+      }
+
       console.error("Error running the application:", error.message);
-      process.exit(1);
+      process.exit(this.getExitCode(error));
+    }
+  }
+
+  /**
+   * Pick the exit code for an error that ended a command
+   * @param {Error} error - The error
+   * @returns {number} The exit code
+   */
+  getExitCode(error) {
+    if (error instanceof NotFoundError) {
+      return ExitCode.NOT_FOUND;
+    }
+
+    if (error instanceof TimeoutError) {
+      return ExitCode.TIMEOUT;
+    }
+
+    if (error instanceof ConfigError) {
+      return ExitCode.INVALID_ARGUMENT;
+    }
+
+    return ExitCode.ERROR;
+  }
+
+  /**
+   * Run a command that needs a Steam session, logging out afterwards
+   * @param {Function} task - Async function to run while logged in
+   * @returns {Promise<*>} The result of the task
+   */
+  async withSteamSession(task) {
+    await this.steamClient.login();
+
+    try {
+      return await task();
+    } finally {
+      this.steamClient.logout();
+    }
+  }
+
+  /**
+   * Search the Steam store and print matching applications
+   * @param {string} searchTerm - The term, app ID or store link to search for
+   */
+  async search(searchTerm) {
+    const games = await this.steamSearch.searchGames(
+      searchTerm,
+      this.cli.getSearchOptions()
+    );
+
+    this.cli.printGames(games);
+
+    if (games.length === 0) {
+      process.exitCode = ExitCode.NOT_FOUND;
+    }
+  }
+
+  /**
+   * Print the depots of an application
+   * @param {number} appId - The Steam app ID
+   */
+  async depots(appId) {
+    const allDepots = await this.withSteamSession(() =>
+      this.steamClient.getGameDepots(appId)
+    );
+    const depots = this.cli.getDepotFilter().apply(allDepots);
+
+    this.cli.printDepots(depots);
+
+    if (depots.length === 0) {
+      process.exitCode = ExitCode.NOT_FOUND;
+    }
+  }
+
+  /**
+   * Print the known manifests of a depot
+   * @param {number} appId - The Steam app ID
+   * @param {number} depotId - The depot ID
+   */
+  async manifests(appId, depotId) {
+    const manifests = await this.withSteamSession(() =>
+      this.steamClient.getDepotManifests(appId, depotId)
+    );
+
+    this.cli.printManifests(manifests);
+
+    if (manifests.length === 0) {
+      process.exitCode = ExitCode.NOT_FOUND;
+    }
+  }
+
+  /**
+   * Print the download_depot command for a manifest ID or branch name
+   * @param {number} appId - The Steam app ID
+   * @param {number} depotId - The depot ID
+   * @param {string} manifest - A manifest ID, or a branch name to resolve
+   */
+  async command(appId, depotId, manifest) {
+    let manifestId = manifest;
+
+    // Anything that is not a manifest ID is treated as a branch name
+    if (!/^\d+$/.test(manifest)) {
+      const resolved = await this.withSteamSession(() =>
+        this.resolveManifest(appId, depotId, manifest)
+      );
+
+      if (!resolved) {
+        console.error(`Branch "${manifest}" not found for depot ${depotId}.`);
+        process.exitCode = ExitCode.NOT_FOUND;
+        return;
+      }
+
+      manifestId = resolved.manifestId;
+    }
+
+    this.cli.printSteamCommand(appId, depotId, manifestId);
+
+    if (this.cli.program.opts().wait) {
+      await this.cli.waitForDownload(appId, depotId);
+    }
+  }
+
+  /**
+   * Find the manifest ID and branch for a manifest ID or branch name
+   *
+   * Needs a Steam session. A manifest ID no current branch points at is
+   * assumed to be from the public branch.
+   * @param {number} appId - The Steam app ID
+   * @param {number} depotId - The depot ID
+   * @param {string} manifest - A manifest ID or a branch name
+   * @returns {Promise<Object|null>} The manifestId and branch, or null if the branch is unknown
+   */
+  async resolveManifest(appId, depotId, manifest) {
+    const manifests = await this.steamClient.getDepotManifests(appId, depotId);
+    const current = manifests.filter((m) => !m.isHistorical);
+
+    if (/^\d+$/.test(manifest)) {
+      const match = current.find((m) => m.manifestId === manifest);
+      return { manifestId: manifest, branch: match ? match.branch : "public" };
+    }
+
+    const branchManifest = current.find((m) => m.branch === manifest);
+
+    return branchManifest
+      ? { manifestId: branchManifest.manifestId, branch: manifest }
+      : null;
+  }
+
+  /**
+   * Download a manifest's files from Steam's CDN
+   * @param {number} appId - The Steam app ID
+   * @param {number} depotId - The depot ID
+   * @param {string} manifest - A manifest ID, or a branch name to resolve
+   * @param {Object} options - Command options
+   * @param {string} [options.dir] - Directory to download to
+   * @param {number} options.concurrency - Chunks to download at the same time
+   */
+  async download(appId, depotId, manifest, options) {
+    if (this.steamClient.offline) {
+      console.error(
+        "download needs a Steam connection and cannot run --offline."
+      );
+      process.exitCode = ExitCode.INVALID_ARGUMENT;
+      return;
+    }
+
+    const summary = await this.withSteamSession(async () => {
+      const resolved = await this.resolveManifest(appId, depotId, manifest);
+
+      if (!resolved) {
+        return null;
+      }
+
+      return {
+        manifestId: resolved.manifestId,
+        ...(await this.downloadManifest(
+          appId,
+          depotId,
+          resolved.manifestId,
+          options.dir,
+          { branch: resolved.branch, concurrency: options.concurrency }
+        )),
+      };
+    });
+
+    if (!summary) {
+      console.error(`Branch "${manifest}" not found for depot ${depotId}.`);
+      process.exitCode = ExitCode.NOT_FOUND;
+      return;
+    }
+
+    this.cli.printDownloadSummary({ appId, depotId, ...summary });
+  }
+
+  /**
+   * Download a manifest from Steam's CDN, showing progress on stderr
+   *
+   * Needs a Steam session.
+   * @param {number} appId - The Steam app ID
+   * @param {number} depotId - The depot ID
+   * @param {string} manifestId - The manifest ID
+   * @param {string} [downloadDir] - Directory to download to
+   * @param {Object} options - Download options
+   * @param {string} options.branch - Branch the manifest belongs to
+   * @param {number} options.concurrency - Chunks to download at the same time
+   * @returns {Promise<Object>} The download summary
+   */
+  async downloadManifest(appId, depotId, manifestId, downloadDir, options) {
+    const startedAt = Date.now();
+
+    try {
+      return await this.steamClient.downloadManifest(
+        appId,
+        depotId,
+        manifestId,
+        downloadDir,
+        {
+          ...options,
+          onProgress: (progress) =>
+            this.output.progress(
+              this.cli.formatDownloadProgress({
+                ...progress,
+                elapsedMs: Date.now() - startedAt,
+              })
+            ),
+        }
+      );
+    } finally {
+      this.output.endProgress();
+    }
+  }
+
+  /**
+   * Fetch the file list of a manifest ID or branch name
+   *
+   * Needs a Steam session.
+   * @param {number} appId - The Steam app ID
+   * @param {number} depotId - The depot ID
+   * @param {string} manifest - A manifest ID or a branch name
+   * @returns {Promise<Array<Object>>} The files
+   * @throws {NotFoundError} If the branch is unknown
+   */
+  async getManifestFiles(appId, depotId, manifest) {
+    const resolved = await this.resolveManifest(appId, depotId, manifest);
+
+    if (!resolved) {
+      throw new NotFoundError(
+        `Branch "${manifest}" not found for depot ${depotId}.`
+      );
+    }
+
+    return this.steamClient.getManifestFiles(
+      appId,
+      depotId,
+      resolved.manifestId,
+      { branch: resolved.branch }
+    );
+  }
+
+  /**
+   * Print the files of a manifest
+   * @param {number} appId - The Steam app ID
+   * @param {number} depotId - The depot ID
+   * @param {string} manifest - A manifest ID, or a branch name to resolve
+   */
+  async files(appId, depotId, manifest) {
+    const fileList = await this.withSteamSession(() =>
+      this.getManifestFiles(appId, depotId, manifest)
+    );
+
+    this.cli.printFiles(fileList);
+  }
+
+  /**
+   * Print the files that changed between two manifests
+   * @param {number} appId - The Steam app ID
+   * @param {number} depotId - The depot ID
+   * @param {string} manifestA - The old manifest ID or branch name
+   * @param {string} manifestB - The new manifest ID or branch name
+   */
+  async diff(appId, depotId, manifestA, manifestB) {
+    const [oldFiles, newFiles] = await this.withSteamSession(async () => [
+      await this.getManifestFiles(appId, depotId, manifestA),
+      await this.getManifestFiles(appId, depotId, manifestB),
+    ]);
+
+    this.cli.printDiff(ManifestDiff.compare(oldFiles, newFiles));
+  }
+
+  /**
+   * Print the download_depot commands for every depot of a build
+   * @param {number} appId - The Steam app ID
+   * @param {string} build - A build ID, or a branch name to resolve
+   */
+  async build(appId, build) {
+    const resolved = await this.withSteamSession(() =>
+      this.steamClient.getBuildManifests(appId, build)
+    );
+
+    if (!resolved) {
+      console.error(`Build or branch "${build}" not found for app ${appId}.`);
+      process.exitCode = ExitCode.NOT_FOUND;
+      return;
+    }
+
+    const filter = this.cli.getDepotFilter();
+    this.cli.printBuild({
+      ...resolved,
+      depots: filter.apply(resolved.depots),
+      missing: filter.apply(resolved.missing),
+    });
+  }
+
+  /**
+   * Compare installed apps with the versions pinned in a config file and
+   * print, or with --run download, the depots that need changing
+   * @param {Object} options - Command options
+   * @param {string} [options.config] - Path to the version config
+   * @param {boolean} [options.run] - Download the needed depots
+   * @param {string} [options.dir] - Directory to download to
+   * @param {number} options.concurrency - Chunks to download at the same time
+   */
+  async sync(options) {
+    if (options.run && this.steamClient.offline) {
+      console.error(
+        "sync --run needs a Steam connection and cannot run --offline."
+      );
+      process.exitCode = ExitCode.INVALID_ARGUMENT;
+      return;
+    }
+
+    const config = VersionConfig.load(
+      options.config
+        ? path.resolve(options.config)
+        : VersionConfig.getDefaultPath()
+    );
+    const versionSync = new VersionSync({
+      steamClient: this.steamClient,
+      steamLibrary: this.steamLibrary,
+    });
+
+    const plans = await this.withSteamSession(async () => {
+      const plans = await versionSync.plan(config);
+
+      if (!options.run) {
+        return plans;
+      }
+
+      for (const plan of plans) {
+        for (const depot of plan.depots) {
+          if (depot.status !== "install") {
+            continue;
+          }
+
+          const summary = await this.downloadManifest(
+            plan.appId,
+            parseInt(depot.depotId, 10),
+            depot.manifestId,
+            options.dir
+              ? path.join(options.dir, String(plan.appId), depot.depotId)
+              : undefined,
+            {
+              branch: plan.branch || "public",
+              concurrency: options.concurrency,
+            }
+          );
+          this.output.log(
+            `Depot ${depot.depotId}: ${summary.filesDownloaded} files downloaded to ${summary.downloadDir}`
+          );
+        }
+      }
+
+      return plans;
+    });
+
+    this.cli.printSyncPlan(plans);
+
+    if (plans.some((plan) => plan.missing.length > 0)) {
+      process.exitCode = ExitCode.NOT_FOUND;
+    }
+  }
+
+  /**
+   * Check a lockfile against current product info and print its commands
+   * @param {string} file - Path to the lockfile
+   */
+  async importLockfile(file) {
+    const lock = Lockfile.read(path.resolve(file));
+    const depots = await this.withSteamSession(() =>
+      Lockfile.check(lock, this.steamClient)
+    );
+
+    this.cli.printImport(lock, depots);
+
+    if (depots.some((depot) => depot.status === "missing")) {
+      process.exitCode = ExitCode.NOT_FOUND;
+    }
+  }
+
+  /**
+   * Generate a script that downloads manifests with DepotDownloader
+   * @param {number} appId - The Steam app ID
+   * @param {Array<Object>} depots - The {depotId, manifest} pairs to download
+   * @param {Object} options - Command options
+   * @param {string} [options.format] - bash, powershell or batch
+   * @param {string} [options.output] - File to write the script to
+   * @param {string} [options.dir] - Directory the script downloads into
+   */
+  async script(appId, depots, options) {
+    const format =
+      options.format ||
+      (options.output && DownloadScript.getFormatForFile(options.output)) ||
+      "bash";
+
+    const { name, downloads } = await this.withSteamSession(async () => {
+      const productInfo = await this.steamClient.getProductInfo(appId);
+      const appDepots = await this.steamClient.getGameDepots(appId);
+      const downloads = [];
+
+      for (const { depotId, manifest } of depots) {
+        const resolved = await this.resolveManifest(appId, depotId, manifest);
+
+        if (!resolved) {
+          throw new NotFoundError(
+            `Branch "${manifest}" not found for depot ${depotId}.`
+          );
+        }
+
+        // Only pass -os for depots that are for a single OS
+        const depot = appDepots.find((d) => String(d.id) === String(depotId));
+        const osList = depot ? DepotFilter.getOsList(depot) : [];
+
+        downloads.push({
+          depotId,
+          manifestId: resolved.manifestId,
+          branch: resolved.branch,
+          os: osList.length === 1 ? osList[0] : null,
+          language: depot?.language || null,
+        });
+      }
+
+      return { name: productInfo.appinfo.common?.name || null, downloads };
+    });
+
+    const script = DownloadScript.generate(format, {
+      appId,
+      name,
+      downloads,
+      dir: options.dir,
+    });
+
+    if (options.output) {
+      const scriptPath = path.resolve(options.output);
+      fs.writeFileSync(scriptPath, script, {
+        mode: format === "bash" ? 0o755 : 0o644,
+      });
+      this.output.log(`Wrote a ${format} script to ${scriptPath}`);
+      return;
+    }
+
+    this.output.item({ appId, format, script }, (record) =>
+      record.script.replace(/\r?\n$/, "")
+    );
+  }
+
+  /**
+   * Poll apps for new builds until interrupted
+   * @param {Array<number>} appIds - The Steam app IDs to watch
+   * @param {Object} options - Command options
+   * @param {number} options.interval - Minutes between polls
+   * @param {boolean} [options.once] - Poll a single time and exit
+   */
+  async watch(appIds, options) {
+    if (this.steamClient.offline) {
+      console.error("watch needs a Steam connection and cannot run --offline.");
+      process.exitCode = ExitCode.INVALID_ARGUMENT;
+      return;
+    }
+
+    // Changes are printed as they happen, so one JSON document cannot work
+    if (this.output.isMachineReadable()) {
+      this.output.setFormat("ndjson");
+    }
+
+    const watcher = new Watcher({
+      steamClient: this.steamClient,
+      output: this.output,
+      intervalMs: options.interval * 60 * 1000,
+    });
+
+    if (options.once) {
+      try {
+        await this.withSteamSession(() => watcher.poll(appIds));
+      } finally {
+        watcher.stop();
+      }
+      return;
+    }
+
+    const stop = () => watcher.stop();
+    process.once("SIGINT", stop);
+    process.once("SIGTERM", stop);
+
+    try {
+      await watcher.run(appIds);
+    } finally {
+      this.steamClient.logout();
+    }
+  }
+
+  /**
+   * Log in to a Steam account and save the login for later commands
+   * @param {string} [accountName] - The Steam account name
+   */
+  async login(accountName) {
+    if (this.steamClient.offline) {
+      console.error("login needs a Steam connection and cannot run --offline.");
+      process.exitCode = ExitCode.INVALID_ARGUMENT;
+      return;
+    }
+
+    const credentials = await this.cli.promptCredentials(accountName);
+
+    try {
+      await this.steamClient.loginWithPassword(
+        credentials.accountName,
+        credentials.password,
+        { onSteamGuard: (request) => this.cli.promptSteamGuardCode(request) }
+      );
+    } finally {
+      this.steamClient.logout();
+    }
+
+    this.output.log(
+      `Saved the login for ${credentials.accountName}; other commands will now use it.`
+    );
+  }
+
+  /**
+   * Forget the saved Steam login
+   */
+  logout() {
+    const accountName = this.steamClient.forgetLogin();
+
+    this.output.log(
+      accountName
+        ? `Forgot the saved login for ${accountName}.`
+        : "No saved login to forget."
+    );
+  }
+
+  /**
+   * Copy a downloaded depot over the game installation
+   * @param {number} appId - The Steam app ID
+   * @param {number} depotId - The depot ID
+   * @param {Object} options - Command options
+   * @param {boolean} [options.dryRun] - Only list the files that would be written
+   * @param {boolean} [options.force] - Skip the download completion check
+   * @param {string} [options.source] - Downloaded depot folder
+   * @param {string} [options.target] - Game installation folder
+   * @param {boolean} [options.backup] - Back up overwritten files first
+   */
+  async apply(appId, depotId, options) {
+    const steamRoot = await this.steamLibrary.findSteamRoot();
+    const installed = await this.steamLibrary.getInstalledApp(appId);
+    const sourceDir = options.source
+      ? path.resolve(options.source)
+      : await this.steamLibrary.getDepotContentDir(appId, depotId);
+    const targetDir = options.target
+      ? path.resolve(options.target)
+      : installed?.installDir;
+
+    if (!sourceDir) {
+      console.error("Steam installation not found. Pass --source.");
+      process.exitCode = ExitCode.NOT_FOUND;
+      return;
+    }
+    if (!targetDir) {
+      console.error(
+        `App ${appId} is not installed in any Steam library. Pass --target.`
+      );
+      process.exitCode = ExitCode.NOT_FOUND;
+      return;
+    }
+
+    await this.depotApplier.validateSource(sourceDir, {
+      steamRoot,
+      force: options.force,
+    });
+    const plan = await this.depotApplier.plan(sourceDir, targetDir);
+
+    if (options.dryRun) {
+      this.cli.printApplyPlan(plan);
+      return;
+    }
+
+    const backup = options.backup
+      ? await this.backupStore.create(plan, {
+          appId,
+          depotId,
+          manifestId: installed?.depots[depotId]?.manifestId,
+          buildId: installed?.buildId,
+        })
+      : null;
+
+    const summary = await this.depotApplier.apply(plan);
+    this.cli.printApplySummary({
+      appId,
+      depotId,
+      sourceDir,
+      targetDir,
+      ...summary,
+      backupId: backup ? backup.id : null,
+    });
+  }
+
+  /**
+   * Restore the most recent backup of an app
+   * @param {number} appId - The Steam app ID
+   */
+  async rollback(appId) {
+    const backup = this.backupStore.getLatest(appId);
+
+    if (!backup) {
+      console.error(`No backups found for app ${appId}.`);
+      process.exitCode = ExitCode.NOT_FOUND;
+      return;
+    }
+
+    const summary = await this.backupStore.restore(backup);
+    this.cli.printRollbackSummary({
+      appId,
+      depotId: backup.depotId,
+      backupId: backup.id,
+      manifestId: backup.manifestId,
+      targetDir: backup.targetDir,
+      ...summary,
+    });
+  }
+
+  /**
+   * List backups, or delete all but the newest ones
+   * @param {number} [appId] - Only this Steam app ID
+   * @param {Object} options - Command options
+   * @param {number} [options.prune] - How many backups to keep per app
+   */
+  async backups(appId, options) {
+    if (options.prune !== undefined) {
+      const removed = await this.backupStore.prune(options.prune, appId);
+      this.output.log(`Deleted ${removed.length} backups.`);
+      this.cli.printBackups(removed);
+      return;
+    }
+
+    const backupList = this.backupStore.list(appId);
+
+    if (backupList.length === 0) {
+      console.error("No backups found.");
+      process.exitCode = ExitCode.NOT_FOUND;
+    }
+
+    this.cli.printBackups(backupList);
+  }
+
+  /**
+   * Record the applied version in an app's appmanifest and stop Steam from
+   * updating it
+   * @param {number} appId - The Steam app ID
+   * @param {string} [build] - Build ID or branch name of the applied version
+   * @param {Object} options - Command options
+   * @param {Array<Object>} [options.depot] - depotid:manifest pairs to record
+   */
+  async freeze(appId, build, options) {
+    const installed = await this.steamLibrary.getInstalledApp(appId);
+
+    if (!installed) {
+      console.error(`App ${appId} is not installed in any Steam library.`);
+      process.exitCode = ExitCode.NOT_FOUND;
+      return;
+    }
+
+    const version = { buildId: null, depots: {} };
+
+    if (build || options.depot) {
+      await this.withSteamSession(async () => {
+        if (build) {
+          const resolved = await this.steamClient.getBuildManifests(
+            appId,
+            build
+          );
+
+          if (!resolved) {
+            throw new NotFoundError(
+              `Build or branch "${build}" not found for app ${appId}.`
+            );
+          }
+
+          // A partial version would leave these depots at the installed build
+          const given = (options.depot || []).map(({ depotId }) =>
+            String(depotId)
+          );
+          const unknown = resolved.missing.filter(
+            (depot) => installed.depots[depot.id] && !given.includes(depot.id)
+          );
+
+          if (unknown.length > 0) {
+            const depotIds = unknown.map((depot) => depot.id).join(", ");
+            throw new NotFoundError(
+              `No manifest known for installed depots ${depotIds} in build ${build}. ` +
+                "Pass --depot <depotid:manifest> for each to freeze anyway."
+            );
+          }
+
+          // Only depots Steam installed; others would be marked as installed
+          version.buildId = resolved.buildId;
+          resolved.depots
+            .filter((depot) => installed.depots[depot.id])
+            .forEach((depot) => {
+              version.depots[depot.id] = depot.manifestId;
+            });
+        }
+
+        for (const { depotId, manifest } of options.depot || []) {
+          const resolved = await this.resolveManifest(appId, depotId, manifest);
+
+          if (!resolved) {
+            throw new NotFoundError(
+              `Branch "${manifest}" not found for depot ${depotId}.`
+            );
+          }
+
+          version.depots[depotId] = resolved.manifestId;
+        }
+      });
+    }
+
+    await this.cli.warnIfSteamRunning();
+    this.cli.printFreezeSummary(await this.appFreezer.freeze(appId, version));
+  }
+
+  /**
+   * Restore the appmanifest an app had before it was frozen
+   * @param {number} appId - The Steam app ID
+   */
+  async unfreeze(appId) {
+    if (!this.appFreezer.isFrozen(appId)) {
+      console.error(`App ${appId} is not frozen.`);
+      process.exitCode = ExitCode.NOT_FOUND;
+      return;
+    }
+
+    await this.cli.warnIfSteamRunning();
+    this.cli.printUnfreezeSummary(await this.appFreezer.unfreeze(appId));
+  }
+
+  /**
+   * Let the user pick a manifest of a depot, asking for the password of any
+   * password-protected branch they pick and listing it again once unlocked
+   * @param {number} appId - The Steam app ID
+   * @param {number} depotId - The depot ID
+   * @param {Object} [installed] - Installed app state from SteamLibrary.getInstalledApp
+   * @returns {Promise<Object|null>} The selected manifest
+   */
+  async selectManifest(appId, depotId, installed) {
+    for (;;) {
+      const manifests = await this.steamClient.getDepotManifests(
+        appId,
+        depotId
+      );
+      const lockedBranches = this.steamClient.offline
+        ? []
+        : await this.steamClient.getLockedBranches(appId);
+
+      const selected = await this.cli.selectManifest(
+        manifests,
+        installed,
+        depotId,
+        lockedBranches
+      );
+
+      if (!selected || !selected.isLocked) {
+        return selected;
+      }
+
+      const password = await this.cli.promptBetaPassword(selected.branch);
+
+      try {
+        const branches = await this.steamClient.unlockBranches(appId, password);
+
+        if (!branches.includes(selected.branch)) {
+          console.error(
+            `That password unlocks ${branches.join(", ")}, not ${
+              selected.branch
+            }.`
+          );
+        }
+      } catch (error) {
+        if (!(error instanceof RequestError)) {
+          throw error;
+        }
+        console.error(error.message);
+      }
     }
   }
 
@@ -32,49 +899,57 @@ class SteamSearchApp {
    */
   async start() {
     try {
-      // Login to Steam anonymously
+      // Login to Steam, as the saved account if there is one
       await this.steamClient.login();
 
       // Get search term from user
       const searchTerm = await this.cli.getSearchTerm();
 
       // Search for games
-      const games = await this.steamSearch.searchGames(searchTerm);
+      const games = await this.steamSearch.searchGames(
+        searchTerm,
+        this.cli.getSearchOptions()
+      );
 
       // If no games found, exit
       if (games.length === 0) {
         this.steamClient.logout();
-        process.exit(0);
+        process.exit(ExitCode.SUCCESS);
       }
 
       // Let user select a game
       const selectedGame = await this.cli.selectGame(games);
 
+      // Look up the build currently installed, if any
+      const installed = await this.steamLibrary.getInstalledApp(
+        selectedGame.appid
+      );
+
       // Display details of the selected game
-      this.cli.displayGameDetails(selectedGame);
+      this.cli.displayGameDetails(selectedGame, installed);
 
       // Fetch depot information for the selected game
       const depots = await this.steamClient.getGameDepots(selectedGame.appid);
 
-      // Let user select a depot
-      const selectedDepot = await this.cli.selectDepot(depots);
+      // Let user select the depots to download
+      const selectedDepots = await this.cli.selectDepots(depots, installed);
 
-      // Display details of the selected depot
-      if (selectedDepot) {
+      // Pick a manifest for each selected depot in turn
+      const selections = [];
+      for (const selectedDepot of selectedDepots) {
         this.cli.displayDepotDetails(selectedDepot);
 
-        // Fetch manifest information for the selected depot
-        const manifests = await this.steamClient.getDepotManifests(
+        // Let user select a manifest, unlocking private branches on the way
+        const selectedManifest = await this.selectManifest(
           selectedGame.appid,
-          selectedDepot.id
+          selectedDepot.id,
+          installed
         );
 
-        // Let user select a manifest
-        const selectedManifest = await this.cli.selectManifest(manifests);
-
         // Display details of the selected manifest and generate Steam command
         if (selectedManifest) {
-          this.cli.displayManifestDetails(
+          selections.push({ depot: selectedDepot, manifest: selectedManifest });
+          await this.cli.displayManifestDetails(
             selectedManifest,
             selectedGame.appid,
             selectedDepot.id
@@ -82,6 +957,14 @@ class SteamSearchApp {
         }
       }
 
+      // Keep the selection for the import command if asked to
+      const { save } = this.cli.program.opts();
+      if (save && selections.length > 0) {
+        const lockPath = path.resolve(save);
+        Lockfile.write(lockPath, Lockfile.create(selectedGame, selections));
+        this.output.log(`Selection saved to ${lockPath}`);
+      }
+
       // Logout and display completion message
       this.steamClient.logout();
       this.cli.displayCompletion();
@@ -90,7 +973,7 @@ class SteamSearchApp {
       if (this.steamClient) {
         this.steamClient.logout();
       }
-      process.exit(1);
+      process.exit(this.getExitCode(error));
     }
   }
 }
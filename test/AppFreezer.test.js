@@ -0,0 +1,109 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const AppFreezer = require("../lib/AppFreezer");
+const SteamLibrary = require("../lib/SteamLibrary");
+const { NotFoundError } = require("../lib/Errors");
+
+const APPMANIFEST = `"AppState"
+{
+	"appid"		"5"
+	"name"		"Test Game"
+	"StateFlags"		"6"
+	"installdir"		"Test Game"
+	"buildid"		"9"
+	"TargetBuildID"		"10"
+	"AutoUpdateBehavior"		"0"
+	"InstalledDepots"
+	{
+		"6"
+		{
+			"manifest"		"98"
+			"size"		"1024"
+		}
+	}
+}
+`;
+
+/**
+ * Create a Steam root with app 5 installed and a freezer for it
+ * @returns {Object} freezer and manifestPath
+ */
+function createFreezer() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "freeze-"));
+  const steamapps = path.join(root, "steam", "steamapps");
+  const manifestPath = path.join(steamapps, "appmanifest_5.acf");
+  test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  fs.mkdirSync(steamapps, { recursive: true });
+  fs.writeFileSync(manifestPath, APPMANIFEST);
+
+  const freezer = new AppFreezer({
+    steamLibrary: new SteamLibrary({ steamRoot: path.join(root, "steam") }),
+    dir: path.join(root, "frozen"),
+  });
+
+  return { freezer, manifestPath };
+}
+
+test("records the applied version and puts the original back", async () => {
+  const { freezer, manifestPath } = createFreezer();
+
+  const summary = await freezer.freeze(5, {
+    buildId: "10",
+    depots: { 6: "18446744073709551615" },
+  });
+
+  assert.equal(summary.previousBuildId, "9");
+  assert.deepEqual(summary.depots, [
+    {
+      depotId: "6",
+      manifestId: "18446744073709551615",
+      previousManifestId: "98",
+    },
+  ]);
+  assert.equal(
+    fs.readFileSync(manifestPath, "utf8"),
+    APPMANIFEST.replace('"StateFlags"\t\t"6"', '"StateFlags"\t\t"4"')
+      .replace('"buildid"\t\t"9"', '"buildid"\t\t"10"')
+      .replace('"AutoUpdateBehavior"\t\t"0"', '"AutoUpdateBehavior"\t\t"1"')
+      .replace('"manifest"\t\t"98"', '"manifest"\t\t"18446744073709551615"')
+  );
+  assert.equal(freezer.isFrozen(5), true);
+
+  await freezer.unfreeze(5);
+
+  assert.equal(fs.readFileSync(manifestPath, "utf8"), APPMANIFEST);
+  assert.equal(freezer.isFrozen(5), false);
+});
+
+test("refuses depots that are not installed", async () => {
+  const { freezer, manifestPath } = createFreezer();
+
+  await assert.rejects(
+    freezer.freeze(5, { depots: { 7: "99" } }),
+    (error) =>
+      error instanceof NotFoundError &&
+      /Depot 7 is not installed for app 5/.test(error.message)
+  );
+  assert.equal(fs.readFileSync(manifestPath, "utf8"), APPMANIFEST);
+  assert.equal(freezer.isFrozen(5), false);
+});
+
+test("refuses manifest IDs that are not strings", async () => {
+  const { freezer } = createFreezer();
+
+  await assert.rejects(
+    freezer.freeze(5, { depots: { 6: 8881193748180768000 } }),
+    /Manifest ID of depot 6 must be a string of digits/
+  );
+});
+
+test("returns null for apps that are not installed", async () => {
+  const { freezer } = createFreezer();
+
+  assert.equal(await freezer.freeze(7), null);
+  assert.equal(await freezer.unfreeze(7), null);
+});
@@ -0,0 +1,224 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { AppInfoFile, BinaryVDF } = require("../lib/vdf");
+
+/**
+ * Magic number of each appinfo.vdf version
+ */
+const MAGIC = { 27: 0x07564427, 28: 0x07564428, 29: 0x07564429 };
+
+/**
+ * Encode an object as binary KeyValues, without the closing end byte
+ * @param {Object} data - Strings, 32-bit integers (numbers), 64-bit integers (BigInts) and sections
+ * @param {Array<string>|null} stringTable - Key table to add keys to, or null to write keys inline
+ * @returns {Buffer} The encoded entries
+ */
+function encode(data, stringTable) {
+  const key = (name) => {
+    if (!stringTable) {
+      return Buffer.from(`${name}\0`);
+    }
+
+    if (!stringTable.includes(name)) {
+      stringTable.push(name);
+    }
+
+    const index = Buffer.alloc(4);
+    index.writeUInt32LE(stringTable.indexOf(name));
+    return index;
+  };
+
+  return Buffer.concat(
+    Object.entries(data).flatMap(([name, value]) => {
+      if (typeof value === "bigint") {
+        const number = Buffer.alloc(8);
+        number.writeBigUInt64LE(value);
+        return [Buffer.from([0x07]), key(name), number];
+      }
+
+      if (typeof value === "number") {
+        const number = Buffer.alloc(4);
+        number.writeInt32LE(value);
+        return [Buffer.from([0x02]), key(name), number];
+      }
+
+      if (typeof value === "object") {
+        return [
+          Buffer.from([0x00]),
+          key(name),
+          encode(value, stringTable),
+          Buffer.from([0x08]),
+        ];
+      }
+
+      return [Buffer.from([0x01]), key(name), Buffer.from(`${value}\0`)];
+    })
+  );
+}
+
+/**
+ * Build the bytes of an appinfo.vdf file
+ * @param {number} version - 27, 28 or 29
+ * @param {Array<Object>} apps - Apps with appId, changeNumber and data
+ * @returns {Buffer} The file contents
+ */
+function buildAppInfo(version, apps) {
+  const stringTable = version >= 29 ? [] : null;
+  const entries = apps.map((app) => {
+    const data = Buffer.concat([
+      encode(app.data, stringTable),
+      Buffer.from([0x08]),
+    ]);
+    const fields = Buffer.alloc(version >= 28 ? 60 : 40);
+    fields.writeUInt32LE(2, 0);
+    fields.writeUInt32LE(1700000000, 4);
+    fields.writeBigUInt64LE(123n, 8);
+    fields.fill(0xab, 16, 36);
+    fields.writeUInt32LE(app.changeNumber, 36);
+
+    const start = Buffer.alloc(8);
+    start.writeUInt32LE(app.appId, 0);
+    start.writeUInt32LE(fields.length + data.length, 4);
+    return Buffer.concat([start, fields, data]);
+  });
+
+  const header = Buffer.alloc(version >= 29 ? 16 : 8);
+  header.writeUInt32LE(MAGIC[version], 0);
+  header.writeUInt32LE(1, 4);
+
+  const body = Buffer.concat([header, ...entries, Buffer.alloc(4)]);
+
+  if (!stringTable) {
+    return body;
+  }
+
+  header.writeBigInt64LE(BigInt(body.length), 8);
+  const count = Buffer.alloc(4);
+  count.writeUInt32LE(stringTable.length);
+
+  return Buffer.concat([
+    header,
+    ...entries,
+    Buffer.alloc(4),
+    count,
+    ...stringTable.map((name) => Buffer.from(`${name}\0`)),
+  ]);
+}
+
+const GAME = {
+  appinfo: {
+    appid: 5,
+    common: { name: "Test Game", type: "Game" },
+    depots: {
+      6: {
+        name: "Content",
+        manifests: { public: { gid: 8881193748180768755n } },
+      },
+      branches: { public: { buildid: "20" } },
+    },
+  },
+};
+
+const OTHER = { appinfo: { appid: 7, common: { name: "Other" } } };
+
+/**
+ * Write an appinfo.vdf file to a temporary directory
+ * @param {number} version - The file version
+ * @returns {string} Path to the file
+ */
+function writeAppInfo(version) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "appinfo-"));
+  const filePath = path.join(dir, "appinfo.vdf");
+
+  fs.writeFileSync(
+    filePath,
+    buildAppInfo(version, [
+      { appId: 7, changeNumber: 5, data: OTHER },
+      { appId: 5, changeNumber: 999, data: GAME },
+    ])
+  );
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  return filePath;
+}
+
+for (const version of [27, 28, 29]) {
+  test(`lists the apps of a version ${version} file`, async () => {
+    const apps = await new AppInfoFile(writeAppInfo(version)).listApps();
+
+    assert.deepEqual(
+      apps.map((app) => [app.appId, app.changeNumber, app.lastUpdated]),
+      [
+        [7, 5, 1700000000],
+        [5, 999, 1700000000],
+      ]
+    );
+    assert.equal(apps[0].picsToken, "123");
+    assert.equal(apps[0].sha1, "ab".repeat(20));
+    assert.equal(apps[0].binarySha1 === null, version === 27);
+  });
+
+  test(`reads one app of a version ${version} file as strings`, async () => {
+    const app = await new AppInfoFile(writeAppInfo(version)).getApp(5);
+
+    assert.deepEqual(app.data, {
+      appinfo: {
+        appid: "5",
+        common: { name: "Test Game", type: "Game" },
+        depots: {
+          6: {
+            name: "Content",
+            manifests: { public: { gid: "8881193748180768755" } },
+          },
+          branches: { public: { buildid: "20" } },
+        },
+      },
+    });
+  });
+}
+
+test("returns null for an app the file does not have", async () => {
+  const file = new AppInfoFile(writeAppInfo(29));
+
+  assert.equal(await file.getApp(8), null);
+});
+
+test("rejects files that are not appinfo.vdf", async () => {
+  const filePath = writeAppInfo(28);
+  fs.writeFileSync(filePath, '"AppState"\n{\n}\n');
+
+  await assert.rejects(
+    new AppInfoFile(filePath).getApp(5),
+    /Unsupported appinfo.vdf format/
+  );
+});
+
+test("BinaryVDF keeps every digit of 64-bit values", () => {
+  const buffer = Buffer.concat([
+    encode({ gid: 18446744073709551615n, size: -1 }, null),
+    Buffer.from([0x08]),
+  ]);
+
+  assert.deepEqual(BinaryVDF.parse(buffer), {
+    data: { gid: "18446744073709551615", size: "-1" },
+    offset: buffer.length,
+  });
+});
+
+test("BinaryVDF rejects unknown types and truncated data", () => {
+  assert.throws(
+    () => BinaryVDF.parse(Buffer.from([0x09, 0x61, 0x00])),
+    /Unknown type 0x9/
+  );
+  assert.throws(
+    () => BinaryVDF.parse(Buffer.from([0x01, 0x61, 0x00, 0x62])),
+    /Unterminated string/
+  );
+  assert.throws(
+    () => BinaryVDF.parse(Buffer.from([0x00, 0x61, 0x00])),
+    /Unexpected end/
+  );
+});
@@ -0,0 +1,128 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const DepotApplier = require("../lib/DepotApplier");
+
+/**
+ * Format a time as a console log timestamp, in local time
+ * @param {Date} date - The time
+ * @returns {string} Timestamp such as [2024-05-01 10:00:00]
+ */
+function timestamp(date) {
+  const pad = (number) => String(number).padStart(2, "0");
+
+  return (
+    `[${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+      date.getDate()
+    )} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(
+      date.getSeconds()
+    )}]`
+  );
+}
+
+/**
+ * Create a Steam root with a downloaded depot folder changed at a given time
+ * @param {Date} changedAt - Modification time of the depot folder
+ * @returns {Object} steamRoot and sourceDir
+ */
+function createDownload(changedAt) {
+  const steamRoot = fs.mkdtempSync(path.join(os.tmpdir(), "steam-"));
+  const sourceDir = path.join(
+    steamRoot,
+    "steamapps",
+    "content",
+    "app_5",
+    "depot_6"
+  );
+
+  fs.mkdirSync(sourceDir, { recursive: true });
+  fs.writeFileSync(path.join(sourceDir, "game.exe"), "new");
+  fs.utimesSync(sourceDir, changedAt, changedAt);
+  test.after(() => fs.rmSync(steamRoot, { recursive: true, force: true }));
+
+  return { steamRoot, sourceDir };
+}
+
+/**
+ * Write Steam's console log
+ * @param {string} steamRoot - The Steam root
+ * @param {Array<string>} lines - The log lines
+ */
+function writeLog(steamRoot, lines) {
+  fs.mkdirSync(path.join(steamRoot, "logs"), { recursive: true });
+  fs.writeFileSync(
+    path.join(steamRoot, "logs", "console_log.txt"),
+    lines.join("\n")
+  );
+}
+
+const STARTED = new Date(2024, 4, 1, 10, 0, 0, 500);
+const applier = new DepotApplier();
+
+test("counts a completion logged after the folder changed", async () => {
+  const { steamRoot, sourceDir } = createDownload(STARTED);
+  writeLog(steamRoot, [
+    `${timestamp(new Date(2024, 4, 1, 9, 0))} Downloading depot 6 (1.5 MB)`,
+    `${timestamp(STARTED)} Depot download complete : "${sourceDir}" ` +
+      "(1 files, manifest 99)",
+  ]);
+
+  assert.equal(await applier.isMarkedComplete(sourceDir, steamRoot), true);
+  await applier.validateSource(sourceDir, { steamRoot });
+});
+
+test("ignores completions of an earlier download of the depot", async () => {
+  const { steamRoot, sourceDir } = createDownload(STARTED);
+  writeLog(steamRoot, [
+    `${timestamp(new Date(2024, 4, 1, 9, 59, 59))} Depot download complete : ` +
+      `"${sourceDir}" (1 files, manifest 98)`,
+  ]);
+
+  assert.equal(await applier.isMarkedComplete(sourceDir, steamRoot), false);
+  await assert.rejects(
+    applier.validateSource(sourceDir, { steamRoot }),
+    /has not reported the download .* as complete/
+  );
+});
+
+test("ignores completions of other depots", async () => {
+  const { steamRoot, sourceDir } = createDownload(STARTED);
+  writeLog(steamRoot, [
+    `${timestamp(new Date(2024, 4, 1, 11, 0))} Depot download complete : ` +
+      `"${sourceDir}7"`,
+  ]);
+
+  assert.equal(await applier.isMarkedComplete(sourceDir, steamRoot), false);
+});
+
+test("needs --force when there is no console log", async () => {
+  const { steamRoot, sourceDir } = createDownload(STARTED);
+
+  assert.equal(await applier.isMarkedComplete(sourceDir, steamRoot), null);
+  await assert.rejects(
+    applier.validateSource(sourceDir, { steamRoot }),
+    /console log was not found/
+  );
+  await assert.rejects(
+    applier.validateSource(sourceDir, {}),
+    /console log was not found/
+  );
+  await applier.validateSource(sourceDir, { steamRoot, force: true });
+});
+
+test("rejects missing and empty download folders", async () => {
+  const { steamRoot, sourceDir } = createDownload(STARTED);
+
+  await assert.rejects(
+    applier.validateSource(path.join(steamRoot, "missing"), { force: true }),
+    /Downloaded depot not found/
+  );
+  fs.rmSync(path.join(sourceDir, "game.exe"));
+  await assert.rejects(
+    applier.validateSource(sourceDir, { force: true }),
+    /is empty/
+  );
+});
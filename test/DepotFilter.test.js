@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const DepotFilter = require("../lib/DepotFilter");
+const Platform = require("../lib/Platform");
+
+const DEPOTS = [
+  { id: 1, name: "Content" },
+  { id: 2, name: "Windows", rawData: { config: { oslist: "windows" } } },
+  {
+    id: 3,
+    name: "Mac and Linux",
+    rawData: { config: { oslist: "macos, linux" } },
+  },
+  { id: 4, name: "Linux by type", osType: "Linux" },
+  { id: 5, name: "German", language: "German" },
+  { id: 6, name: "DLC", dlcAppId: 100 },
+  { id: 7, name: "Soundtrack", optional: true },
+];
+
+/**
+ * List the IDs of the depots a filter keeps
+ * @param {Object} options - DepotFilter options
+ * @returns {Array<number>} The depot IDs
+ */
+function kept(options) {
+  return new DepotFilter(options).apply(DEPOTS).map((depot) => depot.id);
+}
+
+test("hides DLC and optional depots unless asked for", () => {
+  assert.deepEqual(kept({}), [1, 2, 3, 4, 5]);
+  assert.deepEqual(kept({ includeDlc: true }), [1, 2, 3, 4, 5, 6]);
+  assert.deepEqual(kept({ includeOptional: true }), [1, 2, 3, 4, 5, 7]);
+});
+
+test("keeps depots for the OS asked for and for every OS", () => {
+  assert.deepEqual(kept({ os: "win" }), [1, 2, 5]);
+  assert.deepEqual(kept({ os: "osx" }), [1, 3, 5]);
+  assert.deepEqual(kept({ os: "LINUX" }), [1, 3, 4, 5]);
+});
+
+test("keeps depots for the language asked for and for every language", () => {
+  assert.deepEqual(kept({ language: "german" }), [1, 2, 3, 4, 5]);
+  assert.deepEqual(kept({ language: "English" }), [1, 2, 3, 4]);
+  assert.deepEqual(kept({ os: "windows", language: "english" }), [1, 2]);
+});
+
+test("maps OS names to Steam's", () => {
+  assert.equal(DepotFilter.normalizeOs("Mac"), "macos");
+  assert.equal(DepotFilter.normalizeOs("amiga"), null);
+  assert.deepEqual(DepotFilter.getOsList(DEPOTS[2]), ["macos", "linux"]);
+  assert.deepEqual(DepotFilter.getOsList(DEPOTS[0]), []);
+});
+
+test("preselects this computer's OS in English without filters", () => {
+  const preferred = DEPOTS.filter((depot) =>
+    new DepotFilter().isPreferred(depot)
+  ).map((depot) => depot.id);
+  const forHost = { windows: [2], macos: [3], linux: [3, 4] }[
+    Platform.getName()
+  ];
+
+  assert.deepEqual(preferred, [1, ...forHost, 6, 7]);
+  assert.equal(
+    new DepotFilter({ os: "windows", language: "german" }).isPreferred(
+      DEPOTS[4]
+    ),
+    true
+  );
+});
@@ -0,0 +1,38 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const DownloadMonitor = require("../lib/DownloadMonitor");
+
+const monitor = new DownloadMonitor({ steamRoot: "/steam" });
+
+/**
+ * Build the console line Steam prints when a depot download finishes
+ * @param {string} folder - Name of the downloaded depot folder
+ * @returns {string} The log line
+ */
+function completeLine(folder) {
+  const folderPath = path.join(
+    "/steam",
+    "steamapps",
+    "content",
+    "app_1230",
+    folder
+  );
+  return `[2024-05-01 10:00:00] Depot download complete : "${folderPath}" (12 files, manifest 888)`;
+}
+
+test("reports the completion of the awaited depot", () => {
+  assert.deepEqual(monitor.parseLine(completeLine("depot_1234"), 1230, 1234), {
+    type: "complete",
+    path: path.join("/steam", "steamapps", "content", "app_1230", "depot_1234"),
+    files: 12,
+    manifestId: "888",
+  });
+});
+
+test("ignores depots whose ID starts with the awaited one", () => {
+  assert.equal(
+    monitor.parseLine(completeLine("depot_12345"), 1230, 1234),
+    null
+  );
+});
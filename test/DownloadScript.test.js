@@ -0,0 +1,100 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const childProcess = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const DownloadScript = require("../lib/DownloadScript");
+
+const OPTIONS = {
+  appId: 413150,
+  name: "Stardew Valley",
+  dir: 'C:\\Games\\Bob\'s 100% "fast" & <new>\\',
+  downloads: [
+    {
+      depotId: 413151,
+      manifestId: "8881193748180768755",
+      os: "windows",
+      language: null,
+      branch: "it's-$HOME-`x`",
+    },
+  ],
+};
+
+test("picks the format from the file extension", () => {
+  assert.equal(DownloadScript.getFormatForFile("get.SH"), "bash");
+  assert.equal(DownloadScript.getFormatForFile("get.ps1"), "powershell");
+  assert.equal(DownloadScript.getFormatForFile("get.cmd"), "batch");
+  assert.equal(DownloadScript.getFormatForFile("get.txt"), null);
+});
+
+test("passes every value to DepotDownloader unchanged from bash", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "script-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // Stands in for DepotDownloader, printing one argument per line
+  const printArgs = path.join(dir, "print-args");
+  fs.writeFileSync(printArgs, '#!/bin/sh\nprintf "%s\\n" "$@"\n', {
+    mode: 0o755,
+  });
+
+  const scriptPath = path.join(dir, "get.sh");
+  fs.writeFileSync(scriptPath, DownloadScript.generate("bash", OPTIONS));
+
+  const result = childProcess.spawnSync("bash", [scriptPath], {
+    encoding: "utf8",
+    env: { PATH: process.env.PATH, DEPOTDOWNLOADER: printArgs },
+  });
+
+  assert.equal(result.status, 0, result.stderr);
+  assert.deepEqual(result.stdout.trimEnd().split("\n"), [
+    "-app",
+    "413150",
+    "-depot",
+    "413151",
+    "-manifest",
+    "8881193748180768755",
+    "-os",
+    "windows",
+    "-beta",
+    "it's-$HOME-`x`",
+    "-dir",
+    'C:/Games/Bob\'s 100% "fast" & <new>/413150/413151/8881193748180768755',
+  ]);
+});
+
+test("single-quotes values in PowerShell scripts", () => {
+  const script = DownloadScript.generate("powershell", {
+    ...OPTIONS,
+    downloads: [{ ...OPTIONS.downloads[0], branch: "it\u2019s $env:X" }],
+  });
+
+  assert.match(
+    script,
+    /-beta 'it\u2019\u2019s \$env:X' -dir 'C:\\Games\\Bob''s 100% "fast" & <new>\\413150\\413151\\8881193748180768755' @Login\r\n/
+  );
+});
+
+test("doubles percent signs in batch scripts", () => {
+  const script = DownloadScript.generate("batch", {
+    ...OPTIONS,
+    dir: "C:\\Games\\50% ^off & <more>",
+  });
+
+  assert.ok(
+    script.includes(
+      `-beta "it's-$HOME-\`x\`" -dir "C:\\Games\\50%% ^off & <more>\\413150\\413151\\8881193748180768755" %LOGIN%\r\n`
+    )
+  );
+});
+
+test("refuses values a batch script cannot quote", () => {
+  assert.throws(
+    () => DownloadScript.generate("batch", OPTIONS),
+    /Cannot quote .* for a batch script/
+  );
+  assert.throws(
+    () => DownloadScript.generate("fish", OPTIONS),
+    /Unknown script format: fish/
+  );
+});
@@ -0,0 +1,125 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Lockfile = require("../lib/Lockfile");
+const { ConfigError } = require("../lib/Errors");
+
+const APP = { appid: 413150, name: "Stardew Valley" };
+
+const SELECTIONS = [
+  {
+    depot: { id: "413151", name: "Stardew Valley Windows" },
+    manifest: {
+      manifestId: "18446744073709551615",
+      buildId: 8071262,
+      branch: "public",
+    },
+  },
+];
+
+/**
+ * Check that lockfile data is rejected with a message
+ * @param {Object} lock - The lockfile data
+ * @param {RegExp} message - Pattern the error message must match
+ */
+function assertInvalid(lock, message) {
+  assert.throws(
+    () => Lockfile.validate(lock, "stardew.json"),
+    (error) => error instanceof ConfigError && message.test(error.message)
+  );
+}
+
+test("writes a selection and reads it back unchanged", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "lockfile-"));
+  const filePath = path.join(dir, "stardew.json");
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const lock = Lockfile.create(APP, SELECTIONS);
+  Lockfile.write(filePath, lock);
+
+  assert.deepEqual(Lockfile.read(filePath), lock);
+  assert.deepEqual(lock.depots, [
+    {
+      depotId: 413151,
+      name: "Stardew Valley Windows",
+      manifestId: "18446744073709551615",
+      buildId: "8071262",
+      branch: "public",
+    },
+  ]);
+});
+
+test("rejects manifest IDs that are not strings of digits", () => {
+  const lock = Lockfile.create(APP, SELECTIONS);
+
+  lock.depots[0].manifestId = 8881193748180768000;
+  assertInvalid(lock, /depots\[0\] needs .* a manifestId string of digits/);
+
+  lock.depots[0].manifestId = "abc";
+  assertInvalid(lock, /depots\[0\] needs/);
+});
+
+test("rejects lockfiles of the wrong shape", () => {
+  const lock = Lockfile.create(APP, SELECTIONS);
+
+  assertInvalid(null, /expected an object/);
+  assertInvalid(
+    { ...lock, lockfileVersion: 2 },
+    /unsupported lockfileVersion 2/
+  );
+  assertInvalid({ ...lock, appId: "413150" }, /"appId" must be/);
+  assertInvalid({ ...lock, depots: [] }, /non-empty "depots"/);
+  assertInvalid(
+    { ...lock, depots: [{ ...lock.depots[0], depotId: "413151" }] },
+    /depots\[0\] needs a numeric depotId/
+  );
+});
+
+test("reports a missing lockfile as a config error", () => {
+  assert.throws(
+    () => Lockfile.read(path.join(os.tmpdir(), "no-such-lockfile.json")),
+    (error) =>
+      error instanceof ConfigError && /does not exist/.test(error.message)
+  );
+});
+
+test("checks depots against the app's manifests", async () => {
+  const lock = Lockfile.create(APP, [
+    ...SELECTIONS,
+    {
+      depot: { id: "413152" },
+      manifest: { manifestId: "2", buildId: null, branch: null },
+    },
+    {
+      depot: { id: "413153" },
+      manifest: { manifestId: "3", buildId: null, branch: null },
+    },
+    {
+      depot: { id: "999" },
+      manifest: { manifestId: "4", buildId: null, branch: null },
+    },
+  ]);
+  const steamClient = {
+    getGameDepots: async () => [{ id: 413151 }, { id: 413152 }, { id: 413153 }],
+    getDepotManifests: async (appId, depotId) =>
+      ({
+        413151: [{ manifestId: "18446744073709551615" }],
+        413152: [{ manifestId: "2", isHistorical: true }],
+        413153: [],
+      }[depotId]),
+  };
+
+  const checked = await Lockfile.check(lock, steamClient);
+
+  assert.deepEqual(
+    checked.map((depot) => [depot.depotId, depot.status]),
+    [
+      [413151, "current"],
+      [413152, "historical"],
+      [413153, "unlisted"],
+      [999, "missing"],
+    ]
+  );
+});
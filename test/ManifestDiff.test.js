@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const ManifestDiff = require("../lib/ManifestDiff");
+
+const OLD_FILES = [
+  { path: "Game.exe", size: 1000, sha: "aa" },
+  { path: "Content/Level1.pak", size: 5000, sha: "bb" },
+  { path: "Content/Old.pak", size: 300, sha: "cc" },
+  { path: "readme.txt", size: 10, sha: "dd" },
+];
+
+const NEW_FILES = [
+  { path: "game.exe", size: 1200, sha: "ab" },
+  { path: "Content/Level1.pak", size: 5000, sha: "bb" },
+  { path: "Content/Level2.pak", size: 700, sha: "ee" },
+  { path: "README.TXT", size: 10, sha: "dd" },
+];
+
+test("sorts files into added, removed, modified and unchanged", () => {
+  const diff = ManifestDiff.compare(OLD_FILES, NEW_FILES);
+
+  assert.deepEqual(diff, {
+    added: [
+      {
+        change: "added",
+        path: "Content/Level2.pak",
+        oldSize: null,
+        newSize: 700,
+        deltaBytes: 700,
+      },
+    ],
+    removed: [
+      {
+        change: "removed",
+        path: "Content/Old.pak",
+        oldSize: 300,
+        newSize: null,
+        deltaBytes: -300,
+      },
+    ],
+    modified: [
+      {
+        change: "modified",
+        path: "game.exe",
+        oldSize: 1000,
+        newSize: 1200,
+        deltaBytes: 200,
+      },
+    ],
+    unchanged: 2,
+    deltaBytes: 600,
+  });
+});
+
+test("finds no changes between a manifest and itself", () => {
+  const diff = ManifestDiff.compare(OLD_FILES, OLD_FILES);
+
+  assert.deepEqual(
+    [diff.added, diff.removed, diff.modified, diff.unchanged, diff.deltaBytes],
+    [[], [], [], 4, 0]
+  );
+});
+
+test("counts a file whose content changed but not its size", () => {
+  const diff = ManifestDiff.compare(
+    [{ path: "a.dat", size: 4, sha: "11" }],
+    [{ path: "a.dat", size: 4, sha: "22" }]
+  );
+
+  assert.equal(diff.modified.length, 1);
+  assert.equal(diff.deltaBytes, 0);
+});
@@ -0,0 +1,139 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ManifestHistory = require("../lib/ManifestHistory");
+const SteamClient = require("../lib/SteamClient");
+
+/**
+ * Create a history in a temporary file
+ * @returns {ManifestHistory} The history
+ */
+function createHistory() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "history-"));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  return new ManifestHistory({
+    filePath: path.join(dir, "manifest-history.json"),
+  });
+}
+
+/**
+ * Build the product info of app 5 with its public branch at a build
+ * @param {string} buildId - The public build
+ * @param {Object} manifests - Manifest ID of each depot
+ * @returns {Object} Product info as cached
+ */
+function productInfo(buildId, manifests) {
+  const depots = { branches: { public: { buildid: buildId } } };
+
+  for (const depotId of Object.keys(manifests)) {
+    depots[depotId] = {
+      name: `Depot ${depotId}`,
+      manifests: { public: { gid: manifests[depotId] } },
+    };
+  }
+
+  return {
+    changenumber: Number(buildId),
+    appinfo: { appid: "5", depots },
+    fetchedAt: 0,
+  };
+}
+
+/**
+ * Create an offline client that sees app 5 as given
+ * @param {ManifestHistory} history - The history to record to
+ * @param {Object} info - Product info from productInfo
+ * @returns {SteamClient} The client
+ */
+function createClient(history, info) {
+  return new SteamClient({
+    history,
+    offline: true,
+    cache: { get: () => info },
+  });
+}
+
+test("keeps every build a manifest is seen in", () => {
+  const history = createHistory();
+
+  history.record(5, 6, [{ manifestId: "100", buildId: "10" }]);
+  history.record(5, 6, [{ manifestId: "100", buildId: "11" }]);
+  history.record(5, 6, [{ manifestId: "100", buildId: "11" }]);
+
+  history.reload();
+  const [entry] = history.getManifests(5, 6);
+  assert.equal(entry.buildId, "10");
+  assert.deepEqual(entry.buildIds, ["10", "11"]);
+  assert.equal(history.findBuild(5, 6, "11").manifestId, "100");
+  assert.equal(history.findBuild(5, 6, "12"), null);
+});
+
+test("finds builds in entries recorded without buildIds", () => {
+  const history = createHistory();
+  history.load().apps[5] = {
+    depots: {
+      6: { 100: { manifestId: "100", buildId: "10", firstSeen: 1 } },
+    },
+  };
+
+  assert.equal(history.findBuild(5, 6, "10").manifestId, "100");
+
+  history.record(5, 6, [{ manifestId: "100", buildId: "11" }]);
+  assert.deepEqual(history.findBuild(5, 6, "11").buildIds, ["10", "11"]);
+});
+
+test("resolves old builds of depots that kept their manifest", async () => {
+  const history = createHistory();
+
+  // Build 11 changed depot 6 only, and build 12 changed it again
+  await createClient(
+    history,
+    productInfo("10", { 6: "100", 7: "700" })
+  ).getBuildManifests(5, "public");
+  await createClient(
+    history,
+    productInfo("11", { 6: "101", 7: "700" })
+  ).getBuildManifests(5, "public");
+
+  const client = createClient(
+    history,
+    productInfo("12", { 6: "102", 7: "700" })
+  );
+  const manifestsAt = async (build) => {
+    const resolved = await client.getBuildManifests(5, build);
+    return [
+      resolved.branch,
+      resolved.depots.map((depot) => [depot.id, depot.manifestId]),
+      resolved.missing.map((depot) => depot.id),
+    ];
+  };
+
+  assert.deepEqual(await manifestsAt("10"), [
+    null,
+    [
+      ["6", "100"],
+      ["7", "700"],
+    ],
+    [],
+  ]);
+  assert.deepEqual(await manifestsAt("11"), [
+    null,
+    [
+      ["6", "101"],
+      ["7", "700"],
+    ],
+    [],
+  ]);
+  assert.deepEqual(await manifestsAt("12"), [
+    "public",
+    [
+      ["6", "102"],
+      ["7", "700"],
+    ],
+    [],
+  ]);
+  assert.equal(await client.getBuildManifests(5, "9"), null);
+});
@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const SteamCdnClient = require("../lib/SteamCdnClient");
+const { RequestError } = require("../lib/Errors");
+
+/**
+ * Create a steam-user stand-in that hands out numbered tokens
+ * @param {number} lifetime - Milliseconds each token is valid for
+ * @returns {Object} The client, with the calls it received
+ */
+function createSteamUser(lifetime) {
+  const calls = [];
+
+  return {
+    calls,
+    getContentServers: async () => ({
+      servers: [
+        { Host: "cache1.example", vhost: "cdn.example", usetokenauth: "1" },
+        { Host: "cache2.example", https_support: "mandatory" },
+      ],
+    }),
+    getCDNAuthToken: async (appId, depotId, hostname) => {
+      calls.push([appId, depotId, hostname]);
+      return {
+        token: `?token=${calls.length}`,
+        expires: new Date(Date.now() + lifetime),
+      };
+    },
+  };
+}
+
+test("keeps the virtual host and token auth of each server", async () => {
+  const cdn = new SteamCdnClient({ steamUser: createSteamUser(60000) });
+
+  assert.deepEqual(await cdn.getServers(5), [
+    {
+      url: "http://cache1.example",
+      host: "cdn.example",
+      appId: 5,
+      usesTokenAuth: true,
+    },
+    {
+      url: "https://cache2.example",
+      host: "cache2.example",
+      appId: 5,
+      usesTokenAuth: false,
+    },
+  ]);
+});
+
+test("reuses auth tokens per depot and host until they expire", async () => {
+  const steamUser = createSteamUser(60000);
+  const cdn = new SteamCdnClient({ steamUser });
+  const [server] = await cdn.getServers(5);
+
+  const tokens = await Promise.all([
+    cdn.getAuthToken(server, 6),
+    cdn.getAuthToken(server, 6),
+    cdn.getAuthToken(server, 7),
+  ]);
+
+  assert.deepEqual(tokens, ["?token=1", "?token=1", "?token=2"]);
+  assert.deepEqual(steamUser.calls, [
+    [5, 6, "cdn.example"],
+    [5, 7, "cdn.example"],
+  ]);
+});
+
+test("requests a new token once the old one has expired", async () => {
+  const steamUser = createSteamUser(-1);
+  const cdn = new SteamCdnClient({ steamUser });
+  const [server] = await cdn.getServers(5);
+
+  assert.equal(await cdn.getAuthToken(server, 6), "?token=1");
+  assert.equal(await cdn.getAuthToken(server, 6), "?token=2");
+});
+
+test("reports and forgets failed token requests", async () => {
+  const steamUser = createSteamUser(60000);
+  const cdn = new SteamCdnClient({ steamUser });
+  const [server] = await cdn.getServers(5);
+  const getCDNAuthToken = steamUser.getCDNAuthToken;
+
+  steamUser.getCDNAuthToken = async () => {
+    throw new Error("AccessDenied");
+  };
+  await assert.rejects(
+    cdn.getAuthToken(server, 6),
+    (error) =>
+      error instanceof RequestError && /AccessDenied/.test(error.message)
+  );
+
+  steamUser.getCDNAuthToken = getCDNAuthToken;
+  assert.equal(await cdn.getAuthToken(server, 6), "?token=1");
+});
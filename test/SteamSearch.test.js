@@ -0,0 +1,133 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const SteamSearch = require("../lib/SteamSearch");
+const { NotFoundError } = require("../lib/Errors");
+
+const RESULTS_HTML = `
+<a href="https://store.steampowered.com/app/10/" data-ds-appid="10" data-ds-itemkey="App_10" class="search_result_row">
+  <div class="search_capsule"><img src="https://cdn.example/10.jpg"></div>
+  <div class="responsive_search_name_combined">
+    <div class="search_name"><span class="title">Counter-Strike &amp; Friends&#39; &quot;Edition&quot; &eacute;t&#233;</span></div>
+    <div class="search_price_discount_combined" data-price-final="799">
+      <div class="search_discount_and_price"><div class="discount_block" data-discount="20"></div></div>
+    </div>
+  </div>
+</a>
+<a href="https://store.steampowered.com/sub/7/" data-ds-appid="10,20" data-ds-packageid="7" class="search_result_row">
+  <span class="title">Bundle</span>
+</a>
+<a href="https://store.steampowered.com/app/20/" data-ds-appid="20" class="search_result_row">
+  <span class="title">Free Game</span>
+</a>`;
+
+/**
+ * Create a search whose store requests are answered by a function
+ * @param {Function} respond - Called with (url, params), returns the response data
+ * @param {Object} [options] - More SteamSearch options
+ * @returns {SteamSearch} The search
+ */
+function createSearch(respond, options = {}) {
+  const search = new SteamSearch(options);
+  search.request = async (url, params) => respond(url, params);
+  return search;
+}
+
+test("reads apps out of the store's search results", async () => {
+  const search = createSearch(() => ({
+    results_html: RESULTS_HTML,
+    total_count: 3,
+  }));
+
+  assert.deepEqual(await search.searchGames("counter"), [
+    {
+      appid: 10,
+      name: 'Counter-Strike & Friends\' "Edition" été',
+      type: null,
+      price: 7.99,
+      discount: 20,
+      image: "https://cdn.example/10.jpg",
+    },
+    {
+      appid: 20,
+      name: "Free Game",
+      type: null,
+      price: 0,
+      discount: 0,
+      image: null,
+    },
+  ]);
+});
+
+test("gives results the type that was searched for", async () => {
+  const search = createSearch((url, params) => {
+    assert.equal(params.category1, 21);
+    return { results_html: RESULTS_HTML, total_count: 3 };
+  });
+
+  const apps = await search.searchGames("counter", { type: "dlc" });
+
+  assert.deepEqual(
+    apps.map((app) => app.type),
+    ["dlc", "dlc"]
+  );
+});
+
+test("asks the store in the language given", async () => {
+  const search = createSearch((url, params) => {
+    assert.equal(params.l, "german");
+    assert.equal(params.cc, "DE");
+    return { 10: { success: true, data: { name: "Spiel", type: "game" } } };
+  });
+
+  const [app] = await search.searchGames("10", {
+    country: "de",
+    language: "german",
+  });
+
+  assert.equal(app.name, "Spiel");
+});
+
+test("reads apps without a store page from Steam's product info", async () => {
+  const calls = [];
+  const steamClient = {
+    isLoggedOn: () => false,
+    login: async () => calls.push("login"),
+    logout: () => calls.push("logout"),
+    getProductInfo: async (appId) => {
+      calls.push(`info ${appId}`);
+      return {
+        appinfo: { common: { name: "Dedicated Server", type: "Tool" } },
+      };
+    },
+  };
+  const search = createSearch(() => ({ 90: { success: false } }), {
+    steamClient,
+  });
+
+  assert.deepEqual(await search.searchGames("90"), [
+    {
+      appid: 90,
+      name: "Dedicated Server",
+      type: "tool",
+      price: null,
+      discount: null,
+      image: null,
+    },
+  ]);
+  assert.deepEqual(calls, ["login", "info 90", "logout"]);
+});
+
+test("finds nothing when Steam does not know the app either", async () => {
+  const steamClient = {
+    isLoggedOn: () => true,
+    getProductInfo: async () => {
+      throw new NotFoundError("No product information found for app 91.");
+    },
+  };
+  const search = createSearch(() => ({ 91: { success: false } }), {
+    steamClient,
+  });
+
+  assert.deepEqual(await search.searchGames("91"), []);
+  assert.deepEqual(await createSearch(() => null).searchGames("91"), []);
+});
@@ -0,0 +1,155 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { VDF, VdfDocument } = require("../lib/vdf");
+
+const LIBRARY_FOLDERS = `// Written by Steam
+"libraryfolders"
+{
+	"1"
+	{
+		"path"		"C:\\\\Program Files (x86)\\\\Steam"
+		"apps"
+		{
+			"228980"		"100"
+			"10"		"5" // ten
+		}
+	}
+	"0" { "path" "/x" } [$WIN32]
+	unquoted value
+	"dup"	"a"
+	"dup"	"b"
+	"empty"
+	{
+	}
+}
+`;
+
+test("serializes an unchanged document to the same text", () => {
+  const document = VdfDocument.parse(LIBRARY_FOLDERS);
+
+  assert.equal(document.toString(), LIBRARY_FOLDERS);
+});
+
+test("reads values, unescaping quoted strings", () => {
+  const document = VdfDocument.parse(LIBRARY_FOLDERS);
+
+  assert.equal(
+    document.get("libraryfolders", "1", "path"),
+    "C:\\Program Files (x86)\\Steam"
+  );
+  assert.equal(document.get("LIBRARYFOLDERS", "unquoted"), "value");
+  assert.equal(document.get("libraryfolders", "missing"), undefined);
+});
+
+test("lets later duplicate keys win", () => {
+  const document = VdfDocument.parse(LIBRARY_FOLDERS);
+
+  assert.equal(document.get("libraryfolders", "dup"), "b");
+  assert.equal(document.toObject().libraryfolders.dup, "b");
+});
+
+test("keeps platform conditionals on their nodes", () => {
+  const document = VdfDocument.parse(LIBRARY_FOLDERS);
+
+  assert.equal(document.find("libraryfolders", "0").condition, "$WIN32");
+  assert.equal(document.find("libraryfolders", "1").condition, null);
+});
+
+test("keeps the file order of numeric keys", () => {
+  const document = VdfDocument.parse(LIBRARY_FOLDERS);
+  const apps = document.find("libraryfolders", "1", "apps");
+
+  assert.deepEqual(
+    apps.children.map((node) => node.key),
+    ["228980", "10"]
+  );
+});
+
+test("changes only the value that is set", () => {
+  const document = VdfDocument.parse(LIBRARY_FOLDERS);
+
+  document.set(["libraryfolders", "1", "apps", "10"], "6");
+
+  assert.equal(
+    document.toString(),
+    LIBRARY_FOLDERS.replace('"10"\t\t"5" // ten', '"10"\t\t"6" // ten')
+  );
+});
+
+test("escapes values that are set", () => {
+  const document = VdfDocument.parse(LIBRARY_FOLDERS);
+
+  document.set(["libraryfolders", "1", "label"], 'D:\\Games "fast"');
+
+  assert.match(document.toString(), /"label"\t\t"D:\\\\Games \\"fast\\""/);
+  assert.equal(
+    VdfDocument.parse(document.toString()).get("libraryfolders", "1", "label"),
+    'D:\\Games "fast"'
+  );
+});
+
+test("adds keys and sections with the indentation around them", () => {
+  const document = VdfDocument.parse('"AppState"\n{\n\t"appid"\t\t"5"\n}\n');
+
+  document.set(["AppState", "InstalledDepots", "6", "manifest"], "99");
+
+  assert.equal(
+    document.toString(),
+    '"AppState"\n{\n\t"appid"\t\t"5"\n\t"InstalledDepots"\n\t{\n\t\t"6"\n\t\t{\n\t\t\t"manifest"\t\t"99"\n\t\t}\n\t}\n}\n'
+  );
+});
+
+test("builds a document from empty text", () => {
+  const document = VdfDocument.parse("");
+
+  document.set(["A", "b"], "1");
+
+  assert.equal(document.toString(), '"A"\n{\n\t"b"\t\t"1"\n}');
+});
+
+test("removes a key with its line", () => {
+  const document = VdfDocument.parse(LIBRARY_FOLDERS);
+
+  assert.equal(document.remove("libraryfolders", "unquoted"), true);
+  assert.equal(document.remove("libraryfolders", "unquoted"), false);
+  assert.equal(
+    document.toString(),
+    LIBRARY_FOLDERS.replace("\n\tunquoted value", "")
+  );
+});
+
+test("refuses to set a section to a value", () => {
+  const document = VdfDocument.parse(LIBRARY_FOLDERS);
+
+  assert.throws(
+    () => document.set(["libraryfolders", "1"], "x"),
+    /"1" is a section/
+  );
+});
+
+test("rejects unbalanced braces and missing values", () => {
+  assert.throws(() => VdfDocument.parse("}"), /Unexpected '}'/);
+  assert.throws(() => VdfDocument.parse('"a"'), /Missing value for key "a"/);
+  assert.throws(() => VdfDocument.parse('"a" {'), /Unterminated section/);
+});
+
+test("VDF.stringify output parses back to the same data", () => {
+  const data = {
+    AppState: {
+      appid: "5",
+      installdir: 'C:\\Games\\"Test"',
+      InstalledDepots: { 6: { manifest: "8881193748180768755" } },
+    },
+  };
+
+  assert.deepEqual(VDF.parse(VDF.stringify(data)), data);
+});
+
+test("VDF.get and VDF.set ignore the case of keys", () => {
+  const data = VDF.parse('"AppState" { "BuildID" "1" }');
+
+  VDF.set(data, ["appstate", "buildid"], "2");
+
+  assert.deepEqual(data, { AppState: { BuildID: "2" } });
+  assert.equal(VDF.get(data, "APPSTATE", "buildId"), "2");
+});
@@ -0,0 +1,132 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const VersionConfig = require("../lib/VersionConfig");
+const { ConfigError } = require("../lib/Errors");
+
+/**
+ * Check that an entry is rejected with a message
+ * @param {Object} entry - The app entry
+ * @param {RegExp} message - Pattern the error message must match
+ */
+function assertRejected(entry, message) {
+  assert.throws(
+    () => VersionConfig.parse({ apps: [entry] }, "steam-versions.json"),
+    (error) => error instanceof ConfigError && message.test(error.message)
+  );
+}
+
+test("normalizes each kind of pin", () => {
+  const config = VersionConfig.parse({
+    apps: [
+      { appId: 413150, branch: "public", os: "win", includeDlc: true },
+      { appId: "105600", buildId: 8071262, language: "english" },
+      { appId: 620, name: "Portal 2", depots: { 621: "7339869588166131829" } },
+    ],
+  });
+
+  assert.deepEqual(config.apps, [
+    {
+      appId: 413150,
+      name: null,
+      branch: "public",
+      buildId: null,
+      depots: null,
+      filter: { os: "win", includeDlc: true },
+    },
+    {
+      appId: 105600,
+      name: null,
+      branch: null,
+      buildId: "8071262",
+      depots: null,
+      filter: { language: "english" },
+    },
+    {
+      appId: 620,
+      name: "Portal 2",
+      branch: null,
+      buildId: null,
+      depots: { 621: "7339869588166131829" },
+      filter: {},
+    },
+  ]);
+});
+
+test("keeps every digit of manifest IDs read from a file", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "versions-"));
+  const filePath = path.join(dir, "steam-versions.json");
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  fs.writeFileSync(
+    filePath,
+    '{ "apps": [{ "appId": 620, "depots": { "621": "18446744073709551615" } }] }'
+  );
+
+  assert.deepEqual(VersionConfig.load(filePath).apps[0].depots, {
+    621: "18446744073709551615",
+  });
+});
+
+test("rejects manifest IDs written as JSON numbers", () => {
+  const data = JSON.parse(
+    '{ "apps": [{ "appId": 620, "depots": { "621": 7339869588166131829 } }] }'
+  );
+
+  assert.throws(
+    () => VersionConfig.parse(data, "steam-versions.json"),
+    (error) =>
+      error instanceof ConfigError &&
+      /steam-versions\.json: apps\[0\]: the manifest ID of depot 621 must be a string/.test(
+        error.message
+      )
+  );
+  assertRejected({ appId: 620, depots: { 621: 12 } }, /must be a string/);
+});
+
+test("rejects entries that do not pin exactly one version", () => {
+  assertRejected({ appId: 620 }, /exactly one of/);
+  assertRejected(
+    { appId: 620, branch: "public", buildId: "1" },
+    /exactly one of/
+  );
+  assertRejected({ appId: "x", branch: "public" }, /"appId" must be a numeric/);
+  assertRejected({ appId: 620, buildId: "latest" }, /"buildId" must be/);
+  assertRejected({ appId: 620, depots: {} }, /"depots" must map/);
+  assertRejected({ appId: 620, depots: { x: "1" } }, /"depots" must map/);
+});
+
+test("rejects fields of the wrong type", () => {
+  assertRejected({ appId: 620, branch: 5 }, /"branch" must be a non-empty/);
+  assertRejected({ appId: 620, branch: " " }, /"branch" must be a non-empty/);
+  assertRejected({ appId: 620, branch: "public", name: 5 }, /"name" must be/);
+  assertRejected(
+    { appId: 620, branch: "public", os: ["windows"] },
+    /"os" must be a string/
+  );
+  assertRejected(
+    { appId: 620, branch: "public", os: "amiga" },
+    /"os" must be windows, macos or linux/
+  );
+  assertRejected(
+    { appId: 620, branch: "public", language: true },
+    /"language" must be a string/
+  );
+  assertRejected(
+    { appId: 620, branch: "public", language: "" },
+    /"language" must not be empty/
+  );
+  assertRejected(
+    { appId: 620, branch: "public", includeDlc: "yes" },
+    /"includeDlc" must be a boolean/
+  );
+});
+
+test("rejects files without an apps array", () => {
+  assert.throws(
+    () => VersionConfig.parse({ apps: {} }, "steam-versions.json"),
+    /steam-versions\.json: expected an "apps" array/
+  );
+});
@@ -0,0 +1,198 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ManifestHistory = require("../lib/ManifestHistory");
+const SteamClient = require("../lib/SteamClient");
+const VersionSync = require("../lib/VersionSync");
+
+const DEPOTS = [
+  { id: 621, name: "Content", language: null, osType: null },
+  { id: 622, name: "Windows Binaries", language: null, osType: "windows" },
+  { id: 623, name: "German", language: "german", osType: null },
+  { id: 624, name: "Soundtrack", optional: true },
+  { id: 625, name: "Redistributables" },
+];
+
+const MANIFESTS = {
+  621: [
+    { branch: "public", buildId: "20", manifestId: "9000000000000000621" },
+    { branch: "beta", buildId: "21", manifestId: "9000000000000001621" },
+    {
+      branch: null,
+      buildId: "10",
+      manifestId: "8000000000000000621",
+      isHistorical: true,
+    },
+  ],
+  622: [{ branch: "public", buildId: "20", manifestId: "9000000000000000622" }],
+  623: [{ branch: "public", buildId: "20", manifestId: "9000000000000000623" }],
+  624: [{ branch: "public", buildId: "20", manifestId: "9000000000000000624" }],
+  625: [],
+};
+
+/**
+ * Create a sync with stand-ins for Steam and the local library
+ * @param {Object|null} installed - Installed app, as from SteamLibrary.getInstalledApp
+ * @returns {VersionSync} The sync
+ */
+function createSync(installed) {
+  return new VersionSync({
+    steamClient: {
+      getGameDepots: async () => DEPOTS,
+      getDepotManifests: async (appId, depotId) => MANIFESTS[depotId],
+    },
+    steamLibrary: { getInstalledApp: async () => installed },
+  });
+}
+
+const INSTALLED = {
+  name: "Portal 2",
+  buildId: "20",
+  depots: {
+    621: { manifestId: "9000000000000000621" },
+    622: { manifestId: "8000000000000000622" },
+  },
+};
+
+test("plans the filtered depots of a branch pin", async () => {
+  const [plan] = await createSync(INSTALLED).plan({
+    apps: [
+      {
+        appId: 620,
+        name: null,
+        branch: "public",
+        buildId: null,
+        depots: null,
+        filter: { os: "windows", language: "english" },
+      },
+    ],
+  });
+
+  assert.equal(plan.name, "Portal 2");
+  assert.equal(plan.pin, "branch public");
+  assert.equal(plan.installedBuildId, "20");
+  assert.deepEqual(plan.depots, [
+    {
+      depotId: "621",
+      name: "Content",
+      manifestId: "9000000000000000621",
+      installedManifestId: "9000000000000000621",
+      status: "current",
+    },
+    {
+      depotId: "622",
+      name: "Windows Binaries",
+      manifestId: "9000000000000000622",
+      installedManifestId: "8000000000000000622",
+      status: "install",
+    },
+  ]);
+  assert.deepEqual(plan.missing, []);
+});
+
+test("resolves a build pin from every build the history saw", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sync-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const history = new ManifestHistory({
+    filePath: path.join(dir, "manifest-history.json"),
+  });
+  const appinfo = (buildId, manifests) => ({
+    changenumber: Number(buildId),
+    fetchedAt: 0,
+    appinfo: {
+      depots: {
+        branches: { public: { buildid: buildId } },
+        621: { name: "Content", manifests: { public: { gid: manifests[0] } } },
+        622: {
+          name: "Windows Binaries",
+          config: { oslist: "windows" },
+          manifests: { public: { gid: manifests[1] } },
+        },
+        623: {
+          name: "German",
+          config: { language: "german" },
+          manifests: { public: { gid: manifests[2] } },
+        },
+        625: { name: "Redistributables" },
+      },
+    },
+  });
+  const createClient = (info) =>
+    new SteamClient({ history, offline: true, cache: { get: () => info } });
+
+  // Only depot 621 changed in build 11; 622 and 623 kept their build 10 manifests
+  await createClient(appinfo("10", ["610", "620", "630"])).getBuildManifests(
+    620,
+    "public"
+  );
+  await createClient(appinfo("11", ["611", "620", "630"])).getBuildManifests(
+    620,
+    "public"
+  );
+
+  const sync = new VersionSync({
+    steamClient: createClient(appinfo("20", ["612", "621", "631"])),
+    steamLibrary: { getInstalledApp: async () => null },
+  });
+  const pin = (buildId) => ({
+    appId: 620,
+    name: null,
+    branch: null,
+    buildId,
+    depots: null,
+    filter: { language: "german" },
+  });
+  const [plan, unknown] = await sync.plan({ apps: [pin("11"), pin("9")] });
+
+  assert.deepEqual(
+    plan.depots.map((depot) => [depot.depotId, depot.manifestId, depot.status]),
+    [
+      ["621", "611", "install"],
+      ["622", "620", "install"],
+      ["623", "630", "install"],
+    ]
+  );
+  assert.deepEqual(plan.missing, []);
+  assert.deepEqual(
+    unknown.missing.map((depot) => [depot.depotId, depot.reason]),
+    [
+      ["621", "no manifest known for build 9"],
+      ["622", "no manifest known for build 9"],
+      ["623", "no manifest known for build 9"],
+    ]
+  );
+});
+
+test("uses pinned manifest IDs as given", async () => {
+  const [plan] = await createSync(INSTALLED).plan({
+    apps: [
+      {
+        appId: 620,
+        name: null,
+        branch: null,
+        buildId: null,
+        depots: {
+          621: "18446744073709551615",
+          999: "1",
+        },
+        filter: {},
+      },
+    ],
+  });
+
+  assert.deepEqual(plan.depots, [
+    {
+      depotId: "621",
+      name: "Content",
+      manifestId: "18446744073709551615",
+      installedManifestId: "9000000000000000621",
+      status: "install",
+    },
+  ]);
+  assert.deepEqual(plan.missing, [
+    { depotId: "999", name: null, reason: "not a depot of this app" },
+  ]);
+});